@@ -1,7 +1,7 @@
 import { NES } from './src/nes.js';
 import { Controller } from './src/controller.js';
 // 1. Add this import at the top of nes-embed.js (with other imports):
-import { initSaveStates, saveState, loadState, quickSave, quickLoad } from './nes-save-states.js';
+import { initSaveStates, saveState, loadState, quickSave, quickLoad, getRomHash } from './nes-save-states.js';
 
 // =============================================================================
 // CONSTANTS
@@ -15,6 +15,9 @@ const AUDIO_BUFFER_SIZE = 2048;
 const AUDIO_BUFFER_MASK = AUDIO_BUFFER_SIZE - 1;
 const PRE_BUFFER_FRAMES = 1; // Buffer this many frames before starting audio
 
+const SRAM_PREFIX = 'jsnes_sram_';
+const FDS_BIOS_KEY = 'jsnes_fds_bios';
+
 // =============================================================================
 // STATE
 // =============================================================================
@@ -39,6 +42,10 @@ let fallbackWrite = 0;
 let fallbackRead = 0;
 
 let emulationRunning = false;
+let romName = 'game';
+// Unpatched ROM and the IPS/BPS/UPS patches applied on top of it
+let romFile = null;
+let romPatches = [];
 
 // Gamepad
 let gamepadIndex = null;
@@ -78,6 +85,9 @@ export const nes = new NES({
       fallbackR[fallbackWrite] = r;
       fallbackWrite = (fallbackWrite + 1) & AUDIO_BUFFER_MASK;
     }
+  },
+  onBatteryRamChange(ram) {
+    storeBatteryRam(ram);
   }
 });
 
@@ -145,10 +155,23 @@ function flushAudio() {
 // MAIN LOOP
 // =============================================================================
 
-function onAnimationFrame() {
+// PAL and Dendy games run at 50 fps, so frames are paced against
+// nes.frameTime instead of assuming one NES frame per display refresh.
+let lastFrameTime = 0;
+let frameTimeDebt = 0;
+
+function onAnimationFrame(now) {
   requestAnimationFrame(onAnimationFrame);
   if (!emulationRunning) return;
-  
+
+  if (lastFrameTime === 0) lastFrameTime = now;
+  // Cap the backlog at two frames so a hidden tab doesn't fast-forward.
+  frameTimeDebt = Math.min(frameTimeDebt + now - lastFrameTime, nes.frameTime * 2);
+  lastFrameTime = now;
+  // Allow ~1ms of jitter so 60Hz displays don't drop NTSC frames.
+  if (frameTimeDebt < nes.frameTime - 1) return;
+  frameTimeDebt = Math.max(frameTimeDebt - nes.frameTime, 0);
+
   nes.frame();
   flushAudio();
   
@@ -209,7 +232,7 @@ function nesInit(canvasId) {
   return true;
 }
 
-async function nesBoot(romData) {
+async function nesBoot(romData, patches = []) {
   if (!audioCtx) await initAudio();
   
   // Reset audio state
@@ -218,9 +241,13 @@ async function nesBoot(romData) {
   fallbackRead = 0;
   audioWorkletNode?.port.postMessage({ type: 'reset' });
   
-  nes.loadROM(romData);
+  if (!nes.fdsBios) restoreFdsBios();
+  nes.loadROM(romData, { patches });
+  romFile = romData;
+  romPatches = patches;
 
   initSaveStates(nes, logStatus);
+  restoreBatteryRam();
   
   // Pre-buffer audio: run a few frames before starting playback
   for (let i = 0; i < PRE_BUFFER_FRAMES; i++) {
@@ -232,32 +259,121 @@ async function nesBoot(romData) {
   if (audioCtx.state === 'suspended') await audioCtx.resume();
   
   emulationRunning = true;
+  lastFrameTime = 0;
+  frameTimeDebt = 0;
   requestAnimationFrame(onAnimationFrame);
 }
 
-function convertRom(u8) {
-  let s = '';
-  for (let i = 0; i < u8.length; i += 0x8000) {
-    s += String.fromCharCode.apply(null, u8.subarray(i, i + 0x8000));
-  }
-  return s;
-}
-
 async function nesLoadUrl(canvasId, path) {
   if (!nesInit(canvasId)) return;
   try {
     const res = await fetch(path);
     if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    await nesBoot(convertRom(new Uint8Array(await res.arrayBuffer())));
+    await nesBoot(new Uint8Array(await res.arrayBuffer()));
   } catch (e) {
     console.error(e);
     logStatus(`Failed: ${e.message}`, 'error');
   }
 }
 
-async function nesLoadData(canvasId, romData) {
+async function nesLoadData(canvasId, romData, patches) {
   if (!nesInit(canvasId)) return;
-  await nesBoot(romData);
+  await nesBoot(romData, patches);
+}
+
+// =============================================================================
+// BATTERY SAVES
+// =============================================================================
+
+function bytesToBase64(bytes) {
+  let s = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    s += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(s);
+}
+
+function base64ToBytes(b64) {
+  const s = atob(b64);
+  const bytes = new Uint8Array(s.length);
+  for (let i = 0; i < s.length; i++) bytes[i] = s.charCodeAt(i);
+  return bytes;
+}
+
+function storeBatteryRam(ram = nes.getBatteryRam()) {
+  if (!ram || !nes.rom) return;
+  try {
+    localStorage.setItem(SRAM_PREFIX + getRomHash(), bytesToBase64(ram));
+  } catch (err) {
+    console.warn('Battery save failed:', err);
+  }
+}
+
+function restoreBatteryRam() {
+  if (!nes.rom?.hasBattery) return;
+  const saved = localStorage.getItem(SRAM_PREFIX + getRomHash());
+  if (saved) {
+    nes.setBatteryRam(base64ToBytes(saved));
+    logStatus('🔋 Battery save restored', 'info');
+  }
+}
+
+function exportSav() {
+  const ram = nes.getBatteryRam();
+  if (!ram) {
+    logStatus('❌ This game has no battery save', 'error');
+    return;
+  }
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(new Blob([ram], { type: 'application/octet-stream' }));
+  a.download = `${romName}.sav`;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+async function importSav(file) {
+  if (!nes.rom) {
+    logStatus('❌ Load a ROM before importing a .sav', 'error');
+    return;
+  }
+  nes.setBatteryRam(new Uint8Array(await file.arrayBuffer()));
+  storeBatteryRam();
+  nes.reset();
+  logStatus(`🔋 Imported ${file.name}`, 'success');
+}
+
+// =============================================================================
+// FAMICOM DISK SYSTEM
+// =============================================================================
+
+// The BIOS isn't bundled; the user drops their disksys.rom once and it's
+// remembered in localStorage.
+function restoreFdsBios() {
+  const saved = localStorage.getItem(FDS_BIOS_KEY);
+  if (!saved) return;
+  try {
+    nes.loadFdsBios(base64ToBytes(saved));
+  } catch (err) {
+    localStorage.removeItem(FDS_BIOS_KEY);
+  }
+}
+
+async function importFdsBios(file) {
+  const bios = new Uint8Array(await file.arrayBuffer());
+  nes.loadFdsBios(bios);
+  localStorage.setItem(FDS_BIOS_KEY, bytesToBase64(bios));
+  logStatus('💾 FDS BIOS stored', 'success');
+}
+
+function nextDiskSide() {
+  if (!nes.rom?.isFds) {
+    logStatus('❌ No disk image loaded', 'error');
+    return;
+  }
+  const count = nes.getFdsSideCount();
+  const side = (Math.max(nes.getFdsSide(), 0) + 1) % count;
+  nes.insertFdsDisk(side);
+  logStatus(`💿 Disk ${(side >> 1) + 1} side ${side & 1 ? 'B' : 'A'}`, 'info');
 }
 
 // =============================================================================
@@ -277,38 +393,86 @@ function hideOverlay() {
   if (o) { o.style.opacity = '0'; setTimeout(() => o.style.display = 'none', 300); }
 }
 
+function logRomInfo() {
+  const info = nes?.rom?.info;
+  if (!info) return;
+  if (info.title) logStatus(`🏷️ ${info.title}`, 'info');
+  logStatus(`📋 Mapper: ${nes.rom.mapperType} (${nes.rom.getMapperName()}) · CRC32 ${info.crc32}`, 'info');
+  if (info.corrected.length) logStatus(`🩹 Header corrected from database: ${info.corrected.join(', ')}`, 'info');
+}
+
 async function startEmulator() {
   hideOverlay();
   logStatus('▶️ Starting...', 'success');
+  romName = 'BladeBuster';
   await nesLoadUrl('nes-canvas', 'roms/BladeBuster.nes');
   logStatus('✓ ROM loaded', 'info');
-  if (nes?.rom) logStatus(`📋 Mapper: ${nes.rom.mapperType} (${nes.rom.getMapperName()})`, 'info');
+  logRomInfo();
 }
 
-function handleDrop(e) {
+const PATCH_EXTENSIONS = ['.ips', '.bps', '.ups'];
+
+function readFileBytes(file) {
+  return file.arrayBuffer().then(buf => new Uint8Array(buf));
+}
+
+// Accepts a .sav, the FDS BIOS, a .nes/.fds with any number of patches, or
+// patches on their own (applied on top of the running ROM's existing patches).
+async function handleDrop(e) {
   e.preventDefault();
   document.getElementById('gameContainer')?.classList.remove('drag-over');
   
-  const file = e.dataTransfer.files[0];
-  if (!file?.name.toLowerCase().endsWith('.nes')) {
-    logStatus('❌ Drop a .nes file', 'error');
+  const files = Array.from(e.dataTransfer.files);
+  const lower = f => f.name.toLowerCase();
+  const sav = files.find(f => lower(f).endsWith('.sav'));
+  const bios = files.find(f => lower(f) === 'disksys.rom' || (lower(f).endsWith('.rom') && f.size === 8192));
+  const rom = files.find(f => lower(f).endsWith('.nes') || lower(f).endsWith('.fds'));
+  const patchFiles = files.filter(f => PATCH_EXTENSIONS.some(ext => lower(f).endsWith(ext)));
+
+  if (bios) {
+    try {
+      await importFdsBios(bios);
+    } catch (err) {
+      logStatus(`❌ ${err.message}`, 'error');
+      return;
+    }
+    if (!rom) return;
+  }
+  if (sav && !rom) {
+    importSav(sav).catch(err => logStatus(`❌ ${err.message}`, 'error'));
+    return;
+  }
+  if (!rom && !patchFiles.length) {
+    logStatus('❌ Drop a .nes, .fds, .sav or .ips/.bps/.ups file', 'error');
+    return;
+  }
+  if (!rom && !romFile) {
+    logStatus('❌ Load a ROM before applying a patch', 'error');
     return;
   }
   
+  storeBatteryRam();
   hideOverlay();
-  logStatus(`📦 Loading: ${file.name}`, 'info');
-  
-  const reader = new FileReader();
-  reader.onload = async (ev) => {
-    try {
-      await nesLoadData('nes-canvas', convertRom(new Uint8Array(ev.target.result)));
-      logStatus('✓ ROM loaded', 'success');
-      if (nes?.rom) logStatus(`📋 Mapper: ${nes.rom.mapperType} (${nes.rom.getMapperName()})`, 'info');
-    } catch (err) {
-      logStatus(`❌ ${err.message}`, 'error');
+  try {
+    let romData = romFile;
+    let patches = romPatches;
+    if (rom) {
+      romName = rom.name.replace(/\.[^.]+$/, '');
+      logStatus(`📦 Loading: ${rom.name}`, 'info');
+      romData = await readFileBytes(rom);
+      patches = [];
     }
-  };
-  reader.readAsArrayBuffer(file);
+    for (const f of patchFiles) {
+      logStatus(`🩹 Patch: ${f.name}`, 'info');
+      patches = patches.concat([await readFileBytes(f)]);
+    }
+    if (patchFiles.length) romName = patchFiles[patchFiles.length - 1].name.replace(/\.[^.]+$/, '');
+    await nesLoadData('nes-canvas', romData, patches);
+    logStatus('✓ ROM loaded', 'success');
+    logRomInfo();
+  } catch (err) {
+    logStatus(`❌ ${err.message}`, 'error');
+  }
 }
 
 function setVolume(v) { if (gainNode) gainNode.gain.value = v * v; }
@@ -338,6 +502,7 @@ window.addEventListener('gamepaddisconnected', e => {
   }
 });
 
+window.addEventListener('pagehide', () => storeBatteryRam());
 window.addEventListener('dragover', e => e.preventDefault());
 window.addEventListener('drop', e => e.preventDefault());
 
@@ -361,3 +526,16 @@ document.getElementById('btn-load')?.addEventListener('click', () => {
   const slot = parseInt(document.getElementById('save-slot').value);
   loadState(slot);
 });
+
+document.getElementById('btn-export-sav')?.addEventListener('click', exportSav);
+document.getElementById('btn-fds-side')?.addEventListener('click', nextDiskSide);
+
+document.getElementById('btn-import-sav')?.addEventListener('click', () => {
+  document.getElementById('sav-file')?.click();
+});
+
+document.getElementById('sav-file')?.addEventListener('change', e => {
+  const file = e.target.files[0];
+  if (file) importSav(file).catch(err => logStatus(`❌ ${err.message}`, 'error'));
+  e.target.value = '';
+});
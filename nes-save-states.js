@@ -80,6 +80,12 @@ export function loadState(slot = 0) {
     }
     
     const state = JSON.parse(saved);
+
+    // States saved before the switch to SHA-1 carry the legacy hash
+    if (state.romHash && state.romHash === getLegacyRomHash()) {
+      state.romHash = getRomHash();
+      localStorage.setItem(key, JSON.stringify(state));
+    }
     
     // Warn if ROM doesn't match
     if (state.romHash && state.romHash !== getRomHash()) {
@@ -240,16 +246,29 @@ export function importState(file, slot = 0) {
 }
 
 /**
- * Simple ROM hash for identifying saves
+ * ROM hash for identifying saves: the SHA-1 of the PRG+CHR data, so
+ * re-headered copies of the same game share their saves
  * @returns {string}
  */
-function getRomHash() {
-  if (!nes || !nes.romData) return 'unknown';
-  
+export function getRomHash() {
+  if (!nes || !nes.rom || !nes.rom.info) return 'unknown';
+  return nes.rom.info.sha1;
+}
+
+/**
+ * The hash save states were tagged with before getRomHash() used SHA-1: a string
+ * hash of the first 1KB of the ROM file
+ * @returns {string|null} null with no ROM data
+ */
+function getLegacyRomHash() {
+  if (!nes || !nes.romData) return null;
+
+  const isString = typeof nes.romData === 'string';
+  const data = isString || ArrayBuffer.isView(nes.romData) ? nes.romData : new Uint8Array(nes.romData);
   let hash = 0;
-  const len = Math.min(1024, nes.romData.length);
+  const len = Math.min(1024, data.length);
   for (let i = 0; i < len; i++) {
-    hash = ((hash << 5) - hash) + nes.romData.charCodeAt(i);
+    hash = ((hash << 5) - hash) + (isString ? data.charCodeAt(i) : data[i]);
     hash |= 0;
   }
   return hash.toString(16);
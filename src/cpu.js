@@ -3,6 +3,12 @@ import { toJSON, fromJSON } from "./utils.js";
 // Pre-compute opcode data once at module load (static/shared)
 const OPDATA = buildOpData();
 
+// Instructions that write their operand: ASL, DEC, INC, LSR, ROL, ROR, STA,
+// STX, STY, SAX, DCP, ISC, RLA, RRA, SLO and SRE. With indexed addressing
+// they always spend a cycle reading the uncorrected address, page cross or
+// not.
+const WRITE_INSTRUCTIONS = new Set([2, 20, 24, 32, 39, 40, 47, 48, 49, 61, 62, 63, 64, 65, 66, 67]);
+
 export class CPU {
   // IRQ Types (static constants)
   static IRQ_NORMAL = 0;
@@ -37,7 +43,8 @@ export class CPU {
     "F_NOTUSED",
     "F_NOTUSED_NEW",
     "F_BRK",
-    "F_BRK_NEW"
+    "F_BRK_NEW",
+    "dataBus"
   ];
 
   constructor(nes) {
@@ -68,6 +75,13 @@ export class CPU {
     this.irqRequested = false;
     this.irqType = null;
 
+    // In cycle-accurate mode every bus access first clocks the PPU, APU and
+    // mapper by one CPU cycle, and the dummy reads and writes of the real
+    // 6502 are performed. busCycles counts the cycles clocked so far in the
+    // current instruction.
+    this.cycleAccurate = nes.opts.cycleAccurate === true;
+    this.busCycles = 0;
+
     this.reset();
   }
 
@@ -115,11 +129,16 @@ export class CPU {
     this.crash = false;
     this.irqRequested = false;
     this.irqType = null;
+
+    // The last value on the data bus. Reads from addresses nothing drives
+    // (open bus) return it.
+    this.dataBus = 0;
   }
 
   emulate() {
     let temp, add, val;
 
+    this.busCycles = 0;
     if (this.irqRequested) {
       temp =
         this.F_CARRY |
@@ -151,14 +170,20 @@ export class CPU {
       this.F_INTERRUPT = this.F_INTERRUPT_NEW;
       this.F_BRK = this.F_BRK_NEW;
       this.irqRequested = false;
+
+      // The interrupt sequence takes 7 cycles, 5 of them bus accesses.
+      if (this.cycleAccurate && this.busCycles !== 0) this.finishCycles(7);
     }
+    const busStart = this.busCycles;
 
     const mmap = this.nes.mmap;
-    if (mmap === null) return 32;
+    if (mmap === null) return this.cycleAccurate ? this.finishCycles(busStart + 32) : 32;
 
     const mem = this.mem;
     let REG_PC = this.REG_PC;
-    const opinf = OPDATA[mmap.load(REG_PC + 1)];
+    if (this.cycleAccurate) this.clockBus();
+    this.dataBus = mmap.load(REG_PC + 1);
+    const opinf = OPDATA[this.dataBus];
     let cycleCount = opinf >> 24;
     let cycleAdd = 0;
 
@@ -177,26 +202,38 @@ export class CPU {
       case 3: addr = this.load16bit(opaddr + 2); break;
       case 4: addr = this.REG_ACC; break;
       case 5: addr = REG_PC; break;
-      case 6: addr = (this.load(opaddr + 2) + this.REG_X) & 0xff; break;
-      case 7: addr = (this.load(opaddr + 2) + this.REG_Y) & 0xff; break;
+      case 6:
+        addr = this.load(opaddr + 2);
+        if (this.cycleAccurate) this.load(addr);
+        addr = (addr + this.REG_X) & 0xff;
+        break;
+      case 7:
+        addr = this.load(opaddr + 2);
+        if (this.cycleAccurate) this.load(addr);
+        addr = (addr + this.REG_Y) & 0xff;
+        break;
       case 8:
         addr = this.load16bit(opaddr + 2);
         if ((addr & 0xff00) !== ((addr + this.REG_X) & 0xff00)) cycleAdd = 1;
+        if (this.cycleAccurate) this.indexedDummyRead(addr, this.REG_X, cycleAdd, opinf & 0xff);
         addr += this.REG_X;
         break;
       case 9:
         addr = this.load16bit(opaddr + 2);
         if ((addr & 0xff00) !== ((addr + this.REG_Y) & 0xff00)) cycleAdd = 1;
+        if (this.cycleAccurate) this.indexedDummyRead(addr, this.REG_Y, cycleAdd, opinf & 0xff);
         addr += this.REG_Y;
         break;
       case 10:
         addr = this.load(opaddr + 2);
         if ((addr & 0xff00) !== ((addr + this.REG_X) & 0xff00)) cycleAdd = 1;
+        if (this.cycleAccurate) this.load(addr);
         addr = this.load16bit((addr + this.REG_X) & 0xff);
         break;
       case 11:
         addr = this.load16bit(this.load(opaddr + 2));
         if ((addr & 0xff00) !== ((addr + this.REG_Y) & 0xff00)) cycleAdd = 1;
+        if (this.cycleAccurate) this.indexedDummyRead(addr, this.REG_Y, cycleAdd, opinf & 0xff);
         addr += this.REG_Y;
         break;
       case 12:
@@ -206,6 +243,7 @@ export class CPU {
         } else {
           addr = mmap.load(addr) | (mmap.load((addr & 0xff00) | (((addr & 0xff) + 1) & 0xff)) << 8);
         }
+        this.dataBus = addr >> 8;
         break;
     }
     addr &= 0xffff;
@@ -235,7 +273,7 @@ export class CPU {
           this.F_SIGN = (this.REG_ACC >> 7) & 1;
           this.F_ZERO = this.REG_ACC;
         } else {
-          temp = this.load(addr);
+          temp = this.loadForModify(addr);
           this.F_CARRY = (temp >> 7) & 1;
           temp = (temp << 1) & 0xff;
           this.F_SIGN = (temp >> 7) & 1;
@@ -331,7 +369,7 @@ export class CPU {
         this.F_ZERO = temp & 0xff;
         break;
       case 20: // DEC
-        temp = (this.load(addr) - 1) & 0xff;
+        temp = (this.loadForModify(addr) - 1) & 0xff;
         this.F_SIGN = (temp >> 7) & 1;
         this.F_ZERO = temp;
         this.write(addr, temp);
@@ -353,7 +391,7 @@ export class CPU {
         cycleCount += cycleAdd;
         break;
       case 24: // INC
-        temp = (this.load(addr) + 1) & 0xff;
+        temp = (this.loadForModify(addr) + 1) & 0xff;
         this.F_SIGN = (temp >> 7) & 1;
         this.F_ZERO = temp;
         this.write(addr, temp);
@@ -398,7 +436,7 @@ export class CPU {
           this.REG_ACC >>= 1;
           temp = this.REG_ACC;
         } else {
-          temp = this.load(addr);
+          temp = this.loadForModify(addr);
           this.F_CARRY = temp & 1;
           temp >>= 1;
           this.write(addr, temp);
@@ -447,7 +485,7 @@ export class CPU {
           temp = ((temp << 1) & 0xff) + add;
           this.REG_ACC = temp;
         } else {
-          temp = this.load(addr);
+          temp = this.loadForModify(addr);
           add = this.F_CARRY;
           this.F_CARRY = (temp >> 7) & 1;
           temp = ((temp << 1) & 0xff) + add;
@@ -463,7 +501,7 @@ export class CPU {
           temp = (this.REG_ACC >> 1) + add;
           this.REG_ACC = temp;
         } else {
-          temp = this.load(addr);
+          temp = this.loadForModify(addr);
           add = this.F_CARRY << 7;
           this.F_CARRY = temp & 1;
           temp = (temp >> 1) + add;
@@ -484,14 +522,14 @@ export class CPU {
         this.F_SIGN = (temp >> 7) & 1;
         this.REG_PC = this.pull();
         this.REG_PC += this.pull() << 8;
-        if (this.REG_PC === 0xffff) return cycleCount;
+        if (this.REG_PC === 0xffff) return this.cycleAccurate ? this.finishCycles(busStart + cycleCount) : cycleCount;
         this.REG_PC--;
         this.F_NOTUSED = 1;
         break;
       case 42: // RTS
         this.REG_PC = this.pull();
         this.REG_PC += this.pull() << 8;
-        if (this.REG_PC === 0xffff) return cycleCount;
+        if (this.REG_PC === 0xffff) return this.cycleAccurate ? this.finishCycles(busStart + cycleCount) : cycleCount;
         break;
       case 43: // SBC
         val = this.load(addr);
@@ -568,7 +606,7 @@ export class CPU {
         break;
       case 61: this.write(addr, this.REG_ACC & this.REG_X); break; // SAX
       case 62: // DCP
-        temp = (this.load(addr) - 1) & 0xff;
+        temp = (this.loadForModify(addr) - 1) & 0xff;
         this.write(addr, temp);
         temp = this.REG_ACC - temp;
         this.F_CARRY = temp >= 0 ? 1 : 0;
@@ -577,7 +615,7 @@ export class CPU {
         if (addrMode !== 11) cycleCount += cycleAdd;
         break;
       case 63: // ISC
-        temp = (this.load(addr) + 1) & 0xff;
+        temp = (this.loadForModify(addr) + 1) & 0xff;
         this.write(addr, temp);
         val = temp;
         temp = this.REG_ACC - val - (1 - this.F_CARRY);
@@ -589,7 +627,7 @@ export class CPU {
         if (addrMode !== 11) cycleCount += cycleAdd;
         break;
       case 64: // RLA
-        temp = this.load(addr);
+        temp = this.loadForModify(addr);
         add = this.F_CARRY;
         this.F_CARRY = (temp >> 7) & 1;
         temp = ((temp << 1) & 0xff) + add;
@@ -600,7 +638,7 @@ export class CPU {
         if (addrMode !== 11) cycleCount += cycleAdd;
         break;
       case 65: // RRA
-        temp = this.load(addr);
+        temp = this.loadForModify(addr);
         add = this.F_CARRY << 7;
         this.F_CARRY = temp & 1;
         temp = (temp >> 1) + add;
@@ -615,7 +653,7 @@ export class CPU {
         if (addrMode !== 11) cycleCount += cycleAdd;
         break;
       case 66: // SLO
-        temp = this.load(addr);
+        temp = this.loadForModify(addr);
         this.F_CARRY = (temp >> 7) & 1;
         temp = (temp << 1) & 0xff;
         this.write(addr, temp);
@@ -625,7 +663,7 @@ export class CPU {
         if (addrMode !== 11) cycleCount += cycleAdd;
         break;
       case 67: // SRE
-        temp = this.load(addr);
+        temp = this.loadForModify(addr);
         this.F_CARRY = temp & 1;
         temp >>= 1;
         this.write(addr, temp);
@@ -645,20 +683,61 @@ export class CPU {
         break;
     }
 
-    return cycleCount;
+    return this.cycleAccurate ? this.finishCycles(busStart + cycleCount) : cycleCount;
+  }
+
+  // Cycle-accurate mode: clocks the rest of the system by one CPU cycle,
+  // ahead of the bus access made in that cycle.
+  clockBus() {
+    this.busCycles++;
+    this.nes.clockCpuCycle();
+  }
+
+  // Clocks the cycles without a bus access of their own (internal
+  // operations, and dummy reads that can have no side effects) until total
+  // have been spent, and returns the cycles taken.
+  finishCycles(total) {
+    while (this.busCycles < total) this.clockBus();
+    return this.busCycles;
+  }
+
+  // Indexed addressing adds the index to the low byte first and reads from
+  // that address while the high byte is fixed up. The read is repeated at
+  // the corrected address when a load crosses a page; stores and
+  // read-modify-write instructions always make it.
+  indexedDummyRead(base, index, pageCrossed, inst) {
+    if (pageCrossed === 1 || WRITE_INSTRUCTIONS.has(inst)) {
+      this.load((base & 0xff00) | ((base + index) & 0xff));
+    }
+  }
+
+  // Read-modify-write instructions write the unmodified value back while
+  // they compute the result. Registers see both writes ($2007 increments
+  // twice, mapper latches take the old value first).
+  loadForModify(addr) {
+    const value = this.load(addr);
+    if (this.cycleAccurate) this.write(addr, value);
+    return value;
   }
 
   load(addr) {
-    return addr < 0x2000 ? this.mem[addr & 0x7ff] : this.nes.mmap.load(addr);
+    if (this.cycleAccurate) this.clockBus();
+    this.dataBus = addr < 0x2000 ? this.mem[addr & 0x7ff] : this.nes.mmap.load(addr);
+    return this.dataBus;
   }
 
   load16bit(addr) {
-    return addr < 0x1fff
+    if (this.cycleAccurate) return this.load(addr) | (this.load(addr + 1) << 8);
+    const value = addr < 0x1fff
       ? this.mem[addr & 0x7ff] | (this.mem[(addr + 1) & 0x7ff] << 8)
       : this.nes.mmap.load(addr) | (this.nes.mmap.load(addr + 1) << 8);
+    this.dataBus = value >> 8;
+    return value;
   }
 
   write(addr, val) {
+    if (this.cycleAccurate) this.clockBus();
+    this.dataBus = val;
     if (addr < 0x2000) this.mem[addr & 0x7ff] = val;
     else this.nes.mmap.write(addr, val);
   }
@@ -670,13 +749,17 @@ export class CPU {
   }
 
   push(value) {
+    if (this.cycleAccurate) this.clockBus();
+    this.dataBus = value;
     this.nes.mmap.write(this.REG_SP | 0x100, value);
     this.REG_SP = (this.REG_SP - 1) & 0xff;
   }
 
   pull() {
     this.REG_SP = (this.REG_SP + 1) & 0xff;
-    return this.nes.mmap.load(0x100 | this.REG_SP);
+    if (this.cycleAccurate) this.clockBus();
+    this.dataBus = this.nes.mmap.load(0x100 | this.REG_SP);
+    return this.dataBus;
   }
 
   haltCycles(cycles) {
@@ -686,31 +769,30 @@ export class CPU {
   doNonMaskableInterrupt(status) {
     const mmap = this.nes.mmap;
     if (mmap === null) return;
-    if ((mmap.load(0x2000) & 128) !== 0) {
+    // NMI enable is PPUCTRL bit 7; reading $2000 would return open bus.
+    if (this.nes.ppu.f_nmiOnVblank === 1) {
       this.REG_PC_NEW++;
       this.push((this.REG_PC_NEW >> 8) & 0xff);
       this.push(this.REG_PC_NEW & 0xff);
       this.push(status);
-      this.REG_PC_NEW = mmap.load(0xfffa) | (mmap.load(0xfffb) << 8);
+      this.REG_PC_NEW = this.load(0xfffa) | (this.load(0xfffb) << 8);
       this.REG_PC_NEW--;
     }
   }
 
   doResetInterrupt() {
-    const mmap = this.nes.mmap;
-    this.REG_PC_NEW = mmap.load(0xfffc) | (mmap.load(0xfffd) << 8);
+    this.REG_PC_NEW = this.load(0xfffc) | (this.load(0xfffd) << 8);
     this.REG_PC_NEW--;
   }
 
   doIrq(status) {
-    const mmap = this.nes.mmap;
     this.REG_PC_NEW++;
     this.push((this.REG_PC_NEW >> 8) & 0xff);
     this.push(this.REG_PC_NEW & 0xff);
     this.push(status);
     this.F_INTERRUPT_NEW = 1;
     this.F_BRK_NEW = 0;
-    this.REG_PC_NEW = mmap.load(0xfffe) | (mmap.load(0xffff) << 8);
+    this.REG_PC_NEW = this.load(0xfffe) | (this.load(0xffff) << 8);
     this.REG_PC_NEW--;
   }
 
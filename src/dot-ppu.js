@@ -0,0 +1,513 @@
+import { PPU } from "./ppu.js";
+
+// Dot-based PPU renderer, selected with `new NES({ ppuRenderer: "dot" })`.
+//
+// The default PPU draws whole scanline spans when a register write forces
+// it to catch up. This one steps the 2C02 pipeline one dot at a time: the
+// loopy v/t/x/w registers, background fetches every 8 dots into 16-bit
+// shift registers, sprite evaluation at the end of each line and the
+// sprite pattern fetches on dots 257-320. Mid-scanline register writes,
+// CHR bank switches and mapper hooks therefore take effect on the dot they
+// happen, and mappers see the pattern table addresses (A12, MMC2/MMC4
+// latch tiles) in the order the real PPU fetches them.
+//
+// Scanlines keep the PPU's numbering (vblank first, see regions.js), so
+// mappers that read ppu.scanline or use onEndScanline() work unchanged;
+// `line` below is the hardware line: -1 for pre-render, 0-239 visible.
+//
+// vramAddress and vramTmpAddress hold loopy v and t, regFH is fine X and
+// firstWrite is the inverse of w.
+export class DotPPU extends PPU {
+  constructor(nes) {
+    super(nes);
+    this.dotRenderer = true;
+    this.JSON_PROPERTIES = this.JSON_PROPERTIES.concat([
+      "ntByte", "atBits", "patternLo", "patternHi",
+      "bgShiftLo", "bgShiftHi", "atShiftLo", "atShiftHi",
+      "secondaryOam", "spriteCount", "spriteZeroInLine",
+      "spritePatternLo", "spritePatternHi", "spriteAttrib", "spriteXPos",
+      "oddFrame",
+    ]);
+  }
+
+  reset() {
+    super.reset();
+    this.vramAddress = 0;
+    this.vramTmpAddress = 0;
+
+    // Latches filled by the background fetches, and the shift registers
+    // they are loaded into every 8 dots. Attribute bits are expanded to 8
+    // copies on load so they shift along with the pattern bits.
+    this.ntByte = 0;
+    this.atBits = 0;
+    this.patternLo = 0;
+    this.patternHi = 0;
+    this.bgShiftLo = 0;
+    this.bgShiftHi = 0;
+    this.atShiftLo = 0;
+    this.atShiftHi = 0;
+
+    // Secondary OAM: the (up to 8) sprites found by evaluation for the
+    // next line, and their pattern bytes (already flipped) once fetched.
+    // It has room for all 64 for when the sprite limit is disabled.
+    this.secondaryOam = new Array(256).fill(0xff);
+    this.spriteCount = 0;
+    this.spriteZeroInLine = false;
+    this.spritePatternLo = new Array(64).fill(0);
+    this.spritePatternHi = new Array(64).fill(0);
+    this.spriteAttrib = new Array(64).fill(0);
+    this.spriteXPos = new Array(64).fill(0);
+
+    this.oddFrame = false;
+  }
+
+  // Every visible pixel is drawn each frame.
+  startFrame() {}
+
+  // The pipeline is always up to date, so there's nothing to catch up.
+  triggerRendering() {}
+
+  // Sprite 0 hits are detected per pixel.
+  checkSprite0() {
+    this.spr0HitX = -1;
+    this.spr0HitY = -1;
+    return false;
+  }
+
+  // Steps the PPU by the given number of dots. Returns true if VBlank
+  // started (the frame is complete).
+  clockDots(dots) {
+    let vblankStarted = false;
+    for (; dots > 0; dots--) {
+      if (this.clockDot()) vblankStarted = true;
+    }
+    return vblankStarted;
+  }
+
+  clockDot() {
+    const dot = this.curX;
+    const line = this.scanline - this.firstVisibleScanline;
+    const rendering = this.f_bgVisibility === 1 || this.f_spVisibility === 1;
+    let vblankStarted = false;
+
+    if (line >= -1 && line < 240) {
+      if (line === -1 && dot === 1) {
+        this.setStatusFlag(this.STATUS_VBLANK, false);
+        this.setStatusFlag(this.STATUS_SPRITE0HIT, false);
+        this.setStatusFlag(this.STATUS_SLSPRITECOUNT, false);
+      }
+      if (rendering) {
+        this.renderingDot(line, dot);
+      } else if (dot === 257) {
+        this.spriteCount = 0;
+      }
+      if (line >= 0 && dot >= 1 && dot <= 256) {
+        this.outputPixel(dot - 1, line, rendering);
+      }
+    } else if (this.scanline === 0 && dot === 1) {
+      // First vblank line (241 in hardware numbering).
+      this.setStatusFlag(this.STATUS_VBLANK, true);
+      this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NMI);
+      this.endFrame();
+      this.oddFrame = !this.oddFrame;
+      vblankStarted = true;
+    }
+
+    this.curX++;
+    // On odd NTSC frames the pre-render line is one dot shorter while
+    // rendering is enabled.
+    if (
+      this.curX === 341 ||
+      (this.curX === 340 && line === -1 && rendering && this.oddFrame && this.oddFrameDotSkip)
+    ) {
+      this.curX = 0;
+      this.endLine();
+    }
+    return vblankStarted;
+  }
+
+  endLine() {
+    this.scanline++;
+    if (this.scanline > this.lastScanline) {
+      this.scanline = 0;
+    }
+    const mmap = this.nes.mmap;
+    if (mmap !== null && mmap.hasPpuScanlineHook) {
+      mmap.onEndScanline(this.scanline);
+    }
+  }
+
+  // Fetches and scroll updates for a pre-render or visible line while
+  // rendering is enabled.
+  renderingDot(line, dot) {
+    const mmap = this.nes.mmap;
+
+    if ((dot >= 2 && dot <= 257) || (dot >= 322 && dot <= 337)) {
+      this.bgShiftLo = (this.bgShiftLo << 1) & 0xffff;
+      this.bgShiftHi = (this.bgShiftHi << 1) & 0xffff;
+      this.atShiftLo = (this.atShiftLo << 1) & 0xffff;
+      this.atShiftHi = (this.atShiftHi << 1) & 0xffff;
+      if ((dot & 7) === 1) {
+        this.bgShiftLo |= this.patternLo;
+        this.bgShiftHi |= this.patternHi;
+        this.atShiftLo |= this.atBits & 1 ? 0xff : 0;
+        this.atShiftHi |= this.atBits & 2 ? 0xff : 0;
+      }
+    }
+
+    if (mmap.hasPpuA13ChrSwitch) {
+      if (dot === 1 || dot === 321) {
+        mmap.notifyPpuA13(this.f_bgPatternTable);
+      } else if (dot === 257) {
+        mmap.notifyPpuA13(this.f_spPatternTable);
+      }
+    }
+
+    if ((dot >= 1 && dot <= 256) || (dot >= 321 && dot <= 336)) {
+      switch (dot & 7) {
+        case 1:
+          this.fetchNametableByte();
+          break;
+        case 3:
+          this.fetchAttributeBits();
+          break;
+        case 5:
+          this.patternLo = this.fetchPattern(this.bgPatternAddress());
+          break;
+        case 7:
+          this.patternHi = this.fetchPattern(this.bgPatternAddress() + 8);
+          this.fetchSplitPattern(line, dot);
+          break;
+        case 0:
+          this.incrementX();
+          if (dot === 256) this.incrementY();
+          break;
+      }
+    } else if (dot === 257) {
+      // Horizontal position comes back from t.
+      this.vramAddress = (this.vramAddress & ~0x041f) | (this.vramTmpAddress & 0x041f);
+      if (line >= 0) {
+        this.evaluateSprites(line);
+      } else {
+        this.spriteCount = 0;
+      }
+    } else if (line === -1 && dot >= 280 && dot <= 304) {
+      // So does the vertical position, repeatedly, on the pre-render line.
+      this.vramAddress = (this.vramAddress & ~0x7be0) | (this.vramTmpAddress & 0x7be0);
+    }
+
+    if (dot >= 257 && dot <= 320) {
+      // OAMADDR is cleared during sprite fetches.
+      this.sramAddress = 0;
+      const phase = (dot - 257) & 7;
+      if (phase === 4 || phase === 6) {
+        this.fetchSpritePattern((dot - 257) >> 3, line, phase === 6);
+      }
+      if (dot === 320) {
+        // Sprites past the limit (only kept when it is disabled) have no
+        // fetch slots of their own; they're read without touching the bus.
+        for (let i = 8; i < this.spriteCount; i++) {
+          this.fetchSpritePattern(i, line, false);
+          this.fetchSpritePattern(i, line, true);
+        }
+      }
+    }
+  }
+
+  bgPatternAddress() {
+    return (this.f_bgPatternTable << 12) | (this.ntByte << 4) | ((this.vramAddress >> 12) & 7);
+  }
+
+  // Reads a pattern byte, showing the address to mappers that watch the
+  // PPU bus (MMC3 A12, MMC2/MMC4 latch tiles).
+  fetchPattern(address) {
+    const mmap = this.nes.mmap;
+    if (mmap.hasScanlineIrq) {
+      mmap.notifyA12((address >> 12) & 1);
+    }
+    const value = this.vramMem[address];
+    if (mmap.hasChrLatch) {
+      mmap.latchAccess(address);
+    }
+    return value;
+  }
+
+  fetchNametableByte() {
+    this.ntByte = this.mirroredLoad(0x2000 | (this.vramAddress & 0x0fff));
+  }
+
+  fetchAttributeBits() {
+    const v = this.vramAddress;
+    const attrib = this.mirroredLoad(0x23c0 | (v & 0x0c00) | ((v >> 4) & 0x38) | ((v >> 2) & 0x07));
+    this.atBits = (attrib >> (((v >> 4) & 4) | (v & 2))) & 3;
+  }
+
+  // MMC5 vertical split: tiles in the split region come from the mapper's
+  // own nametable and scroll instead of the regular fetches.
+  fetchSplitPattern(line, dot) {
+    const mmap = this.nes.mmap;
+    if (mmap.hasVerticalSplit !== true || !mmap.isSplitActive()) return;
+    // Fetches on dots 321-336 are the first two tiles of the next line.
+    const nextLine = dot >= 321;
+    const tile = nextLine ? (dot - 321) >> 3 : ((dot - 1) >> 3) + 2;
+    if (tile > 31 || !mmap.inSplitRegion(tile)) return;
+    const splitY = mmap.getSplitY(nextLine ? line + 1 : line);
+    const t = mmap.getSplitTile(tile, splitY);
+    let lo = 0;
+    let hi = 0;
+    if (typeof t !== "undefined") {
+      const row = (splitY & 7) << 3;
+      for (let x = 0; x < 8; x++) {
+        const pixel = t.pix[row + x];
+        lo |= (pixel & 1) << (7 - x);
+        hi |= (pixel >> 1) << (7 - x);
+      }
+    }
+    this.patternLo = lo;
+    this.patternHi = hi;
+    this.atBits = mmap.getSplitAttrib(tile, splitY) >> 2;
+  }
+
+  // Coarse X, wrapping into the horizontally adjacent nametable.
+  incrementX() {
+    if ((this.vramAddress & 0x1f) === 31) {
+      this.vramAddress = (this.vramAddress & ~0x1f) ^ 0x400;
+    } else {
+      this.vramAddress++;
+    }
+  }
+
+  // Fine Y, then coarse Y; row 29 wraps into the vertically adjacent
+  // nametable, rows 30-31 (attribute data) wrap without switching.
+  incrementY() {
+    let v = this.vramAddress;
+    if ((v & 0x7000) !== 0x7000) {
+      v += 0x1000;
+    } else {
+      v &= ~0x7000;
+      let y = (v >> 5) & 31;
+      if (y === 29) {
+        y = 0;
+        v ^= 0x800;
+      } else if (y === 31) {
+        y = 0;
+      } else {
+        y++;
+      }
+      v = (v & ~0x3e0) | (y << 5);
+    }
+    this.vramAddress = v;
+  }
+
+  // Finds the sprites in OAM that cover the next line (the first 8 unless
+  // the limit is disabled) and copies them to secondary OAM.
+  evaluateSprites(line) {
+    const height = this.f_spriteSize === 0 ? 8 : 16;
+    const oam = this.spriteMem;
+    const secondary = this.secondaryOam;
+    const limit = this.evaluateSpriteLine(line);
+    secondary.fill(0xff);
+    let count = 0;
+    this.spriteZeroInLine = false;
+    for (let n = 0; n < limit; n++) {
+      const row = line - oam[n << 2];
+      if (row >= 0 && row < height) {
+        for (let i = 0; i < 4; i++) {
+          secondary[(count << 2) + i] = oam[(n << 2) + i];
+        }
+        if (n === 0) this.spriteZeroInLine = true;
+        count++;
+      }
+    }
+    this.spriteCount = count;
+  }
+
+  // From dot 257 on, $2004 reads the secondary OAM byte the sprite fetches
+  // are on (Y, tile, attribute, then X for the rest of each slot), and the
+  // first byte once they're done.
+  oamBusLoad(dot) {
+    if (dot >= 257 && dot <= 320) {
+      const slot = (dot - 257) >> 3;
+      return this.secondaryOam[(slot << 2) + Math.min((dot - 257) & 7, 3)];
+    }
+    if (dot > 320 || dot === 0) {
+      return this.secondaryOam[0];
+    }
+    return super.oamBusLoad(dot);
+  }
+
+  // Fetches one pattern byte for sprite slot i on the current line. Empty
+  // slots still fetch (tile $FF), which mappers watching A12 can see.
+  fetchSpritePattern(i, line, high) {
+    const secondary = this.secondaryOam;
+    const tile = secondary[(i << 2) + 1];
+    const attrib = secondary[(i << 2) + 2];
+    let row = i < this.spriteCount ? line - secondary[i << 2] : 0;
+    let address;
+    if (this.f_spriteSize === 0) {
+      if (attrib & 0x80) row = 7 - row;
+      address = (this.f_spPatternTable << 12) | (tile << 4) | (row & 7);
+    } else {
+      if (attrib & 0x80) row = 15 - row;
+      address = ((tile & 1) << 12) | ((tile & 0xfe) << 4) | ((row & 8) << 1) | (row & 7);
+    }
+    if (high) address += 8;
+    let value = i < 8 ? this.fetchPattern(address) : this.vramMem[address];
+    if (i >= this.spriteCount) return;
+
+    if (attrib & 0x40) {
+      value = REVERSED_BITS[value];
+    }
+    if (high) {
+      this.spritePatternHi[i] = value;
+    } else {
+      this.spritePatternLo[i] = value;
+      this.spriteAttrib[i] = attrib;
+      this.spriteXPos[i] = secondary[(i << 2) + 3];
+    }
+  }
+
+  outputPixel(x, line, rendering) {
+    let bgPixel = 0;
+    let bgPalette = 0;
+    if (this.f_bgVisibility === 1 && (x >= 8 || this.f_bgClipping === 1)) {
+      const bit = 15 - this.regFH;
+      bgPixel = (((this.bgShiftHi >> bit) & 1) << 1) | ((this.bgShiftLo >> bit) & 1);
+      bgPalette = (((this.atShiftHi >> bit) & 1) << 1) | ((this.atShiftLo >> bit) & 1);
+    }
+
+    let spPixel = 0;
+    let spAttrib = 0;
+    if (this.f_spVisibility === 1 && (x >= 8 || this.f_spClipping === 1)) {
+      for (let i = 0; i < this.spriteCount; i++) {
+        const offset = x - this.spriteXPos[i];
+        if (offset < 0 || offset > 7) continue;
+        const bit = 7 - offset;
+        const pixel = (((this.spritePatternHi[i] >> bit) & 1) << 1) | ((this.spritePatternLo[i] >> bit) & 1);
+        if (pixel === 0) continue;
+        if (i === 0 && this.spriteZeroInLine && bgPixel !== 0 && x !== 255) {
+          this.setStatusFlag(this.STATUS_SPRITE0HIT, true);
+        }
+        spPixel = pixel;
+        spAttrib = this.spriteAttrib[i];
+        break;
+      }
+    }
+
+    let color;
+    if (spPixel !== 0 && (bgPixel === 0 || (spAttrib & 0x20) === 0)) {
+      color = this.sprPalette[((spAttrib & 3) << 2) | spPixel];
+    } else if (bgPixel !== 0) {
+      color = this.imgPalette[(bgPalette << 2) | bgPixel];
+    } else if (!rendering && (this.vramAddress & 0x3f00) === 0x3f00) {
+      // With rendering off, the PPU shows the palette entry v points at.
+      const entry = this.vramAddress & 0x1f;
+      color = entry < 16 ? this.imgPalette[entry] : this.sprPalette[entry - 16];
+    } else {
+      color = this.imgPalette[0];
+    }
+    this.buffer[(line << 8) | x] = color;
+  }
+
+  // === CPU-facing registers (loopy v/t/x/w) ===
+
+  updateControlReg1(value) {
+    super.updateControlReg1(value);
+    this.vramTmpAddress = (this.vramTmpAddress & ~0x0c00) | ((value & 3) << 10);
+  }
+
+  scrollWrite(value) {
+    if (this.firstWrite) {
+      this.vramTmpAddress = (this.vramTmpAddress & ~0x1f) | (value >> 3);
+      this.regFH = value & 7;
+    } else {
+      this.vramTmpAddress = (this.vramTmpAddress & ~0x73e0) | ((value & 7) << 12) | ((value & 0xf8) << 2);
+    }
+    this.firstWrite = !this.firstWrite;
+  }
+
+  writeVRAMAddress(value) {
+    if (this.firstWrite) {
+      this.vramTmpAddress = (this.vramTmpAddress & 0xff) | ((value & 0x3f) << 8);
+    } else {
+      this.vramTmpAddress = (this.vramTmpAddress & 0x7f00) | value;
+      this.vramAddress = this.vramTmpAddress;
+      this.addressBusUpdate(this.vramAddress & 0x3fff);
+    }
+    this.firstWrite = !this.firstWrite;
+  }
+
+  vramLoad() {
+    const address = this.vramAddress & 0x3fff;
+    const mmap = this.nes.mmap;
+    if (mmap.hasPpuAddressHook) {
+      mmap.ppuAddressUpdate(address);
+    }
+    let value;
+    if (address < 0x3f00) {
+      value = this.vramBufferedReadValue;
+      this.vramBufferedReadValue = address < 0x2000 ? this.vramMem[address] : this.mirroredLoad(address);
+      this.setIoBus(value, 0xff);
+    } else {
+      value = this.paletteLoad(address);
+    }
+    if (address < 0x2000 && mmap.hasChrLatch) {
+      mmap.latchAccess(address);
+    }
+    this.incrementVramAddress();
+    return value;
+  }
+
+  vramWrite(value) {
+    const address = this.vramAddress & 0x3fff;
+    const mmap = this.nes.mmap;
+    if (typeof mmap.ppuAddressUpdate === "function") {
+      mmap.ppuAddressUpdate(address);
+    }
+    if (address >= 0x2000) {
+      this.mirroredWrite(address, value);
+    } else {
+      this.writeMem(address, value);
+      if (mmap.hasChrLatch) {
+        mmap.latchAccess(address);
+      }
+    }
+    this.incrementVramAddress();
+  }
+
+  // While rendering is in progress on a pre-render or visible line, $2007
+  // accesses disturb v (coarse X and Y increments) instead of incrementing
+  // it normally.
+  incrementVramAddress() {
+    if (this.isRenderingLine()) {
+      this.incrementX();
+      this.incrementY();
+    } else {
+      this.vramAddress = (this.vramAddress + (this.f_addrInc === 1 ? 32 : 1)) & 0x7fff;
+      this.addressBusUpdate(this.vramAddress & 0x3fff);
+    }
+  }
+
+  // Outside rendering, v drives the PPU address bus, so mappers see its
+  // A12 (games clock the MMC3 counter this way) and latch tiles.
+  addressBusUpdate(address) {
+    const mmap = this.nes.mmap;
+    if (mmap === null) return;
+    if (mmap.hasScanlineIrq) {
+      mmap.notifyA12((address >> 12) & 1);
+    }
+    if (address < 0x2000 && mmap.hasChrLatch) {
+      mmap.latchAccess(address);
+    }
+  }
+}
+
+// Bit-reversed bytes, for horizontally flipped sprites.
+const REVERSED_BITS = new Uint8Array(256);
+for (let i = 0; i < 256; i++) {
+  let r = 0;
+  for (let b = 0; b < 8; b++) {
+    if (i & (1 << b)) r |= 0x80 >> b;
+  }
+  REVERSED_BITS[i] = r;
+}
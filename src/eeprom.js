@@ -0,0 +1,242 @@
+// Serial (I²C) EEPROMs used for saves on Bandai boards.
+//
+// The mapper drives the clock (SCL) and data (SDA) lines through a register
+// and reads SDA back; write(scl, sda) takes the new line levels and read()
+// returns the chip's SDA output. A start condition is SDA falling while
+// SCL is high, a stop is SDA rising while SCL is high; data bits are latched
+// on rising clock edges.
+
+const MODE_IDLE = 0;
+const MODE_CHIP_ADDRESS = 1;
+const MODE_ADDRESS = 2;
+const MODE_READ = 3;
+const MODE_WRITE = 4;
+const MODE_SEND_ACK = 5;
+const MODE_WAIT_ACK = 6;
+
+class SerialEeprom {
+  constructor(size) {
+    this.data = new Uint8Array(size);
+    // Called when a write changes the contents, so the mapper can report a
+    // battery RAM change.
+    this.onWrite = null;
+    this.reset();
+  }
+
+  // The contents survive a reset; only the bus state is cleared.
+  reset() {
+    this.mode = MODE_IDLE;
+    this.nextMode = MODE_IDLE;
+    this.address = 0;
+    this.chipAddress = 0;
+    this.shift = 0;
+    this.bitCount = 0;
+    this.output = 1;
+    this.prevScl = 0;
+    this.prevSda = 0;
+  }
+
+  read() {
+    return this.output;
+  }
+
+  write(scl, sda) {
+    if (this.prevScl && scl && sda < this.prevSda) {
+      this.start();
+    } else if (this.prevScl && scl && sda > this.prevSda) {
+      this.mode = MODE_IDLE;
+      this.output = 1;
+    } else if (scl > this.prevScl) {
+      this.clockRise(sda);
+    } else if (scl < this.prevScl) {
+      this.clockFall();
+    }
+    this.prevScl = scl;
+    this.prevSda = sda;
+  }
+
+  // Shifts in a received bit, MSB first unless overridden.
+  receiveBit(sda) {
+    if (this.bitCount < 8) {
+      this.shift = ((this.shift << 1) | sda) & 0xff;
+      this.bitCount++;
+    }
+  }
+
+  sendBit() {
+    if (this.bitCount < 8) {
+      this.output = (this.shift >> (7 - this.bitCount)) & 1;
+      this.bitCount++;
+    }
+  }
+
+  beginRead() {
+    this.shift = this.data[this.address];
+  }
+
+  clockRise(sda) {
+    switch (this.mode) {
+      case MODE_CHIP_ADDRESS:
+      case MODE_ADDRESS:
+      case MODE_WRITE:
+        this.receiveBit(sda);
+        break;
+      case MODE_READ:
+        this.sendBit();
+        break;
+      case MODE_SEND_ACK:
+        this.output = 0;
+        break;
+      case MODE_WAIT_ACK:
+        // The master acknowledges (SDA low) to keep reading.
+        this.nextMode = sda ? MODE_IDLE : MODE_READ;
+        break;
+    }
+  }
+
+  clockFall() {
+    switch (this.mode) {
+      case MODE_SEND_ACK:
+      case MODE_WAIT_ACK:
+        this.mode = this.nextMode;
+        this.bitCount = 0;
+        this.output = 1;
+        if (this.mode === MODE_READ) {
+          this.beginRead();
+        }
+        break;
+      case MODE_READ:
+        if (this.bitCount === 8) {
+          this.mode = MODE_WAIT_ACK;
+          this.address = (this.address + 1) % this.data.length;
+        }
+        break;
+      case MODE_CHIP_ADDRESS:
+      case MODE_ADDRESS:
+      case MODE_WRITE:
+        if (this.bitCount === 8) {
+          this.byteReceived();
+        }
+        break;
+    }
+  }
+
+  acknowledge(nextMode) {
+    this.mode = MODE_SEND_ACK;
+    this.nextMode = nextMode;
+    this.output = 1;
+  }
+
+  storeByte(value) {
+    if (this.data[this.address] !== value) {
+      this.data[this.address] = value;
+      if (this.onWrite !== null) this.onWrite();
+    }
+  }
+
+  toJSON() {
+    return {
+      data: Array.from(this.data),
+      mode: this.mode,
+      nextMode: this.nextMode,
+      address: this.address,
+      chipAddress: this.chipAddress,
+      shift: this.shift,
+      bitCount: this.bitCount,
+      output: this.output,
+      prevScl: this.prevScl,
+      prevSda: this.prevSda,
+    };
+  }
+
+  fromJSON(s) {
+    this.data.set(s.data);
+    this.mode = s.mode;
+    this.nextMode = s.nextMode;
+    this.address = s.address;
+    this.chipAddress = s.chipAddress;
+    this.shift = s.shift;
+    this.bitCount = s.bitCount;
+    this.output = s.output;
+    this.prevScl = s.prevScl;
+    this.prevSda = s.prevSda;
+  }
+}
+
+// 128 bytes (Xicor X24C01). There is no device address: the start
+// condition is followed by a 7-bit word address and the R/W bit, and all
+// bytes travel LSB first. Sequential writes wrap within a 4-byte page.
+export class Eeprom24C01 extends SerialEeprom {
+  constructor() {
+    super(128);
+  }
+
+  start() {
+    this.mode = MODE_ADDRESS;
+    this.bitCount = 0;
+    this.output = 1;
+  }
+
+  receiveBit(sda) {
+    if (this.bitCount < 8) {
+      this.shift = (this.shift & ~(1 << this.bitCount)) | (sda << this.bitCount);
+      this.bitCount++;
+    }
+  }
+
+  sendBit() {
+    if (this.bitCount < 8) {
+      this.output = (this.shift >> this.bitCount) & 1;
+      this.bitCount++;
+    }
+  }
+
+  byteReceived() {
+    if (this.mode === MODE_ADDRESS) {
+      this.address = this.shift & 0x7f;
+      this.acknowledge(this.shift & 0x80 ? MODE_READ : MODE_WRITE);
+    } else {
+      this.storeByte(this.shift);
+      this.address = (this.address & 0x7c) | ((this.address + 1) & 3);
+      this.acknowledge(MODE_WRITE);
+    }
+  }
+}
+
+// 256 bytes (24C02). A device address byte (1010xxx plus R/W) follows the
+// start condition; writes send the word address first, and a read after
+// a repeated start continues from it. Bytes travel MSB first, and
+// sequential writes wrap within an 8-byte page.
+export class Eeprom24C02 extends SerialEeprom {
+  constructor() {
+    super(256);
+  }
+
+  start() {
+    this.mode = MODE_CHIP_ADDRESS;
+    this.bitCount = 0;
+    this.output = 1;
+  }
+
+  byteReceived() {
+    switch (this.mode) {
+      case MODE_CHIP_ADDRESS:
+        this.chipAddress = this.shift;
+        if ((this.shift & 0xf0) !== 0xa0) {
+          this.mode = MODE_IDLE;
+        } else {
+          this.acknowledge(this.shift & 1 ? MODE_READ : MODE_ADDRESS);
+        }
+        break;
+      case MODE_ADDRESS:
+        this.address = this.shift;
+        this.acknowledge(MODE_WRITE);
+        break;
+      case MODE_WRITE:
+        this.storeByte(this.shift);
+        this.address = (this.address & 0xf8) | ((this.address + 1) & 7);
+        this.acknowledge(MODE_WRITE);
+        break;
+    }
+  }
+}
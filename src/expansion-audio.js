@@ -0,0 +1,1121 @@
+import { toJSON, fromJSON } from "./utils.js";
+import { Opll } from "./opll.js";
+
+// Expansion audio chips found on cartridges and the Famicom Disk System.
+//
+// Each chip is clocked once per CPU cycle through clock(nCycles) and reports
+// its current level through getSample(), in the same units the PAPU mixer
+// uses for the 2A03 channels (a single pulse channel at full volume is
+// roughly 7300). Mappers own the chip, forward register writes to it and
+// expose it to the PAPU through the hasExpansionAudio capability.
+
+// ============================================================
+// FDS audio (RP2C33): 64-step wavetable with a frequency modulator
+// ============================================================
+
+// Modulation table entries: 0, +1, +2, +4, reset, -4, -2, -1.
+const FDS_MOD_STEP = [0, 1, 2, 4, 0, -4, -2, -1];
+const FDS_MOD_RESET = 4;
+
+// $4089 master volume: 2/2, 2/3, 2/4, 2/5 (out of 36).
+const FDS_MASTER_VOLUME = [36, 24, 17, 14];
+
+// The FDS channel peaks at about 2.4x a full-volume 2A03 pulse. Wave output
+// is 0-63, so this maps 63 to 2.4 * 7321.
+const FDS_OUTPUT_SCALE = 279;
+
+export class FdsAudio {
+  constructor() {
+    this.waveTable = new Uint8Array(64);
+    this.modTable = new Uint8Array(64);
+
+    this.JSON_PROPERTIES = [
+      "waveTable",
+      "modTable",
+      "waveWriteEnabled",
+      "haltWaveform",
+      "disableEnvelopes",
+      "masterVolume",
+      "masterEnvelopeSpeed",
+      "wavePosition",
+      "waveAccumulator",
+      "output",
+      "volSpeed",
+      "volIncrease",
+      "volEnvelopeOff",
+      "volGain",
+      "volTimer",
+      "waveFrequency",
+      "modSpeed",
+      "modIncrease",
+      "modEnvelopeOff",
+      "modGain",
+      "modTimer",
+      "modFrequency",
+      "modDisabled",
+      "modCounter",
+      "modPosition",
+      "modAccumulator",
+      "modOutput",
+    ];
+
+    this.reset();
+  }
+
+  reset() {
+    this.waveTable.fill(0);
+    this.modTable.fill(0);
+    this.waveWriteEnabled = false;
+    this.haltWaveform = false;
+    this.disableEnvelopes = false;
+    this.masterVolume = 0;
+    this.masterEnvelopeSpeed = 0xe8;
+
+    this.wavePosition = 0;
+    this.waveAccumulator = 0;
+    this.output = 0;
+
+    // Volume envelope ($4080) and wave frequency ($4082/$4083)
+    this.volSpeed = 0;
+    this.volIncrease = false;
+    this.volEnvelopeOff = false;
+    this.volGain = 0;
+    this.volTimer = 0;
+    this.waveFrequency = 0;
+
+    // Modulation envelope ($4084), counter ($4085) and unit ($4086-$4088)
+    this.modSpeed = 0;
+    this.modIncrease = false;
+    this.modEnvelopeOff = false;
+    this.modGain = 0;
+    this.modTimer = 0;
+    this.modFrequency = 0;
+    this.modDisabled = true;
+    this.modCounter = 0;
+    this.modPosition = 0;
+    this.modAccumulator = 0;
+    this.modOutput = 0;
+  }
+
+  // $4040-$4097. Writes to the wave table only land while $4089 bit 7 is set.
+  writeReg(address, value) {
+    if (address < 0x4080) {
+      if (this.waveWriteEnabled) {
+        this.waveTable[address & 0x3f] = value & 0x3f;
+      }
+      return;
+    }
+    switch (address) {
+      case 0x4080:
+        this.volSpeed = value & 0x3f;
+        this.volIncrease = (value & 0x40) !== 0;
+        this.volEnvelopeOff = (value & 0x80) !== 0;
+        this.volTimer = this.envelopePeriod(this.volSpeed);
+        if (this.volEnvelopeOff) {
+          this.volGain = this.volSpeed;
+        }
+        break;
+      case 0x4082:
+        this.waveFrequency = (this.waveFrequency & 0xf00) | value;
+        break;
+      case 0x4083:
+        this.waveFrequency = (this.waveFrequency & 0xff) | ((value & 0x0f) << 8);
+        this.haltWaveform = (value & 0x80) !== 0;
+        this.disableEnvelopes = (value & 0x40) !== 0;
+        if (this.haltWaveform) {
+          this.wavePosition = 0;
+          this.waveAccumulator = 0;
+        }
+        if (this.disableEnvelopes) {
+          this.volTimer = this.envelopePeriod(this.volSpeed);
+          this.modTimer = this.envelopePeriod(this.modSpeed);
+        }
+        break;
+      case 0x4084:
+        this.modSpeed = value & 0x3f;
+        this.modIncrease = (value & 0x40) !== 0;
+        this.modEnvelopeOff = (value & 0x80) !== 0;
+        this.modTimer = this.envelopePeriod(this.modSpeed);
+        if (this.modEnvelopeOff) {
+          this.modGain = this.modSpeed;
+        }
+        this.updateModOutput();
+        break;
+      case 0x4085:
+        this.setModCounter(value & 0x7f);
+        this.updateModOutput();
+        break;
+      case 0x4086:
+        this.modFrequency = (this.modFrequency & 0xf00) | value;
+        break;
+      case 0x4087:
+        this.modFrequency = (this.modFrequency & 0xff) | ((value & 0x0f) << 8);
+        this.modDisabled = (value & 0x80) !== 0;
+        if (this.modDisabled) {
+          this.modAccumulator = 0;
+        }
+        break;
+      case 0x4088:
+        // The mod table is a 32-entry FIFO written in pairs, only while
+        // the modulator is halted.
+        if (this.modDisabled) {
+          this.modTable[this.modPosition & 0x3f] = value & 7;
+          this.modTable[(this.modPosition + 1) & 0x3f] = value & 7;
+          this.modPosition = (this.modPosition + 2) & 0x3f;
+        }
+        break;
+      case 0x4089:
+        this.masterVolume = value & 3;
+        this.waveWriteEnabled = (value & 0x80) !== 0;
+        break;
+      case 0x408a:
+        this.masterEnvelopeSpeed = value;
+        break;
+    }
+  }
+
+  // $4040-$407F return the wave table, $4090/$4092 the envelope gains.
+  readReg(address) {
+    if (address < 0x4080) {
+      return this.waveTable[address & 0x3f] | 0x40;
+    }
+    if (address === 0x4090) {
+      return this.volGain | 0x40;
+    }
+    if (address === 0x4092) {
+      return this.modGain | 0x40;
+    }
+    return 0x40;
+  }
+
+  envelopePeriod(speed) {
+    return 8 * (speed + 1) * this.masterEnvelopeSpeed;
+  }
+
+  setModCounter(value) {
+    // 7-bit signed
+    this.modCounter = value >= 64 ? value - 128 : value < -64 ? value + 128 : value;
+  }
+
+  // Pitch offset applied to the wave frequency, using the hardware's
+  // rounding (from the nesdev FDS audio notes).
+  updateModOutput() {
+    let temp = this.modCounter * this.modGain;
+    let remainder = temp & 0xf;
+    temp >>= 4;
+    if (remainder > 0 && (temp & 0x80) === 0) {
+      temp += this.modCounter < 0 ? -1 : 2;
+    }
+    if (temp >= 192) {
+      temp -= 256;
+    } else if (temp < -64) {
+      temp += 256;
+    }
+    temp = this.waveFrequency * temp;
+    remainder = temp & 0x3f;
+    temp >>= 6;
+    if (remainder >= 32) {
+      temp += 1;
+    }
+    this.modOutput = temp;
+  }
+
+  clock(nCycles) {
+    for (let i = 0; i < nCycles; i++) {
+      this.clockCycle();
+    }
+  }
+
+  clockCycle() {
+    if (!this.haltWaveform && !this.disableEnvelopes && this.masterEnvelopeSpeed > 0) {
+      if (!this.volEnvelopeOff && --this.volTimer <= 0) {
+        this.volTimer = this.envelopePeriod(this.volSpeed);
+        if (this.volIncrease) {
+          if (this.volGain < 32) this.volGain++;
+        } else if (this.volGain > 0) {
+          this.volGain--;
+        }
+      }
+      if (!this.modEnvelopeOff && --this.modTimer <= 0) {
+        this.modTimer = this.envelopePeriod(this.modSpeed);
+        if (this.modIncrease) {
+          if (this.modGain < 32) this.modGain++;
+        } else if (this.modGain > 0) {
+          this.modGain--;
+        }
+        this.updateModOutput();
+      }
+    }
+
+    const modEnabled = !this.modDisabled && this.modFrequency > 0;
+    if (modEnabled) {
+      // 16-bit accumulator; each overflow steps through the mod table.
+      this.modAccumulator += this.modFrequency;
+      if (this.modAccumulator > 0xffff) {
+        this.modAccumulator &= 0xffff;
+        const step = this.modTable[this.modPosition];
+        this.setModCounter(step === FDS_MOD_RESET ? 0 : this.modCounter + FDS_MOD_STEP[step]);
+        this.modPosition = (this.modPosition + 1) & 0x3f;
+        this.updateModOutput();
+      }
+    }
+
+    if (this.haltWaveform) {
+      this.wavePosition = 0;
+    } else {
+      const pitch = this.waveFrequency + (modEnabled ? this.modOutput : 0);
+      if (pitch > 0 && !this.waveWriteEnabled) {
+        this.waveAccumulator += pitch;
+        if (this.waveAccumulator > 0xffff) {
+          this.waveAccumulator &= 0xffff;
+          this.wavePosition = (this.wavePosition + 1) & 0x3f;
+        }
+      }
+    }
+
+    // While the wave table is writable the output holds its last value.
+    if (!this.waveWriteEnabled) {
+      const level = Math.min(this.volGain, 32) * FDS_MASTER_VOLUME[this.masterVolume];
+      this.output = Math.floor((this.waveTable[this.wavePosition] * level) / 1152);
+    }
+  }
+
+  getSample() {
+    return this.output * FDS_OUTPUT_SCALE;
+  }
+
+  toJSON() {
+    const s = toJSON(this);
+    s.waveTable = Array.from(this.waveTable);
+    s.modTable = Array.from(this.modTable);
+    return s;
+  }
+
+  fromJSON(s) {
+    const waveTable = this.waveTable;
+    const modTable = this.modTable;
+    fromJSON(this, s);
+    waveTable.set(s.waveTable);
+    modTable.set(s.modTable);
+    this.waveTable = waveTable;
+    this.modTable = modTable;
+  }
+}
+
+// ============================================================
+// VRC6 audio: two pulse channels and a sawtooth
+// ============================================================
+
+// Outputs are summed linearly (pulses 0-15 each, saw 0-31). A full-volume
+// VRC6 pulse is about as loud as a full-volume 2A03 pulse.
+const VRC6_OUTPUT_SCALE = 488;
+
+class Vrc6Pulse {
+  constructor() {
+    this.JSON_PROPERTIES = ["volume", "duty", "ignoreDuty", "period", "enabled", "timer", "step"];
+    this.reset();
+  }
+
+  reset() {
+    this.volume = 0;
+    this.duty = 0;
+    this.ignoreDuty = false;
+    this.period = 0;
+    this.enabled = false;
+    this.timer = 0;
+    this.step = 0;
+  }
+
+  // reg 0: MDDD VVVV, reg 1: period low, reg 2: E... PPPP
+  writeReg(reg, value) {
+    switch (reg) {
+      case 0:
+        this.volume = value & 0x0f;
+        this.duty = (value >> 4) & 7;
+        this.ignoreDuty = (value & 0x80) !== 0;
+        break;
+      case 1:
+        this.period = (this.period & 0xf00) | value;
+        break;
+      case 2:
+        this.period = (this.period & 0xff) | ((value & 0x0f) << 8);
+        this.enabled = (value & 0x80) !== 0;
+        if (!this.enabled) {
+          this.step = 0;
+        }
+        break;
+    }
+  }
+
+  clock(shift) {
+    if (!this.enabled) return;
+    if (--this.timer < 0) {
+      this.timer = this.period >> shift;
+      this.step = (this.step - 1) & 0x0f;
+    }
+  }
+
+  getOutput() {
+    if (!this.enabled) return 0;
+    return this.ignoreDuty || this.step <= this.duty ? this.volume : 0;
+  }
+
+  toJSON() {
+    return toJSON(this);
+  }
+
+  fromJSON(s) {
+    fromJSON(this, s);
+  }
+}
+
+class Vrc6Saw {
+  constructor() {
+    this.JSON_PROPERTIES = ["rate", "period", "enabled", "timer", "step", "accumulator"];
+    this.reset();
+  }
+
+  reset() {
+    this.rate = 0;
+    this.period = 0;
+    this.enabled = false;
+    this.timer = 0;
+    this.step = 0;
+    this.accumulator = 0;
+  }
+
+  // reg 0: ..AA AAAA accumulator rate, reg 1: period low, reg 2: E... PPPP
+  writeReg(reg, value) {
+    switch (reg) {
+      case 0:
+        this.rate = value & 0x3f;
+        break;
+      case 1:
+        this.period = (this.period & 0xf00) | value;
+        break;
+      case 2:
+        this.period = (this.period & 0xff) | ((value & 0x0f) << 8);
+        this.enabled = (value & 0x80) !== 0;
+        if (!this.enabled) {
+          this.step = 0;
+          this.accumulator = 0;
+        }
+        break;
+    }
+  }
+
+  // The accumulator takes the rate on every second timer clock; the
+  // seventh addition (the 14th clock) resets it instead.
+  clock(shift) {
+    if (!this.enabled) return;
+    if (--this.timer < 0) {
+      this.timer = this.period >> shift;
+      this.step++;
+      if (this.step === 14) {
+        this.step = 0;
+        this.accumulator = 0;
+      } else if ((this.step & 1) === 0) {
+        this.accumulator = (this.accumulator + this.rate) & 0xff;
+      }
+    }
+  }
+
+  getOutput() {
+    return this.enabled ? this.accumulator >> 3 : 0;
+  }
+
+  toJSON() {
+    return toJSON(this);
+  }
+
+  fromJSON(s) {
+    fromJSON(this, s);
+  }
+}
+
+export class Vrc6Audio {
+  constructor() {
+    this.pulse1 = new Vrc6Pulse();
+    this.pulse2 = new Vrc6Pulse();
+    this.saw = new Vrc6Saw();
+    this.reset();
+  }
+
+  reset() {
+    this.pulse1.reset();
+    this.pulse2.reset();
+    this.saw.reset();
+    this.halt = false;
+    this.freqShift = 0;
+  }
+
+  // $9000-$9002 pulse 1, $A000-$A002 pulse 2, $B000-$B002 saw, $9003
+  // frequency control. reg is the register number after the board's
+  // address line wiring has been applied (0-3).
+  writeReg(address, reg, value) {
+    switch (address) {
+      case 0x9000:
+        if (reg === 3) {
+          // Bit 0 halts all channels; bits 1/2 speed them up 16x/256x.
+          this.halt = (value & 1) !== 0;
+          this.freqShift = value & 4 ? 8 : value & 2 ? 4 : 0;
+        } else {
+          this.pulse1.writeReg(reg, value);
+        }
+        break;
+      case 0xa000:
+        this.pulse2.writeReg(reg, value);
+        break;
+      case 0xb000:
+        this.saw.writeReg(reg, value);
+        break;
+    }
+  }
+
+  clock(nCycles) {
+    if (this.halt) return;
+    const shift = this.freqShift;
+    for (let i = 0; i < nCycles; i++) {
+      this.pulse1.clock(shift);
+      this.pulse2.clock(shift);
+      this.saw.clock(shift);
+    }
+  }
+
+  getSample() {
+    return (this.pulse1.getOutput() + this.pulse2.getOutput() + this.saw.getOutput()) * VRC6_OUTPUT_SCALE;
+  }
+
+  toJSON() {
+    return {
+      pulse1: this.pulse1.toJSON(),
+      pulse2: this.pulse2.toJSON(),
+      saw: this.saw.toJSON(),
+      halt: this.halt,
+      freqShift: this.freqShift,
+    };
+  }
+
+  fromJSON(s) {
+    this.pulse1.fromJSON(s.pulse1);
+    this.pulse2.fromJSON(s.pulse2);
+    this.saw.fromJSON(s.saw);
+    this.halt = s.halt;
+    this.freqShift = s.freqShift;
+  }
+}
+
+// ============================================================
+// VRC7 audio: six-channel OPLL FM synthesizer
+// ============================================================
+
+// The OPLL produces a sample every 36 CPU cycles.
+const VRC7_CLOCK_DIVIDER = 36;
+
+// A full-scale FM channel is a little louder than a full-volume 2A03 pulse.
+const VRC7_OUTPUT_SCALE = 8000;
+
+export class Vrc7Audio {
+  constructor() {
+    this.opll = new Opll();
+    this.reset();
+  }
+
+  reset() {
+    this.opll.reset();
+    this.divider = 0;
+    this.muted = false;
+  }
+
+  writeAddress(value) {
+    this.opll.writeAddress(value);
+  }
+
+  writeData(value) {
+    this.opll.writeData(value);
+  }
+
+  // $E000 bit 6 holds the sound chip in reset.
+  setMuted(muted) {
+    if (muted && !this.muted) {
+      this.opll.reset();
+    }
+    this.muted = muted;
+  }
+
+  clock(nCycles) {
+    if (this.muted) return;
+    this.divider += nCycles;
+    while (this.divider >= VRC7_CLOCK_DIVIDER) {
+      this.divider -= VRC7_CLOCK_DIVIDER;
+      this.opll.clock();
+    }
+  }
+
+  getSample() {
+    return this.muted ? 0 : Math.round(this.opll.output * VRC7_OUTPUT_SCALE);
+  }
+
+  toJSON() {
+    return {
+      opll: this.opll.toJSON(),
+      divider: this.divider,
+      muted: this.muted,
+    };
+  }
+
+  fromJSON(s) {
+    this.opll.fromJSON(s.opll);
+    this.divider = s.divider;
+    this.muted = s.muted;
+  }
+}
+
+// ============================================================
+// Namco 163 audio: up to 8 wavetable channels in internal RAM
+// ============================================================
+
+// One channel is updated every 15 CPU cycles, round-robin.
+const N163_UPDATE_CYCLES = 15;
+
+// The chip outputs one channel at a time, so the average level drops as
+// more channels are enabled. A lone channel at full volume peaks at about
+// 1.4x a full-volume 2A03 pulse.
+const N163_OUTPUT_SCALE = 100;
+
+export class Namco163Audio {
+  constructor() {
+    // 128 bytes of internal RAM: wave samples (two 4-bit samples per byte)
+    // with the channel registers in the top 64 bytes. Battery-backed on
+    // some boards.
+    this.ram = new Uint8Array(128);
+    this.channelOutput = new Int32Array(8);
+    this.reset();
+  }
+
+  // The RAM isn't cleared on reset; it may be battery-backed.
+  reset() {
+    this.channelOutput.fill(0);
+    this.address = 0;
+    this.autoIncrement = false;
+    this.disabled = false;
+    this.cycles = 0;
+    this.currentChannel = 7;
+  }
+
+  // $F800: bits 0-6 RAM address, bit 7 auto-increment.
+  writeAddress(value) {
+    this.address = value & 0x7f;
+    this.autoIncrement = (value & 0x80) !== 0;
+  }
+
+  // $4800 data port.
+  writeData(value) {
+    this.ram[this.address] = value;
+    this.stepAddress();
+  }
+
+  readData() {
+    const value = this.ram[this.address];
+    this.stepAddress();
+    return value;
+  }
+
+  stepAddress() {
+    if (this.autoIncrement) {
+      this.address = (this.address + 1) & 0x7f;
+    }
+  }
+
+  // The last N channels (7 down to 8-N) are enabled, N being $7F bits
+  // 4-6 plus one.
+  channelCount() {
+    return ((this.ram[0x7f] >> 4) & 7) + 1;
+  }
+
+  clock(nCycles) {
+    if (this.disabled) return;
+    this.cycles += nCycles;
+    while (this.cycles >= N163_UPDATE_CYCLES) {
+      this.cycles -= N163_UPDATE_CYCLES;
+      this.updateChannel(this.currentChannel);
+      this.currentChannel--;
+      if (this.currentChannel < 8 - this.channelCount()) {
+        this.currentChannel = 7;
+      }
+    }
+  }
+
+  // Channel registers at $40 + 8 * channel: frequency (18 bits in bytes
+  // 0, 2 and 4), phase (24 bits in 1, 3 and 5), wave length (byte 4, in
+  // units of 4 samples counted down from 256), wave address and volume.
+  updateChannel(channel) {
+    const ram = this.ram;
+    const base = 0x40 + channel * 8;
+    const freq = ram[base] | (ram[base + 2] << 8) | ((ram[base + 4] & 3) << 16);
+    const length = (256 - (ram[base + 4] & 0xfc)) << 16;
+    let phase = ram[base + 1] | (ram[base + 3] << 8) | (ram[base + 5] << 16);
+
+    phase = (phase + freq) % length;
+    ram[base + 1] = phase & 0xff;
+    ram[base + 3] = (phase >> 8) & 0xff;
+    ram[base + 5] = (phase >> 16) & 0xff;
+
+    const sampleAddress = (ram[base + 6] + (phase >> 16)) & 0xff;
+    const sampleByte = ram[sampleAddress >> 1];
+    const sample = sampleAddress & 1 ? sampleByte >> 4 : sampleByte & 0x0f;
+    this.channelOutput[channel] = (sample - 8) * (ram[base + 7] & 0x0f);
+  }
+
+  getSample() {
+    if (this.disabled) return 0;
+    const count = this.channelCount();
+    let sum = 0;
+    for (let i = 8 - count; i < 8; i++) {
+      sum += this.channelOutput[i];
+    }
+    return Math.round((sum / count) * N163_OUTPUT_SCALE);
+  }
+
+  toJSON() {
+    return {
+      ram: Array.from(this.ram),
+      channelOutput: Array.from(this.channelOutput),
+      address: this.address,
+      autoIncrement: this.autoIncrement,
+      disabled: this.disabled,
+      cycles: this.cycles,
+      currentChannel: this.currentChannel,
+    };
+  }
+
+  fromJSON(s) {
+    this.ram.set(s.ram);
+    this.channelOutput.set(s.channelOutput);
+    this.address = s.address;
+    this.autoIncrement = s.autoIncrement;
+    this.disabled = s.disabled;
+    this.cycles = s.cycles;
+    this.currentChannel = s.currentChannel;
+  }
+}
+
+// ============================================================
+// Sunsoft 5B audio: AY-3-8910 compatible (3 squares, noise, envelope)
+// ============================================================
+
+// Tone, noise and envelope counters are clocked every 16 CPU cycles.
+const S5B_PRESCALER = 16;
+
+// A single channel at full volume is a little louder than a full-volume
+// 2A03 pulse.
+const S5B_OUTPUT_SCALE = 9000;
+
+// Output amplitude for the 32 envelope levels, 1.5 dB apart. Fixed
+// volumes v map to level 2v+1.
+const S5B_LEVELS = new Float64Array(32);
+for (let i = 1; i < 32; i++) {
+  S5B_LEVELS[i] = Math.pow(10, ((i - 31) * 1.5) / 20);
+}
+
+export class Sunsoft5bAudio {
+  constructor() {
+    this.regs = new Uint8Array(16);
+    this.toneCounter = new Int32Array(3);
+    this.toneOutput = new Uint8Array(3);
+    this.reset();
+  }
+
+  reset() {
+    this.regs.fill(0);
+    this.toneCounter.fill(0);
+    this.toneOutput.fill(0);
+    this.address = 0;
+    this.prescaler = 0;
+    this.noiseCounter = 0;
+    this.noiseToggle = false;
+    this.noiseShift = 1;
+    this.envelopeCounter = 0;
+    this.envelopeStep = 0;
+    this.envelopeAttack = false;
+    this.envelopeHolding = false;
+  }
+
+  // $C000: register select; $E000: register data.
+  writeAddress(value) {
+    this.address = value & 0x0f;
+  }
+
+  writeData(value) {
+    this.regs[this.address] = value;
+    if (this.address === 13) {
+      // Writing the shape restarts the envelope.
+      this.envelopeStep = 0;
+      this.envelopeCounter = 0;
+      this.envelopeAttack = (value & 0x04) !== 0;
+      this.envelopeHolding = false;
+    }
+  }
+
+  clock(nCycles) {
+    this.prescaler += nCycles;
+    while (this.prescaler >= S5B_PRESCALER) {
+      this.prescaler -= S5B_PRESCALER;
+      this.tick();
+    }
+  }
+
+  tick() {
+    const regs = this.regs;
+    for (let ch = 0; ch < 3; ch++) {
+      const period = regs[ch * 2] | ((regs[ch * 2 + 1] & 0x0f) << 8);
+      if (++this.toneCounter[ch] >= period) {
+        this.toneCounter[ch] = 0;
+        this.toneOutput[ch] ^= 1;
+      }
+    }
+
+    // The noise LFSR (17 bits, taps 0 and 3) shifts at half the tone rate.
+    const noisePeriod = regs[6] & 0x1f;
+    if (++this.noiseCounter >= noisePeriod) {
+      this.noiseCounter = 0;
+      this.noiseToggle = !this.noiseToggle;
+      if (this.noiseToggle) {
+        const bit = (this.noiseShift ^ (this.noiseShift >> 3)) & 1;
+        this.noiseShift = (this.noiseShift >> 1) | (bit << 16);
+      }
+    }
+
+    const envelopePeriod = regs[11] | (regs[12] << 8);
+    if (++this.envelopeCounter >= envelopePeriod) {
+      this.envelopeCounter = 0;
+      this.stepEnvelope();
+    }
+  }
+
+  // 32 steps per ramp. Shape bits: 3 continue, 2 attack, 1 alternate,
+  // 0 hold.
+  stepEnvelope() {
+    if (this.envelopeHolding) return;
+    this.envelopeStep++;
+    if (this.envelopeStep < 32) return;
+
+    const shape = this.regs[13];
+    if ((shape & 0x08) === 0 || (shape & 0x01) !== 0) {
+      this.envelopeHolding = true;
+    } else {
+      this.envelopeStep = 0;
+      if (shape & 0x02) {
+        this.envelopeAttack = !this.envelopeAttack;
+      }
+    }
+  }
+
+  envelopeLevel() {
+    if (this.envelopeHolding) {
+      // Shapes 0-7 drop to zero. The others hold the end of the last ramp,
+      // or its start if alternate is set.
+      const shape = this.regs[13];
+      if ((shape & 0x08) === 0) return 0;
+      return this.envelopeAttack !== ((shape & 0x02) !== 0) ? 31 : 0;
+    }
+    return this.envelopeAttack ? this.envelopeStep : 31 - this.envelopeStep;
+  }
+
+  getSample() {
+    const regs = this.regs;
+    const mixer = regs[7];
+    const noise = this.noiseShift & 1;
+    let out = 0;
+    for (let ch = 0; ch < 3; ch++) {
+      // Mixer bits are active low: a disabled source counts as high.
+      const tone = this.toneOutput[ch] | ((mixer >> ch) & 1);
+      const noiseOn = noise | ((mixer >> (ch + 3)) & 1);
+      if (tone & noiseOn) {
+        const volume = regs[8 + ch];
+        const level = volume & 0x10 ? this.envelopeLevel() : (volume & 0x0f) === 0 ? 0 : ((volume & 0x0f) << 1) | 1;
+        out += S5B_LEVELS[level];
+      }
+    }
+    return Math.round(out * S5B_OUTPUT_SCALE);
+  }
+
+  toJSON() {
+    return {
+      regs: Array.from(this.regs),
+      toneCounter: Array.from(this.toneCounter),
+      toneOutput: Array.from(this.toneOutput),
+      address: this.address,
+      prescaler: this.prescaler,
+      noiseCounter: this.noiseCounter,
+      noiseToggle: this.noiseToggle,
+      noiseShift: this.noiseShift,
+      envelopeCounter: this.envelopeCounter,
+      envelopeStep: this.envelopeStep,
+      envelopeAttack: this.envelopeAttack,
+      envelopeHolding: this.envelopeHolding,
+    };
+  }
+
+  fromJSON(s) {
+    this.regs.set(s.regs);
+    this.toneCounter.set(s.toneCounter);
+    this.toneOutput.set(s.toneOutput);
+    this.address = s.address;
+    this.prescaler = s.prescaler;
+    this.noiseCounter = s.noiseCounter;
+    this.noiseToggle = s.noiseToggle;
+    this.noiseShift = s.noiseShift;
+    this.envelopeCounter = s.envelopeCounter;
+    this.envelopeStep = s.envelopeStep;
+    this.envelopeAttack = s.envelopeAttack;
+    this.envelopeHolding = s.envelopeHolding;
+  }
+}
+
+// ============================================================
+// MMC5 audio: two 2A03-style pulse channels and an 8-bit PCM channel
+// ============================================================
+
+// The envelopes and length counters run off a fixed 240 Hz timer rather
+// than the APU frame counter.
+const MMC5_FRAME_CYCLES = 7457;
+
+// The pulses are as loud as the 2A03's. A full-scale PCM sample is about
+// as loud as both pulses at full volume.
+const MMC5_PULSE_SCALE = 488;
+const MMC5_PCM_SCALE = 57;
+
+// prettier-ignore
+const MMC5_DUTY_TABLE = [
+  0, 1, 0, 0, 0, 0, 0, 0,
+  0, 1, 1, 0, 0, 0, 0, 0,
+  0, 1, 1, 1, 1, 0, 0, 0,
+  1, 0, 0, 1, 1, 1, 1, 1,
+];
+
+// prettier-ignore
+const MMC5_LENGTH_TABLE = [
+  10, 254, 20, 2, 40, 4, 80, 6, 160, 8, 60, 10, 14, 12, 26, 14,
+  12, 16, 24, 18, 48, 20, 96, 22, 192, 24, 72, 26, 16, 28, 32, 30,
+];
+
+// A 2A03 pulse without the sweep unit. Periods below 8 aren't muted.
+class Mmc5Pulse {
+  constructor() {
+    this.JSON_PROPERTIES = [
+      "enabled", "duty", "lengthHalt", "constantVolume", "volume", "period",
+      "timer", "step", "lengthCounter", "envelopeStart", "envelopeDivider",
+      "envelopeDecay",
+    ];
+    this.reset();
+  }
+
+  reset() {
+    this.enabled = false;
+    this.duty = 0;
+    this.lengthHalt = false;
+    this.constantVolume = false;
+    this.volume = 0;
+    this.period = 0;
+    this.timer = 0;
+    this.step = 0;
+    this.lengthCounter = 0;
+    this.envelopeStart = false;
+    this.envelopeDivider = 0;
+    this.envelopeDecay = 0;
+  }
+
+  // reg 0: DDLC VVVV, reg 2: period low, reg 3: LLLL LPPP
+  writeReg(reg, value) {
+    switch (reg) {
+      case 0:
+        this.duty = value >> 6;
+        this.lengthHalt = (value & 0x20) !== 0;
+        this.constantVolume = (value & 0x10) !== 0;
+        this.volume = value & 0x0f;
+        break;
+      case 2:
+        this.period = (this.period & 0x700) | value;
+        break;
+      case 3:
+        this.period = (this.period & 0xff) | ((value & 7) << 8);
+        if (this.enabled) {
+          this.lengthCounter = MMC5_LENGTH_TABLE[value >> 3];
+        }
+        this.step = 0;
+        this.envelopeStart = true;
+        break;
+    }
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled) {
+      this.lengthCounter = 0;
+    }
+  }
+
+  // The timer counts APU cycles (two CPU cycles).
+  clock(nCycles) {
+    this.timer -= nCycles;
+    while (this.timer <= 0) {
+      this.timer += (this.period + 1) * 2;
+      this.step = (this.step + 1) & 7;
+    }
+  }
+
+  clockEnvelope() {
+    if (this.envelopeStart) {
+      this.envelopeStart = false;
+      this.envelopeDecay = 15;
+      this.envelopeDivider = this.volume;
+    } else if (this.envelopeDivider > 0) {
+      this.envelopeDivider--;
+    } else {
+      this.envelopeDivider = this.volume;
+      if (this.envelopeDecay > 0) {
+        this.envelopeDecay--;
+      } else if (this.lengthHalt) {
+        this.envelopeDecay = 15;
+      }
+    }
+  }
+
+  clockLengthCounter() {
+    if (!this.lengthHalt && this.lengthCounter > 0) {
+      this.lengthCounter--;
+    }
+  }
+
+  getOutput() {
+    if (this.lengthCounter === 0 || MMC5_DUTY_TABLE[this.duty * 8 + this.step] === 0) {
+      return 0;
+    }
+    return this.constantVolume ? this.volume : this.envelopeDecay;
+  }
+
+  toJSON() {
+    return toJSON(this);
+  }
+
+  fromJSON(s) {
+    fromJSON(this, s);
+  }
+}
+
+export class Mmc5Audio {
+  constructor() {
+    this.pulse1 = new Mmc5Pulse();
+    this.pulse2 = new Mmc5Pulse();
+    this.reset();
+  }
+
+  reset() {
+    this.pulse1.reset();
+    this.pulse2.reset();
+    this.frameCounter = MMC5_FRAME_CYCLES;
+    this.pcmReadMode = false;
+    this.pcmIrqEnabled = false;
+    this.pcmIrqPending = false;
+    this.pcmLevel = 0;
+  }
+
+  // $5000-$5003 pulse 1, $5004-$5007 pulse 2, $5010 PCM control, $5011
+  // PCM data, $5015 channel enables.
+  writeReg(address, value) {
+    switch (address) {
+      case 0x5000: case 0x5002: case 0x5003:
+        this.pulse1.writeReg(address & 3, value);
+        break;
+      case 0x5004: case 0x5006: case 0x5007:
+        this.pulse2.writeReg(address & 3, value);
+        break;
+      case 0x5010:
+        // Bit 0 selects read mode, bit 7 enables the PCM IRQ.
+        this.pcmReadMode = (value & 0x01) !== 0;
+        this.pcmIrqEnabled = (value & 0x80) !== 0;
+        break;
+      case 0x5011:
+        // Zero is ignored; in read mode the level comes from the bus.
+        if (!this.pcmReadMode && value !== 0) {
+          this.pcmLevel = value;
+        }
+        break;
+      case 0x5015:
+        this.pulse1.setEnabled((value & 0x01) !== 0);
+        this.pulse2.setEnabled((value & 0x02) !== 0);
+        break;
+    }
+  }
+
+  readReg(address) {
+    switch (address) {
+      case 0x5010: {
+        // Bit 7 reports (and acknowledges) the PCM IRQ.
+        const value = this.pcmIrqPending && this.pcmIrqEnabled ? 0x80 : 0;
+        this.pcmIrqPending = false;
+        return value;
+      }
+      case 0x5015:
+        return (this.pulse1.lengthCounter > 0 ? 0x01 : 0) | (this.pulse2.lengthCounter > 0 ? 0x02 : 0);
+      default:
+        return 0;
+    }
+  }
+
+  // In read mode the PCM channel latches CPU reads from $8000-$BFFF. A zero
+  // byte leaves the level alone and raises the PCM IRQ instead. Returns
+  // true when an IRQ should be signalled.
+  captureRead(value) {
+    if (!this.pcmReadMode) return false;
+    if (value === 0) {
+      this.pcmIrqPending = true;
+      return this.pcmIrqEnabled;
+    }
+    this.pcmLevel = value;
+    return false;
+  }
+
+  clock(nCycles) {
+    this.pulse1.clock(nCycles);
+    this.pulse2.clock(nCycles);
+    this.frameCounter -= nCycles;
+    while (this.frameCounter <= 0) {
+      this.frameCounter += MMC5_FRAME_CYCLES;
+      this.pulse1.clockEnvelope();
+      this.pulse2.clockEnvelope();
+      this.pulse1.clockLengthCounter();
+      this.pulse2.clockLengthCounter();
+    }
+  }
+
+  getSample() {
+    return (
+      (this.pulse1.getOutput() + this.pulse2.getOutput()) * MMC5_PULSE_SCALE +
+      this.pcmLevel * MMC5_PCM_SCALE
+    );
+  }
+
+  toJSON() {
+    return {
+      pulse1: this.pulse1.toJSON(),
+      pulse2: this.pulse2.toJSON(),
+      frameCounter: this.frameCounter,
+      pcmReadMode: this.pcmReadMode,
+      pcmIrqEnabled: this.pcmIrqEnabled,
+      pcmIrqPending: this.pcmIrqPending,
+      pcmLevel: this.pcmLevel,
+    };
+  }
+
+  fromJSON(s) {
+    this.pulse1.fromJSON(s.pulse1);
+    this.pulse2.fromJSON(s.pulse2);
+    this.frameCounter = s.frameCounter;
+    this.pcmReadMode = s.pcmReadMode;
+    this.pcmIrqEnabled = s.pcmIrqEnabled;
+    this.pcmIrqPending = s.pcmIrqPending;
+    this.pcmLevel = s.pcmLevel;
+  }
+}
@@ -0,0 +1,139 @@
+// SST39SF0x0 parallel flash, used as self-programmable PRG on homebrew
+// boards (UNROM 512, GTROM).
+//
+// The chip reads like ROM. Commands are unlocked by writing $AA to $5555
+// and $55 to $2AAA (only A0-A14 are decoded), then a command byte to
+// $5555: $A0 programs the next written byte, $80 followed by a second
+// unlock and $10 (chip) or $30 (4KB sector, at the sector's address)
+// erases, and $90 enters software ID mode until $F0. Programming can only
+// clear bits; erasing sets them back to $FF. Both complete instantly.
+
+const MODE_READ = 0;
+const MODE_UNLOCK1 = 1;
+const MODE_UNLOCK2 = 2;
+const MODE_PROGRAM = 3;
+const MODE_ERASE = 4;
+const MODE_ERASE_UNLOCK1 = 5;
+const MODE_ERASE_UNLOCK2 = 6;
+
+const SECTOR_SIZE = 0x1000;
+
+// Manufacturer and device IDs (SST, 39SF040).
+const MANUFACTURER_ID = 0xbf;
+const DEVICE_ID = 0xb7;
+
+export class Sst39sf040 {
+  // original is the PRG-ROM image the chip was programmed with; it is kept
+  // so save states only need the sectors that differ from it.
+  constructor(original) {
+    this.original = original;
+    this.data = original.slice();
+    // Called with (address, length) after the contents change, so the
+    // mapper can update mapped banks and report a battery RAM change.
+    this.onWrite = null;
+    this.reset();
+  }
+
+  // The contents survive a reset; only the command state is cleared.
+  reset() {
+    this.mode = MODE_READ;
+    this.idMode = false;
+  }
+
+  read(address) {
+    if (this.idMode) {
+      return address & 1 ? DEVICE_ID : MANUFACTURER_ID;
+    }
+    return this.data[address % this.data.length];
+  }
+
+  write(address, value) {
+    const cmd = address & 0x7fff;
+    switch (this.mode) {
+      case MODE_READ:
+        if (cmd === 0x5555 && value === 0xaa) {
+          this.mode = MODE_UNLOCK1;
+        } else if (value === 0xf0) {
+          this.idMode = false;
+        }
+        break;
+      case MODE_UNLOCK1:
+        this.mode = cmd === 0x2aaa && value === 0x55 ? MODE_UNLOCK2 : MODE_READ;
+        break;
+      case MODE_UNLOCK2:
+        this.mode = MODE_READ;
+        if (cmd !== 0x5555) break;
+        if (value === 0xa0) this.mode = MODE_PROGRAM;
+        else if (value === 0x80) this.mode = MODE_ERASE;
+        else if (value === 0x90) this.idMode = true;
+        else if (value === 0xf0) this.idMode = false;
+        break;
+      case MODE_PROGRAM:
+        this.mode = MODE_READ;
+        this.program(address % this.data.length, value);
+        break;
+      case MODE_ERASE:
+        this.mode = cmd === 0x5555 && value === 0xaa ? MODE_ERASE_UNLOCK1 : MODE_READ;
+        break;
+      case MODE_ERASE_UNLOCK1:
+        this.mode = cmd === 0x2aaa && value === 0x55 ? MODE_ERASE_UNLOCK2 : MODE_READ;
+        break;
+      case MODE_ERASE_UNLOCK2:
+        this.mode = MODE_READ;
+        if (value === 0x10 && cmd === 0x5555) {
+          this.erase(0, this.data.length);
+        } else if (value === 0x30) {
+          const start = (address % this.data.length) & ~(SECTOR_SIZE - 1);
+          this.erase(start, Math.min(SECTOR_SIZE, this.data.length - start));
+        }
+        break;
+    }
+  }
+
+  program(address, value) {
+    const old = this.data[address];
+    const updated = old & value;
+    if (updated !== old) {
+      this.data[address] = updated;
+      if (this.onWrite !== null) this.onWrite(address, 1);
+    }
+  }
+
+  erase(start, length) {
+    this.data.fill(0xff, start, start + length);
+    if (this.onWrite !== null) this.onWrite(start, length);
+  }
+
+  // Replaces the contents, e.g. with a saved image.
+  load(data) {
+    this.data.set(data.subarray(0, Math.min(data.length, this.data.length)));
+  }
+
+  toJSON() {
+    // Only sectors that differ from the original image are stored.
+    const sectors = {};
+    for (let start = 0; start < this.data.length; start += SECTOR_SIZE) {
+      const end = Math.min(start + SECTOR_SIZE, this.data.length);
+      for (let i = start; i < end; i++) {
+        if (this.data[i] !== this.original[i]) {
+          sectors[start] = Array.from(this.data.subarray(start, end));
+          break;
+        }
+      }
+    }
+    return {
+      mode: this.mode,
+      idMode: this.idMode,
+      sectors: sectors,
+    };
+  }
+
+  fromJSON(s) {
+    this.mode = s.mode;
+    this.idMode = s.idMode;
+    this.data.set(this.original);
+    for (const start in s.sectors) {
+      this.data.set(s.sectors[start], Number(start));
+    }
+  }
+}
@@ -1,4 +1,6 @@
 import { NES } from './nes.js';
 import { Controller } from './controller.js';
+import { addRomDatabaseEntries, lookupRom } from './romdb.js';
+import { applyPatch, applyPatches } from './patch.js';
 
-export { Controller, NES };
\ No newline at end of file
+export { Controller, NES, addRomDatabaseEntries, lookupRom, applyPatch, applyPatches };
\ No newline at end of file
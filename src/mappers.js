@@ -1,4 +1,7 @@
 import { copyArrayElements } from "./utils.js";
+import { FdsAudio, Vrc6Audio, Vrc7Audio, Namco163Audio, Sunsoft5bAudio, Mmc5Audio } from "./expansion-audio.js";
+import { Eeprom24C01, Eeprom24C02 } from "./eeprom.js";
+import { Sst39sf040 } from "./flash.js";
 
 // ============================================================
 // Base Mapper (Mapper 0 / NROM)
@@ -14,6 +17,13 @@ export class Mapper {
     this.hasNametableOverride = false;
     this.hasPpuA13ChrSwitch = false;
     this.hasPpuScanlineHook = false;
+    // Per-instruction CPU cycle callback (cycle-counting IRQ timers)
+    this.hasCpuClockHook = false;
+    // Sound chip mixed into the PAPU output
+    this.hasExpansionAudio = false;
+
+    // Set when battery-backed RAM changes; cleared by NES once reported.
+    this.batteryRamDirty = false;
   }
 
   reset() {
@@ -36,7 +46,7 @@ export class Mapper {
     } else if (address > 0x4017) {
       this.nes.cpu.mem[address] = value;
       if (address >= 0x6000 && address < 0x8000) {
-        this.nes.opts.onBatteryRamWrite(address, value);
+        this.notifyBatteryRamWrite(address, value);
       }
     } else if (address > 0x2007 && address < 0x4000) {
       this.regWrite(0x2000 + (address & 0x7), value);
@@ -60,6 +70,8 @@ export class Mapper {
   load(address) {
     address &= 0xffff;
     if (address > 0x4017) {
+      // Nothing answers at $4018-$5FFF unless the mapper says so.
+      if (address < 0x6000) return this.nes.cpu.dataBus;
       return this.nes.cpu.mem[address];
     } else if (address >= 0x2000) {
       return this.regLoad(address);
@@ -76,20 +88,19 @@ export class Mapper {
       case 2:
       case 3:
         switch (address & 0x7) {
-          case 0x0: return this.nes.cpu.mem[0x2000];
-          case 0x1: return this.nes.cpu.mem[0x2001];
           case 0x2: return this.nes.ppu.readStatusRegister();
-          case 0x3: return 0;
           case 0x4: return this.nes.ppu.sramLoad();
-          case 0x5: return 0;
-          case 0x6: return 0;
           case 0x7: return this.nes.ppu.vramLoad();
+          // Write-only registers return the PPU's I/O latch.
+          default: return this.nes.ppu.ioBusLoad();
         }
         break;
       case 4:
         switch (address - 0x4015) {
           case 0: return this.nes.papu.readReg(address);
-          case 1: return this.joy1Read();
+          // Only the low bits come from the controller ports; the rest
+          // is open bus.
+          case 1: return (this.joy1Read() & 0x1f) | (this.nes.cpu.dataBus & 0xe0);
           case 2:
             let w;
             if (this.zapperX !== null && this.zapperY !== null && this.nes.ppu.isPixelWhite(this.zapperX, this.zapperY)) {
@@ -98,14 +109,17 @@ export class Mapper {
               w = 0x1 << 3;
             }
             if (this.zapperFired) w |= 0x1 << 4;
-            return (this.joy2Read() | w) & 0xffff;
+            return ((this.joy2Read() | w) & 0x1f) | (this.nes.cpu.dataBus & 0xe0);
         }
         break;
     }
-    return 0;
+    return this.nes.cpu.dataBus;
   }
 
   regWrite(address, value) {
+    if (address >= 0x2000 && address <= 0x2007) {
+      this.nes.ppu.setIoBus(value, 0xff);
+    }
     switch (address) {
       case 0x2000: this.nes.cpu.mem[address] = value; this.nes.ppu.updateControlReg1(value); break;
       case 0x2001: this.nes.cpu.mem[address] = value; this.nes.ppu.updateControlReg2(value); break;
@@ -195,15 +209,44 @@ export class Mapper {
     }
   }
 
+  // Battery-backed RAM. Most boards keep it at $6000-$7FFF; mappers with
+  // their own save memory override loadBatteryRam() and getBatteryRam().
   loadBatteryRam() {
-    if (this.nes.rom.batteryRam) {
-      const ram = this.nes.rom.batteryRam;
-      if (ram !== null && ram.length === 0x2000) {
-        copyArrayElements(ram, 0, this.nes.cpu.mem, 0x6000, 0x2000);
-      }
+    const ram = this.nes.rom.batteryRam;
+    if (ram !== null) {
+      copyArrayElements(ram, 0, this.nes.cpu.mem, 0x6000, Math.min(ram.length, 0x2000));
+    }
+  }
+
+  // Mirroring applied when the cartridge is mapped. Boards that give the
+  // header's mirroring bits another meaning override it.
+  getMirroringType() {
+    return this.nes.rom.getMirroringType();
+  }
+
+  // Copies the iNES trainer to $7000-$71FF, where the copier hardware it
+  // was dumped from put it.
+  loadTrainer() {
+    const trainer = this.nes.rom.trainerData;
+    if (trainer !== null) {
+      copyArrayElements(trainer, 0, this.nes.cpu.mem, 0x7000, trainer.length);
     }
   }
 
+  // Returns a copy of the battery-backed RAM, or null if the cartridge
+  // has no battery.
+  getBatteryRam() {
+    if (!this.nes.rom.hasBattery) return null;
+    return this.nes.cpu.mem.slice(0x6000, 0x8000);
+  }
+
+  notifyBatteryRamWrite(address, value) {
+    if (this.nes.rom.hasBattery) {
+      this.batteryRamDirty = true;
+    }
+    this.nes.opts.onBatteryRamWrite(address, value);
+  }
+
   loadRomBank(bank, address) {
     bank %= this.nes.rom.romCount;
     copyArrayElements(this.nes.rom.rom[bank], 0, this.nes.cpu.mem, address, 16384);
@@ -711,17 +754,272 @@ class Mapper4 extends Mapper {
   }
 }
 
+// ============================================================
+// MMC3 board variants (MMC6, TxSROM, TQROM, Namco 108)
+// ============================================================
+// Boards built around the MMC3 register set. Each subclass changes only
+// what its board wires differently and reuses executeCommand() and the
+// IRQ counter.
+
+// MMC6 (mapper 4, submapper 1; StarTropics). 1KB of internal PRG-RAM at
+// $7000-$7FFF (mirrored), enabled by $8000 bit 5 and protected per 512-byte
+// half by $A001: bits 7/6 read/write the upper half, bits 5/4 the lower.
+// Reading a half that is not readable returns 0 while the other half is
+// readable, open bus otherwise. The IRQ fires whenever the counter is 0
+// after a clock, including reloads to 0.
+// An iNES 1.0 header can't tell MMC6 from MMC3, so plain dumps only get this
+// class through the StarTropics entries in romdb.js.
+class Mapper4Mmc6 extends Mapper4 {
+  constructor(nes) {
+    super(nes);
+    this.prgRam = new Uint8Array(0x400);
+    this.resetRegisters();
+  }
+
+  reset() {
+    super.reset();
+    this.resetRegisters();
+  }
+
+  resetRegisters() {
+    this.ramEnabled = false;
+    this.ramProtect = 0;
+  }
+
+  write(address, value) {
+    if (address >= 0x6000 && address < 0x8000) {
+      const writable = this.ramProtect & (address & 0x200 ? 0x40 : 0x10);
+      if (address >= 0x7000 && this.ramEnabled && writable) {
+        this.prgRam[address & 0x3ff] = value;
+        this.notifyBatteryRamWrite(address, value);
+      }
+      return;
+    }
+    switch (address & 0xe001) {
+      case 0x8000:
+        this.ramEnabled = (value & 0x20) !== 0;
+        break;
+      case 0xa001:
+        // Ignored while the RAM is disabled.
+        if (this.ramEnabled) this.ramProtect = value & 0xf0;
+        return;
+    }
+    super.write(address, value);
+  }
+
+  load(address) {
+    address &= 0xffff;
+    if (address >= 0x6000 && address < 0x8000) {
+      if (address < 0x7000 || !this.ramEnabled || (this.ramProtect & 0xa0) === 0) {
+        return this.nes.cpu.dataBus;
+      }
+      const readable = this.ramProtect & (address & 0x200 ? 0x80 : 0x20);
+      return readable ? this.prgRam[address & 0x3ff] : 0;
+    }
+    return super.load(address);
+  }
+
+  clockIrqCounter() {
+    if (this.irqCounter === 0 || this.irqReloadPending) {
+      this.irqCounter = this.irqLatchValue;
+      this.irqReloadPending = false;
+    } else {
+      this.irqCounter--;
+    }
+    if (this.irqCounter === 0 && this.irqEnable) {
+      this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NORMAL);
+    }
+  }
+
+  loadBatteryRam() {
+    const ram = this.nes.rom.batteryRam;
+    if (ram !== null) {
+      copyArrayElements(ram, 0, this.prgRam, 0, Math.min(ram.length, this.prgRam.length));
+    }
+  }
+
+  getBatteryRam() {
+    if (!this.nes.rom.hasBattery) return null;
+    return this.prgRam.slice();
+  }
+
+  toJSON() {
+    const s = super.toJSON();
+    s.prgRam = Array.from(this.prgRam);
+    s.ramEnabled = this.ramEnabled;
+    s.ramProtect = this.ramProtect;
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.prgRam.set(s.prgRam);
+    this.ramEnabled = s.ramEnabled;
+    this.ramProtect = s.ramProtect;
+  }
+}
+
+// Mapper 118 (TxSROM; Armadillo, Goal! Two). CIRAM A10 is wired to CHR
+// A17, so bit 7 of the CHR registers picks each nametable's CIRAM page:
+// R0 for $2000/$2400 and R1 for $2800/$2C00, or R2-R5 for one nametable
+// each when CHR A12 is inverted. $A000 does nothing.
+class Mapper118 extends Mapper4 {
+  constructor(nes) {
+    super(nes);
+    this.chrRegs = new Array(6).fill(0);
+  }
+
+  reset() {
+    super.reset();
+    this.chrRegs.fill(0);
+  }
+
+  // All CHR registers start at 0, so every nametable shows CIRAM page 0.
+  getMirroringType() {
+    return this.nes.rom.SINGLESCREEN_MIRRORING;
+  }
+
+  write(address, value) {
+    if (address >= 0x8000 && (address & 0xe001) === 0xa000) return;
+    super.write(address, value);
+    if (address >= 0x8000 && (address & 0xe001) === 0x8000) {
+      this.updateNametables();
+    }
+  }
+
+  executeCommand(cmd, arg) {
+    if (cmd < 6) {
+      this.chrRegs[cmd] = arg;
+      super.executeCommand(cmd, arg & 0x7f);
+      this.updateNametables();
+    } else {
+      super.executeCommand(cmd, arg);
+    }
+  }
+
+  updateNametables() {
+    const r = this.chrRegs;
+    const banks = this.chrAddressSelect === 0 ? [r[0], r[0], r[1], r[1]] : [r[2], r[3], r[4], r[5]];
+    this.nes.ppu.setNametablePages(banks[0] >> 7, banks[1] >> 7, banks[2] >> 7, banks[3] >> 7);
+  }
+
+  toJSON() {
+    const s = super.toJSON();
+    s.chrRegs = this.chrRegs.slice();
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.chrRegs = s.chrRegs.slice();
+  }
+}
+
+// Mapper 119 (TQROM; High Speed, Pin*Bot). 64KB of CHR-ROM plus 8KB of
+// CHR-RAM: a CHR bank number with bit 6 set selects 1KB page (bank & 7) of
+// the RAM. RAM pages are copied out of vramMem when their slot is banked
+// away, so PPU writes to them are kept.
+class Mapper119 extends Mapper4 {
+  constructor(nes) {
+    super(nes);
+    this.chrRam = new Uint8Array(0x2000);
+    // CHR-RAM page shown in each 1KB slot, or -1 for CHR-ROM.
+    this.slotPages = new Array(8).fill(-1);
+  }
+
+  // The RAM keeps its contents; the PPU reloads CHR-ROM into every slot.
+  reset() {
+    super.reset();
+    this.slotPages.fill(-1);
+  }
+
+  load1kVromBank(bank1k, address) {
+    const slot = address >> 10;
+    this.flushChrRamSlot(slot);
+    if ((bank1k & 0x40) === 0) {
+      this.slotPages[slot] = -1;
+      super.load1kVromBank(bank1k & 0x3f, address);
+      return;
+    }
+    const ppu = this.nes.ppu;
+    const page = bank1k & 7;
+    ppu.triggerRendering();
+    this.slotPages[slot] = page;
+    copyArrayElements(this.chrRam, page << 10, ppu.vramMem, address, 0x400);
+    for (let tile = address >> 4; tile < (address + 0x400) >> 4; tile++) {
+      const a = tile << 4;
+      for (let y = 0; y < 8; y++) {
+        ppu.ptTile[tile].setScanline(y, ppu.vramMem[a + y], ppu.vramMem[a + y + 8]);
+      }
+    }
+  }
+
+  flushChrRamSlot(slot) {
+    const page = this.slotPages[slot];
+    if (page >= 0) {
+      copyArrayElements(this.nes.ppu.vramMem, slot << 10, this.chrRam, page << 10, 0x400);
+    }
+  }
+
+  toJSON() {
+    for (let slot = 0; slot < 8; slot++) {
+      this.flushChrRamSlot(slot);
+    }
+    const s = super.toJSON();
+    s.chrRam = Array.from(this.chrRam);
+    s.slotPages = this.slotPages.slice();
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.chrRam.set(s.chrRam);
+    this.slotPages = s.slotPages.slice();
+  }
+}
+
+// Mapper 206 (Namco 108 / DxROM). The MMC3's predecessor: only the bank
+// registers at $8000/$8001, with no PRG or CHR layout bits, hardwired
+// mirroring and no IRQ. PRG banks are 4 bits, CHR banks 6.
+class Mapper206 extends Mapper4 {
+  constructor(nes) {
+    super(nes);
+    this.hasScanlineIrq = false;
+    this.usesA12Irq = false;
+  }
+
+  write(address, value) {
+    if (address < 0x8000) {
+      super.write(address, value);
+    } else if (address < 0xa000) {
+      if (address & 1) {
+        const cmd = this.command;
+        this.executeCommand(cmd, value & (cmd >= 6 ? 0x0f : cmd < 2 ? 0x3e : 0x3f));
+      } else {
+        this.command = value & 7;
+      }
+    }
+  }
+}
+
 // ============================================================
 // Mapper 5 (MMC5 / ExROM) - Hardware Accurate Implementation
 // ============================================================
+
+// ExRAM and fill mode are mapped into the PPU as cartridge nametable pages.
+const MMC5_EXRAM_PAGE = 4;
+const MMC5_FILL_PAGE = 5;
+
 class Mapper5 extends Mapper {
   constructor(nes) {
     super(nes);
-    this.hasScanlineIrq = true;
     this.hasExtendedNametables = true;
-    this.hasNametableOverride = true;
     this.hasPpuA13ChrSwitch = true;
     this.hasPpuScanlineHook = true;
+    this.hasVerticalSplit = true;
+    this.hasExpansionAudio = true;
+
+    this.audio = new Mmc5Audio();
 
     // PRG banking
     this.prgMode = 3;           // $5100 - PRG mode (0-3)
@@ -745,6 +1043,7 @@ class Mapper5 extends Mapper {
     // Fill mode
     this.fillTile = 0;          // $5106 - fill mode tile
     this.fillAttr = 0;          // $5107 - fill mode attribute
+    this.fillNametable = new Uint8Array(1024);
     
     // IRQ
     this.irqScanline = 0;       // $5203 - target scanline
@@ -773,6 +1072,7 @@ class Mapper5 extends Mapper {
 
   reset() {
     super.reset();
+    this.audio.reset();
     
     this.prgMode = 3;
     this.prgBankRegs.fill(0);
@@ -835,7 +1135,12 @@ class Mapper5 extends Mapper {
     
     // PRG-ROM $8000-$FFFF
     if (address >= 0x8000) {
-      return this.readPrgRom(address);
+      const value = this.readPrgRom(address);
+      // PCM read mode samples whatever the CPU reads from $8000-$BFFF.
+      if (this.audio.pcmReadMode && address < 0xC000 && this.audio.captureRead(value)) {
+        this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NORMAL);
+      }
+      return value;
     }
     
     return this.regLoad(address);
@@ -879,12 +1184,16 @@ class Mapper5 extends Mapper {
   
   readMMC5Register(address) {
     switch (address) {
-      // Pulse 1/2, PCM (not readable)
+      // Pulse 1/2, PCM data (not readable)
       case 0x5000: case 0x5001: case 0x5002: case 0x5003:
       case 0x5004: case 0x5005: case 0x5006: case 0x5007:
-      case 0x5010: case 0x5011:
+      case 0x5011:
         return 0;
         
+      // PCM IRQ, pulse length counter status
+      case 0x5010: case 0x5015:
+        return this.audio.readReg(address);
+        
       // Multiplier result
       case 0x5205:
         return (this.multiplicand * this.multiplier) & 0xFF;
@@ -915,10 +1224,11 @@ class Mapper5 extends Mapper {
 
   writeMMC5Register(address, value) {
     switch (address) {
-      // Audio registers (stub - not implemented)
+      // Audio registers
       case 0x5000: case 0x5001: case 0x5002: case 0x5003:
       case 0x5004: case 0x5005: case 0x5006: case 0x5007:
       case 0x5010: case 0x5011: case 0x5015:
+        this.audio.writeReg(address, value);
         break;
         
       // PRG Mode
@@ -944,6 +1254,7 @@ class Mapper5 extends Mapper {
       // Extended RAM Mode
       case 0x5104:
         this.exRamMode = value & 0x03;
+        this.updateExRamPage();
         break;
         
       // Nametable Mapping
@@ -958,9 +1269,11 @@ class Mapper5 extends Mapper {
       // Fill Mode
       case 0x5106:
         this.fillTile = value;
+        this.updateFillPage();
         break;
       case 0x5107:
         this.fillAttr = value & 0x03;
+        this.updateFillPage();
         break;
         
       // PRG Banking
@@ -1036,14 +1349,12 @@ class Mapper5 extends Mapper {
       default:
         if (address >= 0x5C00 && address < 0x6000) {
           if (this.exRamMode !== 3) {
+            const offset = address & 0x3FF;
             if (this.exRamMode < 2) {
-              if (this.inFrame) {
-                this.exRam[address & 0x3FF] = value;
-              } else {
-                this.exRam[address & 0x3FF] = 0;
-              }
+              this.exRam[offset] = this.inFrame ? value : 0;
+              this.nes.ppu.writeNametablePage(MMC5_EXRAM_PAGE, offset, this.exRam[offset]);
             } else {
-              this.exRam[address & 0x3FF] = value;
+              this.exRam[offset] = value;
             }
           }
         }
@@ -1119,9 +1430,7 @@ class Mapper5 extends Mapper {
       const bank = this.prgBankRegs[0] & 0x07;
       const offset = (bank * 0x2000) + (address & 0x1FFF);
       this.prgRam[offset] = value;
-      if (this.nes.opts.onBatteryRamWrite) {
-        this.nes.opts.onBatteryRamWrite(address, value);
-      }
+      this.notifyBatteryRamWrite(address, value);
     }
   }
 
@@ -1148,6 +1457,7 @@ class Mapper5 extends Mapper {
             const bank = reg & 0x07;
             const offset = (bank * 0x2000) + (address & 0x1FFF);
             this.prgRam[offset] = value;
+            this.notifyBatteryRamWrite(address, value);
           }
           return;
         }
@@ -1261,33 +1571,36 @@ class Mapper5 extends Mapper {
 
   // === Nametable Mapping ===
   
+  // $5105 picks CIRAM page 0 or 1, ExRAM or the fill nametable for each
+  // quadrant.
   updateNametableMirroring() {
+    const pages = [0, 1, MMC5_EXRAM_PAGE, MMC5_FILL_PAGE];
     const m = this.ntMapping;
-    
-    // Only update PPU mirroring for standard mappings (modes 0 and 1)
-    // If any nametable uses ExRAM (2) or fill (3), we handle it ourselves
-    const hasCustomMapping = m.some(v => v >= 2);
-    if (hasCustomMapping) {
-      // Don't touch PPU mirroring - we handle reads via readNametable()
-      return;
-    }
-    
-    // Standard CIRAM mappings
-    if (m[0] === 0 && m[1] === 1 && m[2] === 0 && m[3] === 1) {
-      this.nes.ppu.setMirroring(this.nes.rom.VERTICAL_MIRRORING);
-    } else if (m[0] === 0 && m[1] === 0 && m[2] === 1 && m[3] === 1) {
-      this.nes.ppu.setMirroring(this.nes.rom.HORIZONTAL_MIRRORING);
-    } else if (m[0] === m[1] && m[1] === m[2] && m[2] === m[3]) {
-      if (m[0] === 0) {
-        this.nes.ppu.setMirroring(this.nes.rom.SINGLESCREEN_MIRRORING);
-      } else if (m[0] === 1) {
-        this.nes.ppu.setMirroring(this.nes.rom.SINGLESCREEN_MIRRORING2);
-      }
-    }
+    this.nes.ppu.setNametablePages(pages[m[0]], pages[m[1]], pages[m[2]], pages[m[3]]);
+  }
+
+  // ExRAM reads back as zeros from the PPU side outside modes 0 and 1.
+  updateExRamPage() {
+    const data = this.exRamMode < 2 ? this.exRam : new Uint8Array(1024);
+    this.nes.ppu.loadNametablePage(MMC5_EXRAM_PAGE, data, 0);
+  }
+
+  updateFillPage() {
+    this.fillNametable.fill(this.fillTile, 0, 0x3C0);
+    this.fillNametable.fill(this.fillAttr * 0x55, 0x3C0);
+    this.nes.ppu.loadNametablePage(MMC5_FILL_PAGE, this.fillNametable, 0);
   }
 
   // === Scanline IRQ ===
   
+  onEndScanline(scanline) {
+    super.onEndScanline(scanline);
+    const ppu = this.nes.ppu;
+    const line = scanline - ppu.firstVisibleScanline;
+    const rendering = ppu.f_bgVisibility === 1 || ppu.f_spVisibility === 1;
+    this.ppuScanline(line >= 0 && line < 240 ? line : -1, rendering);
+  }
+
   ppuScanline(scanline, rendering) {
     // Pre-render/VBlank scanline (-1) resets in-frame state
     if (scanline < 0) {
@@ -1317,8 +1630,8 @@ class Mapper5 extends Mapper {
     
     this.currentScanline = scanline;
     
-    // Check for IRQ match
-    if (scanline === this.irqScanline) {
+    // Check for IRQ match ($5203 = 0 never fires)
+    if (this.irqScanline !== 0 && scanline === this.irqScanline) {
       this.irqPending = true;
       if (this.irqEnabled) {
         this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NORMAL);
@@ -1347,54 +1660,43 @@ class Mapper5 extends Mapper {
     }
   }
 
-  // === Nametable Read (fill mode and ExRAM) ===
+  // === Vertical Split ===
   
-  readNametable(address) {
-    // address is $2000-$2FFF
-    const ntIndex = (address >> 10) & 0x03;
-    const offset = address & 0x3FF;
-    const mapping = this.ntMapping[ntIndex];
-    
-    switch (mapping) {
-      case 0: // CIRAM $0000 (first 1KB)
-        return this.nes.ppu.vramMem[0x2000 + offset];
-      case 1: // CIRAM $0400 (second 1KB)
-        return this.nes.ppu.vramMem[0x2400 + offset];
-      case 2: // ExRAM (if mode 0 or 1)
-        if (this.exRamMode < 2) {
-          return this.exRam[offset];
-        }
-        return 0;
-      case 3: // Fill mode
-        if (offset < 0x3C0) {
-          return this.fillTile;
-        }
-        // Attribute area - replicate fill attribute to all quadrants
-        return (this.fillAttr * 0x55);
-      default:
-        return 0;
-    }
+  // $5200 bit 7 enables the split, which only works while ExRAM is a
+  // nametable (modes 0 and 1).
+  isSplitActive() {
+    return (this.splitMode & 0x80) !== 0 && this.exRamMode < 2;
   }
 
-  writeNametable(address, value) {
-    const ntIndex = (address >> 10) & 0x03;
-    const offset = address & 0x3FF;
-    const mapping = this.ntMapping[ntIndex];
-    
-    switch (mapping) {
-      case 0:
-        this.nes.ppu.vramMem[0x2000 + offset] = value;
-        break;
-      case 1:
-        this.nes.ppu.vramMem[0x2400 + offset] = value;
-        break;
-      case 2:
-        if (this.exRamMode < 2 && this.inFrame) {
-          this.exRam[offset] = value;
-        }
-        break;
-      // Fill mode is read-only
+  // Bits 0-4 give the tile where the split starts; bit 6 puts the split on
+  // the right of it instead of the left.
+  inSplitRegion(tile) {
+    const threshold = this.splitMode & 0x1F;
+    return (this.splitMode & 0x40) !== 0 ? tile >= threshold : tile < threshold;
+  }
+
+  // $5201 is the split's vertical scroll at the top of the frame; like the
+  // PPU, it wraps at 240 lines.
+  getSplitY(scan) {
+    return (this.splitScroll + scan) % 240;
+  }
+
+  // Split tiles come from the ExRAM nametable, drawn with the 4KB CHR bank
+  // in $5202.
+  getSplitTile(tile, y) {
+    const tileIndex = this.exRam[((y >> 3) << 5) + (tile & 31)];
+    const rom = this.nes.rom;
+    if (rom.vromCount === 0) {
+      return this.nes.ppu.ptTile[((this.splitBank & 1) << 8) + tileIndex];
     }
+    return rom.vromTile[this.splitBank % rom.vromCount][tileIndex];
+  }
+
+  getSplitAttrib(tile, y) {
+    const x = tile & 31;
+    const attr = this.exRam[0x3C0 + ((y >> 5) << 3) + (x >> 2)];
+    const shift = ((y >> 2) & 4) | (x & 2);
+    return ((attr >> shift) & 3) << 2;
   }
 
   // === Extended Attributes (ExGrafix mode) ===
@@ -1411,6 +1713,16 @@ class Mapper5 extends Mapper {
     return (this.exRam[exRamAddr & 0x3FF] >> 2) & 0x3F;
   }
 
+  // === Expansion Audio ===
+  
+  clockExpansionAudio(nCycles) {
+    this.audio.clock(nCycles);
+  }
+
+  getExpansionAudioSample() {
+    return this.audio.getSample();
+  }
+
   // === ROM Loading ===
   
   loadROM() {
@@ -1427,6 +1739,8 @@ class Mapper5 extends Mapper {
     this.load8kRomBank(lastBank, 0xE000);
     
     this.loadCHRROM();
+    this.updateExRamPage();
+    this.updateFillPage();
     this.updateNametableMirroring();
     this.loadBatteryRam();
     
@@ -1434,14 +1748,26 @@ class Mapper5 extends Mapper {
   }
 
   loadBatteryRam() {
-    if (this.nes.rom.batteryRam) {
-      const ram = this.nes.rom.batteryRam;
-      if (ram !== null && ram.length <= this.prgRam.length) {
-        copyArrayElements(ram, 0, this.prgRam, 0, ram.length);
-      }
+    const ram = this.nes.rom.batteryRam;
+    if (ram !== null) {
+      copyArrayElements(ram, 0, this.prgRam, 0, Math.min(ram.length, this.prgRam.length));
+    }
+  }
+
+  loadTrainer() {
+    const trainer = this.nes.rom.trainerData;
+    if (trainer !== null) {
+      copyArrayElements(trainer, 0, this.prgRam, 0x1000, trainer.length);
     }
   }
 
+  getBatteryRam() {
+    if (!this.nes.rom.hasBattery) return null;
+    // NES 2.0 headers give the exact size; older dumps get the whole chip.
+    const size = this.nes.rom.isNES2 && this.nes.rom.prgNvramSize > 0 ? this.nes.rom.prgNvramSize : this.prgRam.length;
+    return this.prgRam.slice(0, size);
+  }
+
   // === State Serialization ===
   
   toJSON() {
@@ -1470,6 +1796,7 @@ class Mapper5 extends Mapper {
     s.splitScroll = this.splitScroll;
     s.splitBank = this.splitBank;
     s.prgRam = Array.from(this.prgRam);
+    s.audio = this.audio.toJSON();
     return s;
   }
 
@@ -1499,8 +1826,11 @@ class Mapper5 extends Mapper {
     this.splitScroll = s.splitScroll;
     this.splitBank = s.splitBank;
     this.prgRam = new Uint8Array(s.prgRam);
+    this.audio.fromJSON(s.audio);
     this.updatePrgBanks();
     this.updateChrBanks();
+    this.updateExRamPage();
+    this.updateFillPage();
     this.updateNametableMirroring();
   }
 }
@@ -1937,54 +2267,3200 @@ class Mapper11 extends Mapper {
   }
 }
 
-/**
- * Mapper 34 (BNROM)
- */
-class Mapper34 extends Mapper {
+// ============================================================
+// Mapper 15 (100-in-1 Contra Function 16)
+// ============================================================
+// A multicart with four PRG layouts picked by the low two address bits of
+// a $8000-$FFFF write. The data selects a 16KB bank (bits 0-5), mirroring
+// (bit 6) and, in the 8KB mode, the half of that bank (bit 7). CHR is RAM.
+class Mapper15 extends Mapper {
   constructor(nes) {
     super(nes);
+    this.resetRegisters();
   }
-  write(address, value) {
-    if (address < 0x8000) super.write(address, value);
-    else this.load32kRomBank(value, 0x8000);
+
+  // Reset returns to the menu in bank 0.
+  reset() {
+    super.reset();
+    this.resetRegisters();
   }
-}
 
-/**
- * Mapper 38
- */
-class Mapper38 extends Mapper {
-  constructor(nes) {
-    super(nes);
+  resetRegisters() {
+    this.prgMode = 0;
+    this.prgBank = 0;
+    this.prgHalf = 0;
   }
+
   write(address, value) {
-    if (address < 0x7000 || address > 0x7fff) super.write(address, value);
-    else {
-      this.load32kRomBank(value & 3, 0x8000);
-      this.load8kVromBank(((value >> 2) & 3) * 2, 0x0000);
+    if (address < 0x8000) {
+      super.write(address, value);
+      return;
     }
+    this.prgMode = address & 3;
+    this.prgBank = value & 0x3f;
+    this.prgHalf = value >> 7;
+    this.nes.ppu.setMirroring(value & 0x40 ? this.nes.rom.HORIZONTAL_MIRRORING : this.nes.rom.VERTICAL_MIRRORING);
+    this.updatePrgBanks();
   }
-}
 
-/**
- * Mapper 66 (GxROM)
- */
-class Mapper66 extends Mapper {
-  constructor(nes) {
-    super(nes);
-  }
-  write(address, value) {
-    if (address < 0x8000) super.write(address, value);
-    else {
-      this.load32kRomBank((value >> 4) & 3, 0x8000);
-      this.load8kVromBank((value & 3) * 2, 0x0000);
+  // Mode 0: 32KB (p, p|1). Mode 1: UNROM-like, with the last bank of the
+  // 128KB block at $C000. Mode 2: one 8KB bank in all four slots.
+  // Mode 3: NROM-128, p at both $8000 and $C000.
+  updatePrgBanks() {
+    const p = this.prgBank;
+    switch (this.prgMode) {
+      case 0:
+        this.loadRomBank(p, 0x8000);
+        this.loadRomBank(p | 1, 0xc000);
+        break;
+      case 1:
+        this.loadRomBank(p, 0x8000);
+        this.loadRomBank(p | 7, 0xc000);
+        break;
+      case 2: {
+        const bank = (p << 1) | this.prgHalf;
+        for (let i = 0; i < 4; i++) {
+          this.load8kRomBank(bank, 0x8000 + (i << 13));
+        }
+        break;
+      }
+      case 3:
+        this.loadRomBank(p, 0x8000);
+        this.loadRomBank(p, 0xc000);
+        break;
     }
   }
-}
 
-/**
- * Mapper 94 (UN1ROM)
- */
+  loadROM() {
+    if (!this.nes.rom.valid) throw new Error("Mapper 15: Invalid ROM! Unable to load.");
+    this.updatePrgBanks();
+    this.loadCHRROM();
+    this.loadBatteryRam();
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    const s = super.toJSON();
+    s.prgMode = this.prgMode;
+    s.prgBank = this.prgBank;
+    s.prgHalf = this.prgHalf;
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.prgMode = s.prgMode;
+    this.prgBank = s.prgBank;
+    this.prgHalf = s.prgHalf;
+  }
+}
+
+// ============================================================
+// Mappers 16, 153, 159 (Bandai FCG / LZ93D50)
+// ============================================================
+// A 16KB PRG bank at $8000 with the last bank fixed, eight 1KB CHR banks
+// and a 16-bit CPU cycle IRQ counter. FCG-1/2 boards (mapper 16 submapper
+// 4) decode the registers at $6000-$7FFF and load the counter directly;
+// LZ93D50 boards (submapper 5, 153, 159) decode them at $8000-$FFFF and
+// load it from a latch. Old mapper 16 dumps don't say which, so both
+// ranges are decoded. Saves live in a serial EEPROM driven through
+// register D (24C02 on mapper 16, 24C01 on 159); mapper 153 has 8KB of
+// PRG-RAM instead and uses the CHR registers to pick a 256KB PRG half.
+class Mapper16 extends Mapper {
+  constructor(nes) {
+    super(nes);
+    this.hasCpuClockHook = true;
+
+    const rom = nes.rom;
+    this.isFcg = rom.mapperType === 16 && rom.submapper === 4;
+    this.regsAt6000 = rom.mapperType === 16 && rom.submapper !== 5;
+    this.regsAt8000 = !this.isFcg;
+    this.hasPrgRam = rom.mapperType === 153;
+
+    this.eeprom = null;
+    if (rom.mapperType === 159 || (rom.mapperType === 16 && rom.isNES2 && rom.prgNvramSize === 128)) {
+      this.eeprom = new Eeprom24C01();
+    } else if (rom.mapperType === 16 && !this.isFcg) {
+      this.eeprom = new Eeprom24C02();
+    }
+    if (this.eeprom !== null) {
+      this.eeprom.onWrite = () => {
+        if (this.nes.rom.hasBattery) this.batteryRamDirty = true;
+      };
+    }
+
+    this.chrReg = new Array(8);
+    this.resetRegisters();
+  }
+
+  reset() {
+    super.reset();
+    this.resetRegisters();
+    if (this.eeprom !== null) this.eeprom.reset();
+  }
+
+  resetRegisters() {
+    this.chrReg.fill(0);
+    this.prgReg = 0;
+    this.eepromControl = 0;
+    this.irqEnabled = false;
+    this.irqCounter = 0;
+    this.irqLatch = 0;
+    this.irqPending = false;
+  }
+
+  write(address, value) {
+    if (address >= 0x8000 ? this.regsAt8000 : address >= 0x6000 && this.regsAt6000) {
+      this.writeRegister(address & 0x0f, value);
+    } else if (address >= 0x6000 && address < 0x8000) {
+      if (this.hasPrgRam && (this.eepromControl & 0x20) !== 0) {
+        super.write(address, value);
+      }
+    } else {
+      super.write(address, value);
+    }
+  }
+
+  load(address) {
+    address &= 0xffff;
+    if (address >= 0x6000 && address < 0x8000) {
+      if (this.hasPrgRam) {
+        // Disabled RAM: open bus.
+        return (this.eepromControl & 0x20) !== 0 ? this.nes.cpu.mem[address] : this.nes.cpu.dataBus;
+      }
+      // The EEPROM's data line appears on bit 4; the rest is open bus.
+      const sda = this.eeprom !== null ? this.eeprom.read() : 0;
+      return (this.nes.cpu.dataBus & 0xef) | (sda << 4);
+    }
+    return super.load(address);
+  }
+
+  writeRegister(reg, value) {
+    switch (reg) {
+      case 0x0: case 0x1: case 0x2: case 0x3:
+      case 0x4: case 0x5: case 0x6: case 0x7:
+        this.chrReg[reg] = value;
+        if (this.hasPrgRam) {
+          this.updatePrgBanks();
+        } else {
+          this.load1kVromBank(value, reg << 10);
+        }
+        break;
+      case 0x8:
+        this.prgReg = value & 0x0f;
+        this.updatePrgBanks();
+        break;
+      case 0x9: {
+        const rom = this.nes.rom;
+        switch (value & 3) {
+          case 0: this.nes.ppu.setMirroring(rom.VERTICAL_MIRRORING); break;
+          case 1: this.nes.ppu.setMirroring(rom.HORIZONTAL_MIRRORING); break;
+          case 2: this.nes.ppu.setMirroring(rom.SINGLESCREEN_MIRRORING); break;
+          case 3: this.nes.ppu.setMirroring(rom.SINGLESCREEN_MIRRORING2); break;
+        }
+        break;
+      }
+      case 0xa:
+        // Bit 0 enables counting; LZ93D50 boards also reload from the latch.
+        this.irqEnabled = (value & 1) !== 0;
+        if (!this.isFcg) {
+          this.irqCounter = this.irqLatch;
+        }
+        this.acknowledgeIrq();
+        break;
+      case 0xb:
+        if (this.isFcg) {
+          this.irqCounter = (this.irqCounter & 0xff00) | value;
+        } else {
+          this.irqLatch = (this.irqLatch & 0xff00) | value;
+        }
+        break;
+      case 0xc:
+        if (this.isFcg) {
+          this.irqCounter = (this.irqCounter & 0x00ff) | (value << 8);
+        } else {
+          this.irqLatch = (this.irqLatch & 0x00ff) | (value << 8);
+        }
+        break;
+      case 0xd:
+        // Bit 5: SCL (PRG-RAM enable on mapper 153), bit 6: SDA.
+        this.eepromControl = value;
+        if (this.eeprom !== null) {
+          this.eeprom.write((value >> 5) & 1, (value >> 6) & 1);
+        }
+        break;
+    }
+  }
+
+  // Mapper 153 takes PRG A18 from bit 0 of any CHR register.
+  updatePrgBanks() {
+    let outer = 0;
+    if (this.hasPrgRam) {
+      for (let i = 0; i < 8; i++) outer |= this.chrReg[i] & 1;
+      outer <<= 4;
+    }
+    this.loadRomBank(outer | this.prgReg, 0x8000);
+    this.loadRomBank(this.hasPrgRam ? outer | 0x0f : this.nes.rom.romCount - 1, 0xc000);
+  }
+
+  acknowledgeIrq() {
+    this.irqPending = false;
+    const cpu = this.nes.cpu;
+    if (cpu.irqType === cpu.IRQ_NORMAL) {
+      cpu.irqRequested = false;
+    }
+  }
+
+  // The counter is checked before each decrement: the IRQ fires on the
+  // cycle that finds it at zero.
+  cpuClock(cycles) {
+    if (this.irqEnabled) {
+      if (this.irqCounter < cycles) {
+        this.irqPending = true;
+      }
+      this.irqCounter = (this.irqCounter - cycles) & 0xffff;
+    }
+    if (this.irqPending) {
+      this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NORMAL);
+    }
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) throw new Error("Bandai FCG: Invalid ROM! Unable to load.");
+    this.updatePrgBanks();
+    if (!this.hasPrgRam) {
+      for (let i = 0; i < 8; i++) {
+        this.load1kVromBank(this.chrReg[i], i << 10);
+      }
+    }
+    this.loadBatteryRam();
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  loadBatteryRam() {
+    if (this.eeprom === null) {
+      super.loadBatteryRam();
+      return;
+    }
+    const ram = this.nes.rom.batteryRam;
+    if (ram !== null) {
+      this.eeprom.data.set(ram.subarray(0, Math.min(ram.length, this.eeprom.data.length)));
+    }
+  }
+
+  getBatteryRam() {
+    if (this.eeprom === null) return super.getBatteryRam();
+    if (!this.nes.rom.hasBattery) return null;
+    return this.eeprom.data.slice();
+  }
+
+  toJSON() {
+    const s = super.toJSON();
+    s.chrReg = this.chrReg.slice();
+    s.prgReg = this.prgReg;
+    s.eepromControl = this.eepromControl;
+    s.irqEnabled = this.irqEnabled;
+    s.irqCounter = this.irqCounter;
+    s.irqLatch = this.irqLatch;
+    s.irqPending = this.irqPending;
+    if (this.eeprom !== null) s.eeprom = this.eeprom.toJSON();
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.chrReg = s.chrReg.slice();
+    this.prgReg = s.prgReg;
+    this.eepromControl = s.eepromControl;
+    this.irqEnabled = s.irqEnabled;
+    this.irqCounter = s.irqCounter;
+    this.irqLatch = s.irqLatch;
+    this.irqPending = s.irqPending;
+    if (this.eeprom !== null) this.eeprom.fromJSON(s.eeprom);
+  }
+}
+
+// ============================================================
+// Mapper 19 (Namco 129 / 163)
+// ============================================================
+// 8KB PRG banks, 1KB CHR banks, nametables that can come from CIRAM or
+// CHR-ROM, a 15-bit CPU cycle IRQ counter, and 128 bytes of internal RAM
+// that doubles as wavetable and register space for the sound channels.
+class Mapper19 extends Mapper {
+  constructor(nes) {
+    super(nes);
+    this.hasCpuClockHook = true;
+    this.hasExpansionAudio = true;
+
+    this.audio = new Namco163Audio();
+    this.prgReg = [0, 1, 2];
+    this.chrReg = new Array(8);
+    this.ntReg = new Array(4);
+    this.resetRegisters();
+  }
+
+  reset() {
+    super.reset();
+    this.resetRegisters();
+    this.audio.reset();
+  }
+
+  resetRegisters() {
+    this.prgReg[0] = 0;
+    this.prgReg[1] = 1;
+    this.prgReg[2] = 2;
+    this.chrReg.fill(0);
+    // Power-on nametables: vertical mirroring from CIRAM.
+    this.ntReg[0] = 0xe0;
+    this.ntReg[1] = 0xe1;
+    this.ntReg[2] = 0xe0;
+    this.ntReg[3] = 0xe1;
+    this.irqCounter = 0;
+    this.irqEnabled = false;
+    this.irqPending = false;
+    this.prgRamProtect = 0;
+  }
+
+  write(address, value) {
+    if (address < 0x4800) {
+      super.write(address, value);
+    } else if (address < 0x5000) {
+      // Sound registers live in the top 64 bytes; only count writes below
+      // them as save data changes.
+      if (this.nes.rom.hasBattery && this.audio.address < 0x40) {
+        this.batteryRamDirty = true;
+      }
+      this.audio.writeData(value);
+    } else if (address < 0x5800) {
+      this.irqCounter = (this.irqCounter & 0x7f00) | value;
+      this.acknowledgeIrq();
+    } else if (address < 0x6000) {
+      this.irqCounter = (this.irqCounter & 0xff) | ((value & 0x7f) << 8);
+      this.irqEnabled = (value & 0x80) !== 0;
+      this.acknowledgeIrq();
+    } else if (address < 0x8000) {
+      if (this.prgRamWritable(address)) {
+        super.write(address, value);
+      }
+    } else if (address < 0xc000) {
+      const bank = (address - 0x8000) >> 11;
+      this.chrReg[bank] = value;
+      this.load1kVromBank(value, bank << 10);
+    } else if (address < 0xe000) {
+      this.ntReg[(address - 0xc000) >> 11] = value;
+      this.updateNametables();
+    } else if (address < 0xe800) {
+      this.prgReg[0] = value & 0x3f;
+      this.load8kRomBank(this.prgReg[0], 0x8000);
+      this.audio.disabled = (value & 0x40) !== 0;
+    } else if (address < 0xf000) {
+      // Bits 6/7 enable CIRAM as CHR for $0000/$1000 (not emulated).
+      this.prgReg[1] = value & 0x3f;
+      this.load8kRomBank(this.prgReg[1], 0xa000);
+    } else if (address < 0xf800) {
+      this.prgReg[2] = value & 0x3f;
+      this.load8kRomBank(this.prgReg[2], 0xc000);
+    } else {
+      this.audio.writeAddress(value);
+      this.prgRamProtect = value;
+    }
+  }
+
+  load(address) {
+    address &= 0xffff;
+    if (address >= 0x4800 && address < 0x6000) {
+      if (address < 0x5000) {
+        return this.audio.readData();
+      }
+      if (address < 0x5800) {
+        return this.irqCounter & 0xff;
+      }
+      return (this.irqCounter >> 8) | (this.irqEnabled ? 0x80 : 0);
+    }
+    return super.load(address);
+  }
+
+  // $F800 upper nibble must be $4 to allow writes; bits 0-3 then protect
+  // the four 2KB quarters of $6000-$7FFF.
+  prgRamWritable(address) {
+    const value = this.prgRamProtect;
+    return (value & 0xf0) === 0x40 && (value & (1 << ((address - 0x6000) >> 11))) === 0;
+  }
+
+  // $E0-$FF selects a CIRAM page (bit 0), anything else a 1KB CHR-ROM bank
+  // loaded into a read-only cartridge nametable page.
+  updateNametables() {
+    const ppu = this.nes.ppu;
+    const pages = new Array(4);
+    for (let i = 0; i < 4; i++) {
+      const value = this.ntReg[i];
+      if (value >= 0xe0) {
+        pages[i] = value & 1;
+      } else {
+        pages[i] = 4 + i;
+        this.loadChrNametable(4 + i, value);
+      }
+    }
+    ppu.setNametablePages(pages[0], pages[1], pages[2], pages[3]);
+  }
+
+  loadChrNametable(page, bank1k) {
+    const rom = this.nes.rom;
+    if (rom.vromCount === 0) return;
+    const bank4k = (bank1k >> 2) % rom.vromCount;
+    this.nes.ppu.loadNametablePage(page, rom.vrom[bank4k], (bank1k & 3) << 10);
+  }
+
+  acknowledgeIrq() {
+    this.irqPending = false;
+    const cpu = this.nes.cpu;
+    if (cpu.irqType === cpu.IRQ_NORMAL) {
+      cpu.irqRequested = false;
+    }
+  }
+
+  // Counts up once per CPU cycle and stops at $7FFF, raising the IRQ.
+  cpuClock(cycles) {
+    if (this.irqEnabled && this.irqCounter < 0x7fff) {
+      this.irqCounter = Math.min(this.irqCounter + cycles, 0x7fff);
+      if (this.irqCounter === 0x7fff) {
+        this.irqPending = true;
+      }
+    }
+    if (this.irqPending) {
+      this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NORMAL);
+    }
+  }
+
+  clockExpansionAudio(nCycles) {
+    this.audio.clock(nCycles);
+  }
+
+  getExpansionAudioSample() {
+    return this.audio.getSample();
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) throw new Error("Namco 163: Invalid ROM! Unable to load.");
+    this.load8kRomBank(this.prgReg[0], 0x8000);
+    this.load8kRomBank(this.prgReg[1], 0xa000);
+    this.load8kRomBank(this.prgReg[2], 0xc000);
+    this.load8kRomBank(this.nes.rom.romCount * 2 - 1, 0xe000);
+    for (let i = 0; i < 8; i++) {
+      this.load1kVromBank(this.chrReg[i], i << 10);
+    }
+    this.updateNametables();
+    this.loadBatteryRam();
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  // Battery saves hold the 8KB of PRG-RAM followed by the 128 bytes of
+  // internal RAM.
+  loadBatteryRam() {
+    super.loadBatteryRam();
+    const ram = this.nes.rom.batteryRam;
+    if (ram !== null && ram.length >= 0x2000 + 128) {
+      copyArrayElements(ram, 0x2000, this.audio.ram, 0, 128);
+    }
+  }
+
+  getBatteryRam() {
+    if (!this.nes.rom.hasBattery) return null;
+    const ram = new Uint8Array(0x2000 + 128);
+    ram.set(this.nes.cpu.mem.slice(0x6000, 0x8000));
+    ram.set(this.audio.ram, 0x2000);
+    return ram;
+  }
+
+  toJSON() {
+    const s = super.toJSON();
+    s.prgReg = this.prgReg.slice();
+    s.chrReg = this.chrReg.slice();
+    s.ntReg = this.ntReg.slice();
+    s.irqCounter = this.irqCounter;
+    s.irqEnabled = this.irqEnabled;
+    s.irqPending = this.irqPending;
+    s.prgRamProtect = this.prgRamProtect;
+    s.audio = this.audio.toJSON();
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.prgReg = s.prgReg.slice();
+    this.chrReg = s.chrReg.slice();
+    this.ntReg = s.ntReg.slice();
+    this.irqCounter = s.irqCounter;
+    this.irqEnabled = s.irqEnabled;
+    this.irqPending = s.irqPending;
+    this.prgRamProtect = s.prgRamProtect;
+    this.audio.fromJSON(s.audio);
+  }
+}
+
+// ============================================================
+// Mapper 20 (Famicom Disk System)
+// ============================================================
+// The RAM adapter maps 32KB of PRG-RAM at $6000-$DFFF, the 8KB BIOS at
+// $E000 and 8KB of CHR-RAM, and adds a timer IRQ, the disk drive
+// interface and a wavetable sound channel.
+//
+// Disk sides are kept the way the drive sees them: a leading gap, then
+// each block as a $80 start mark, its data and a 2-byte CRC, followed by an
+// inter-block gap. The .fds format strips all of that, so it's rebuilt on
+// load and stripped again when the disk is saved.
+const FDS_LEADING_GAP = Math.floor(28300 / 8);
+const FDS_BLOCK_GAP = Math.floor(976 / 8);
+const FDS_BYTE_CYCLES = 150; // ~96.4 kbit/s
+const FDS_HEAD_RETURN_CYCLES = 50000;
+// How long the drive reports "no disk" when swapping, so the BIOS and games
+// notice the change (about half a second).
+const FDS_SWAP_CYCLES = 900000;
+
+// Block sizes by block type (1-4). The length of a file data block comes
+// from the file header block before it.
+function fdsBlockLength(type, fileSize) {
+  switch (type) {
+    case 1: return 56;
+    case 2: return 2;
+    case 3: return 16;
+    case 4: return 1 + fileSize;
+    default: return 0;
+  }
+}
+
+function fdsFileSize(header, i) {
+  return header[i + 13] | (header[i + 14] << 8);
+}
+
+function addFdsGaps(side) {
+  const out = [];
+  for (let i = 0; i < FDS_LEADING_GAP; i++) out.push(0);
+  let fileSize = 0;
+  for (let i = 0; i < side.length; ) {
+    const length = fdsBlockLength(side[i], fileSize);
+    if (length === 0 || i + length > side.length) break;
+    if (side[i] === 3) fileSize = fdsFileSize(side, i);
+    out.push(0x80);
+    for (let j = 0; j < length; j++) out.push(side[i + j]);
+    // Fake CRC; the BIOS only sees the drive's CRC error flag.
+    out.push(0x4d, 0x62);
+    for (let j = 0; j < FDS_BLOCK_GAP; j++) out.push(0);
+    i += length;
+  }
+  // Pad to a full side so games can append files.
+  const disk = new Uint8Array(Math.max(out.length, side.length + FDS_LEADING_GAP));
+  disk.set(out);
+  return disk;
+}
+
+function stripFdsGaps(disk, size) {
+  const side = new Uint8Array(size);
+  let out = 0;
+  let i = 0;
+  let fileSize = 0;
+  for (;;) {
+    while (i < disk.length && disk[i] === 0) i++;
+    if (i >= disk.length || disk[i] !== 0x80) break;
+    i++;
+    const length = fdsBlockLength(disk[i], fileSize);
+    if (length === 0 || out + length > size || i + length > disk.length) break;
+    if (disk[i] === 3) fileSize = fdsFileSize(disk, i);
+    side.set(disk.subarray(i, i + length), out);
+    out += length;
+    i += length + 2;
+  }
+  return side;
+}
+
+class Mapper20 extends Mapper {
+  constructor(nes) {
+    super(nes);
+    this.hasCpuClockHook = true;
+    this.hasExpansionAudio = true;
+
+    this.audio = new FdsAudio();
+    // Gapped disk sides, the inserted side (-1 = none) and a side waiting
+    // to be inserted after a swap.
+    this.disk = [];
+    this.diskSide = 0;
+    this.pendingSide = -1;
+    this.swapDelay = 0;
+
+    this.resetRegisters();
+  }
+
+  reset() {
+    super.reset();
+    this.resetRegisters();
+    this.audio.reset();
+  }
+
+  resetRegisters() {
+    this.irqReloadValue = 0;
+    this.irqCounter = 0;
+    this.irqEnabled = false;
+    this.irqRepeatEnabled = false;
+    this.timerIrq = false;
+    this.diskIrq = false;
+
+    this.diskRegEnabled = true;
+    this.soundRegEnabled = true;
+
+    this.writeDataReg = 0;
+    this.readDataReg = 0;
+    this.motorOn = false;
+    this.resetTransfer = false;
+    this.readMode = true;
+    this.crcControl = false;
+    this.diskReady = false;
+    this.diskIrqEnabled = false;
+    this.extConWriteReg = 0;
+
+    this.diskPosition = 0;
+    this.delay = 0;
+    this.endOfHead = true;
+    this.scanningDisk = false;
+    this.gapEnded = true;
+    this.transferComplete = false;
+    this.crcAccumulator = 0;
+    this.previousCrcControl = false;
+  }
+
+  write(address, value) {
+    if (address < 0x4020) {
+      super.write(address, value);
+    } else if (address < 0x4100) {
+      this.writeRegister(address, value);
+    } else if (address >= 0x6000 && address < 0xe000) {
+      this.nes.cpu.mem[address] = value;
+    }
+  }
+
+  writeRegister(address, value) {
+    if (address === 0x4023) {
+      this.diskRegEnabled = (value & 1) !== 0;
+      this.soundRegEnabled = (value & 2) !== 0;
+      if (!this.diskRegEnabled) {
+        this.irqEnabled = false;
+        this.timerIrq = false;
+        this.diskIrq = false;
+        this.acknowledgeIrq();
+      }
+      return;
+    }
+    if (address >= 0x4040) {
+      if (this.soundRegEnabled) {
+        this.audio.writeReg(address, value);
+      }
+      return;
+    }
+    if (!this.diskRegEnabled) {
+      return;
+    }
+    switch (address) {
+      case 0x4020:
+        this.irqReloadValue = (this.irqReloadValue & 0xff00) | value;
+        break;
+      case 0x4021:
+        this.irqReloadValue = (this.irqReloadValue & 0x00ff) | (value << 8);
+        break;
+      case 0x4022:
+        this.irqRepeatEnabled = (value & 1) !== 0;
+        this.irqEnabled = (value & 2) !== 0;
+        if (this.irqEnabled) {
+          this.irqCounter = this.irqReloadValue;
+        } else {
+          this.timerIrq = false;
+          this.acknowledgeIrq();
+        }
+        break;
+      case 0x4024:
+        this.writeDataReg = value;
+        this.transferComplete = false;
+        this.diskIrq = false;
+        this.acknowledgeIrq();
+        break;
+      case 0x4025:
+        this.motorOn = (value & 0x01) !== 0;
+        this.resetTransfer = (value & 0x02) !== 0;
+        this.readMode = (value & 0x04) !== 0;
+        this.nes.ppu.setMirroring(
+          (value & 0x08) !== 0 ? this.nes.rom.HORIZONTAL_MIRRORING : this.nes.rom.VERTICAL_MIRRORING
+        );
+        this.crcControl = (value & 0x10) !== 0;
+        this.diskReady = (value & 0x40) !== 0;
+        this.diskIrqEnabled = (value & 0x80) !== 0;
+        this.diskIrq = false;
+        this.acknowledgeIrq();
+        break;
+      case 0x4026:
+        this.extConWriteReg = value;
+        break;
+    }
+  }
+
+  load(address) {
+    address &= 0xffff;
+    if (address >= 0x4020 && address < 0x4100) {
+      return this.readRegister(address);
+    }
+    return super.load(address);
+  }
+
+  readRegister(address) {
+    if (address >= 0x4040) {
+      return this.soundRegEnabled ? this.audio.readReg(address) : 0x40;
+    }
+    if (!this.diskRegEnabled) {
+      return 0x40;
+    }
+    const inserted = this.diskSide >= 0;
+    let value;
+    switch (address) {
+      case 0x4030:
+        value = 0;
+        if (this.timerIrq) value |= 0x01;
+        if (this.transferComplete) value |= 0x02;
+        if (this.endOfHead) value |= 0x40;
+        this.transferComplete = false;
+        this.timerIrq = false;
+        this.diskIrq = false;
+        this.acknowledgeIrq();
+        return value;
+      case 0x4031:
+        this.transferComplete = false;
+        this.diskIrq = false;
+        this.acknowledgeIrq();
+        return this.readDataReg;
+      case 0x4032:
+        value = 0x40;
+        if (!inserted) value |= 0x01; // no disk
+        if (!inserted || !this.scanningDisk) value |= 0x02; // not ready
+        if (!inserted) value |= 0x04; // write protected
+        return value;
+      case 0x4033:
+        // Expansion port input; bit 7 set means the battery is good.
+        return 0x80 | (this.extConWriteReg & 0x7f);
+    }
+    return 0x40;
+  }
+
+  // Drops the CPU's pending IRQ once neither the timer nor the drive wants
+  // one.
+  acknowledgeIrq() {
+    const cpu = this.nes.cpu;
+    if (!this.timerIrq && !this.diskIrq && cpu.irqType === cpu.IRQ_NORMAL) {
+      cpu.irqRequested = false;
+    }
+  }
+
+  cpuClock(cycles) {
+    if (this.swapDelay > 0) {
+      this.swapDelay -= cycles;
+      if (this.swapDelay <= 0) {
+        this.diskSide = this.pendingSide;
+        this.pendingSide = -1;
+      }
+    }
+    for (let i = 0; i < cycles; i++) {
+      if (this.irqEnabled) {
+        if (this.irqCounter === 0) {
+          this.timerIrq = true;
+          this.irqCounter = this.irqReloadValue;
+          if (!this.irqRepeatEnabled) {
+            this.irqEnabled = false;
+          }
+        } else {
+          this.irqCounter--;
+        }
+      }
+      this.clockDisk();
+    }
+    // IRQs are level-triggered; keep asserting until acknowledged.
+    if (this.timerIrq || this.diskIrq) {
+      this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NORMAL);
+    }
+  }
+
+  clockDisk() {
+    if (this.diskSide < 0 || !this.motorOn) {
+      this.endOfHead = true;
+      this.scanningDisk = false;
+      return;
+    }
+    if (this.resetTransfer && !this.scanningDisk) {
+      return;
+    }
+    if (this.endOfHead) {
+      this.delay = FDS_HEAD_RETURN_CYCLES;
+      this.endOfHead = false;
+      this.diskPosition = 0;
+      this.gapEnded = false;
+      return;
+    }
+    if (this.delay > 0) {
+      this.delay--;
+      return;
+    }
+
+    this.scanningDisk = true;
+    const disk = this.disk[this.diskSide];
+    let needIrq = this.diskIrqEnabled;
+    let data;
+
+    if (this.readMode) {
+      data = disk[this.diskPosition];
+      if (!this.previousCrcControl) {
+        this.updateCrc(data);
+      }
+      if (!this.diskReady) {
+        this.gapEnded = false;
+        this.crcAccumulator = 0;
+      } else if (data !== 0 && !this.gapEnded) {
+        // The $80 start mark ends the gap but isn't passed to the CPU.
+        this.gapEnded = true;
+        needIrq = false;
+      }
+      if (this.gapEnded) {
+        this.transferComplete = true;
+        this.readDataReg = data;
+        if (needIrq) {
+          this.diskIrq = true;
+        }
+      }
+    } else {
+      data = 0;
+      if (!this.crcControl) {
+        this.transferComplete = true;
+        data = this.writeDataReg;
+        if (needIrq) {
+          this.diskIrq = true;
+        }
+      }
+      if (!this.diskReady) {
+        data = 0;
+      }
+      if (!this.crcControl) {
+        this.updateCrc(data);
+      } else {
+        if (!this.previousCrcControl) {
+          this.updateCrc(0);
+          this.updateCrc(0);
+        }
+        data = this.crcAccumulator & 0xff;
+        this.crcAccumulator >>= 8;
+      }
+      this.writeDisk(data);
+      this.gapEnded = false;
+    }
+
+    this.previousCrcControl = this.crcControl;
+    this.diskPosition++;
+    if (this.diskPosition >= disk.length) {
+      this.motorOn = false;
+    } else {
+      this.delay = FDS_BYTE_CYCLES;
+    }
+  }
+
+  updateCrc(value) {
+    for (let n = 0x01; n <= 0x80; n <<= 1) {
+      const carry = this.crcAccumulator & 1;
+      this.crcAccumulator >>= 1;
+      if (carry) this.crcAccumulator ^= 0x8408;
+      if (value & n) this.crcAccumulator ^= 0x8000;
+    }
+  }
+
+  // The write head trails the read position by two bytes.
+  writeDisk(value) {
+    const position = this.diskPosition - 2;
+    const disk = this.disk[this.diskSide];
+    if (position >= 0 && disk[position] !== value) {
+      disk[position] = value;
+      this.batteryRamDirty = true;
+    }
+  }
+
+  getSideCount() {
+    return this.disk.length;
+  }
+
+  // Currently inserted side, or -1 with the drive empty.
+  getInsertedSide() {
+    return this.diskSide;
+  }
+
+  ejectDisk() {
+    this.diskSide = -1;
+    this.pendingSide = -1;
+    this.swapDelay = 0;
+  }
+
+  // Ejects the current disk and inserts the given side once the drive has
+  // reported it empty for a while.
+  insertDisk(side) {
+    if (side < 0 || side >= this.disk.length) {
+      throw new Error("FDS: Disk side " + side + " doesn't exist (image has " + this.disk.length + " sides).");
+    }
+    if (this.diskSide < 0) {
+      this.diskSide = side;
+      return;
+    }
+    this.diskSide = -1;
+    this.pendingSide = side;
+    this.swapDelay = FDS_SWAP_CYCLES;
+  }
+
+  clockExpansionAudio(nCycles) {
+    this.audio.clock(nCycles);
+  }
+
+  getExpansionAudioSample() {
+    return this.audio.getSample();
+  }
+
+  loadROM() {
+    const rom = this.nes.rom;
+    if (!rom.valid || !rom.isFds) {
+      throw new Error("FDS: Invalid disk image! Unable to load.");
+    }
+    if (this.nes.fdsBios === null) {
+      throw new Error("FDS: No BIOS loaded. Pass the 8KB disksys.rom to nes.loadFdsBios() before loading a disk image.");
+    }
+    this.reset();
+    copyArrayElements(this.nes.fdsBios, 0, this.nes.cpu.mem, 0xe000, 0x2000);
+    this.loadBatteryRam();
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  // The "battery RAM" of a disk system is the disk itself, saved as a
+  // headerless .fds image. A save that doesn't match the disk's side count
+  // is ignored.
+  loadBatteryRam() {
+    const rom = this.nes.rom;
+    const saved = rom.batteryRam;
+    const useSaved = saved !== null && saved.length === rom.fdsSides.length * rom.FDS_SIDE_SIZE;
+    this.disk = rom.fdsSides.map((side, i) =>
+      addFdsGaps(useSaved ? saved.subarray(i * rom.FDS_SIDE_SIZE, (i + 1) * rom.FDS_SIDE_SIZE) : side)
+    );
+    if (this.diskSide >= this.disk.length) {
+      this.diskSide = 0;
+    }
+  }
+
+  loadTrainer() {}
+
+  getBatteryRam() {
+    const size = this.nes.rom.FDS_SIDE_SIZE;
+    const image = new Uint8Array(this.disk.length * size);
+    for (let i = 0; i < this.disk.length; i++) {
+      image.set(stripFdsGaps(this.disk[i], size), i * size);
+    }
+    return image;
+  }
+
+  toJSON() {
+    const s = super.toJSON();
+    s.irqReloadValue = this.irqReloadValue;
+    s.irqCounter = this.irqCounter;
+    s.irqEnabled = this.irqEnabled;
+    s.irqRepeatEnabled = this.irqRepeatEnabled;
+    s.timerIrq = this.timerIrq;
+    s.diskIrq = this.diskIrq;
+    s.diskRegEnabled = this.diskRegEnabled;
+    s.soundRegEnabled = this.soundRegEnabled;
+    s.writeDataReg = this.writeDataReg;
+    s.readDataReg = this.readDataReg;
+    s.motorOn = this.motorOn;
+    s.resetTransfer = this.resetTransfer;
+    s.readMode = this.readMode;
+    s.crcControl = this.crcControl;
+    s.diskReady = this.diskReady;
+    s.diskIrqEnabled = this.diskIrqEnabled;
+    s.extConWriteReg = this.extConWriteReg;
+    s.diskPosition = this.diskPosition;
+    s.delay = this.delay;
+    s.endOfHead = this.endOfHead;
+    s.scanningDisk = this.scanningDisk;
+    s.gapEnded = this.gapEnded;
+    s.transferComplete = this.transferComplete;
+    s.crcAccumulator = this.crcAccumulator;
+    s.previousCrcControl = this.previousCrcControl;
+    s.diskSide = this.diskSide;
+    s.pendingSide = this.pendingSide;
+    s.swapDelay = this.swapDelay;
+    s.audio = this.audio.toJSON();
+    // The disk is saved with the state so it always matches the game's
+    // view of it in RAM.
+    s.disk = this.disk.map((side) => Array.from(side));
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.irqReloadValue = s.irqReloadValue;
+    this.irqCounter = s.irqCounter;
+    this.irqEnabled = s.irqEnabled;
+    this.irqRepeatEnabled = s.irqRepeatEnabled;
+    this.timerIrq = s.timerIrq;
+    this.diskIrq = s.diskIrq;
+    this.diskRegEnabled = s.diskRegEnabled;
+    this.soundRegEnabled = s.soundRegEnabled;
+    this.writeDataReg = s.writeDataReg;
+    this.readDataReg = s.readDataReg;
+    this.motorOn = s.motorOn;
+    this.resetTransfer = s.resetTransfer;
+    this.readMode = s.readMode;
+    this.crcControl = s.crcControl;
+    this.diskReady = s.diskReady;
+    this.diskIrqEnabled = s.diskIrqEnabled;
+    this.extConWriteReg = s.extConWriteReg;
+    this.diskPosition = s.diskPosition;
+    this.delay = s.delay;
+    this.endOfHead = s.endOfHead;
+    this.scanningDisk = s.scanningDisk;
+    this.gapEnded = s.gapEnded;
+    this.transferComplete = s.transferComplete;
+    this.crcAccumulator = s.crcAccumulator;
+    this.previousCrcControl = s.previousCrcControl;
+    this.diskSide = s.diskSide;
+    this.pendingSide = s.pendingSide;
+    this.swapDelay = s.swapDelay;
+    this.audio.fromJSON(s.audio);
+    if (s.disk !== null) {
+      this.disk = s.disk.map((side) => Uint8Array.from(side));
+    } else {
+      // Older states left the disk out until it was written; it was then
+      // still the loaded image.
+      this.loadBatteryRam();
+    }
+    this.batteryRamDirty = true;
+  }
+}
+
+// ============================================================
+// Konami VRC IRQ counter (VRC4, VRC6, VRC7)
+// ============================================================
+// An 8-bit up-counter that reloads from the latch and raises an IRQ when it
+// overflows. In scanline mode a prescaler divides CPU cycles by 113.667
+// (341 PPU dots / 3) to approximate one clock per scanline; in cycle mode
+// the counter is clocked by every CPU cycle.
+class VrcIrq {
+  constructor(nes) {
+    this.nes = nes;
+    this.reset();
+  }
+
+  reset() {
+    this.latch = 0;
+    this.counter = 0;
+    this.prescaler = 341;
+    this.enabled = false;
+    this.enableAfterAck = false;
+    this.cycleMode = false;
+    this.pending = false;
+  }
+
+  writeLatch(value) {
+    this.latch = value & 0xff;
+  }
+
+  // Control: bit 0 = enable after acknowledge, bit 1 = enable, bit 2 =
+  // cycle mode. Enabling reloads the counter and resets the prescaler.
+  writeControl(value) {
+    this.enableAfterAck = (value & 1) !== 0;
+    this.enabled = (value & 2) !== 0;
+    this.cycleMode = (value & 4) !== 0;
+    if (this.enabled) {
+      this.counter = this.latch;
+      this.prescaler = 341;
+    }
+    this.clearIrq();
+  }
+
+  acknowledge() {
+    this.enabled = this.enableAfterAck;
+    this.clearIrq();
+  }
+
+  clearIrq() {
+    this.pending = false;
+    const cpu = this.nes.cpu;
+    if (cpu.irqType === cpu.IRQ_NORMAL) {
+      cpu.irqRequested = false;
+    }
+  }
+
+  clock(cycles) {
+    if (this.enabled) {
+      for (let i = 0; i < cycles; i++) {
+        if (this.cycleMode) {
+          this.clockCounter();
+        } else {
+          this.prescaler -= 3;
+          if (this.prescaler <= 0) {
+            this.prescaler += 341;
+            this.clockCounter();
+          }
+        }
+      }
+    }
+    // The IRQ line stays asserted until acknowledged.
+    if (this.pending) {
+      this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NORMAL);
+    }
+  }
+
+  clockCounter() {
+    if (this.counter === 0xff) {
+      this.counter = this.latch;
+      this.pending = true;
+    } else {
+      this.counter++;
+    }
+  }
+
+  toJSON() {
+    return {
+      latch: this.latch,
+      counter: this.counter,
+      prescaler: this.prescaler,
+      enabled: this.enabled,
+      enableAfterAck: this.enableAfterAck,
+      cycleMode: this.cycleMode,
+      pending: this.pending,
+    };
+  }
+
+  fromJSON(s) {
+    this.latch = s.latch;
+    this.counter = s.counter;
+    this.prescaler = s.prescaler;
+    this.enabled = s.enabled;
+    this.enableAfterAck = s.enableAfterAck;
+    this.cycleMode = s.cycleMode;
+    this.pending = s.pending;
+  }
+}
+
+// ============================================================
+// Mappers 21, 22, 23, 25 (Konami VRC2 / VRC4)
+// ============================================================
+// One chip family wired up several ways: each board connects two different
+// CPU address lines to the chip's register select inputs, so the same
+// register appears at e.g. $x001 on one board and $x040 on another. The
+// NES 2.0 submapper picks the exact wiring; without one, both candidate
+// lines are ORed together, which works for every VRC4 game on the mapper.
+//
+// a0/a1 are the address bits feeding register select 0 and 1. VRC2 has no
+// IRQ or PRG swap mode, only 1-bit mirroring, and VRC2a drops the low bit
+// of every CHR bank number.
+const VRC24_VARIANTS = {
+  21: {
+    0: { name: "VRC4a/VRC4c", a0: 0x42, a1: 0x84, vrc2: false },
+    1: { name: "VRC4a", a0: 0x02, a1: 0x04, vrc2: false },
+    2: { name: "VRC4c", a0: 0x40, a1: 0x80, vrc2: false },
+  },
+  22: {
+    0: { name: "VRC2a", a0: 0x02, a1: 0x01, vrc2: true },
+  },
+  23: {
+    0: { name: "VRC4e/VRC4f", a0: 0x05, a1: 0x0a, vrc2: false },
+    1: { name: "VRC4f", a0: 0x01, a1: 0x02, vrc2: false },
+    2: { name: "VRC4e", a0: 0x04, a1: 0x08, vrc2: false },
+    3: { name: "VRC2b", a0: 0x01, a1: 0x02, vrc2: true },
+  },
+  25: {
+    0: { name: "VRC4b/VRC4d", a0: 0x0a, a1: 0x05, vrc2: false },
+    1: { name: "VRC4b", a0: 0x02, a1: 0x01, vrc2: false },
+    2: { name: "VRC4d", a0: 0x08, a1: 0x04, vrc2: false },
+    3: { name: "VRC2c", a0: 0x02, a1: 0x01, vrc2: true },
+  },
+};
+
+class Mapper21 extends Mapper {
+  constructor(nes) {
+    super(nes);
+    const variants = VRC24_VARIANTS[nes.rom.mapperType];
+    this.variant = variants[nes.rom.submapper] || variants[0];
+    this.isVrc2 = this.variant.vrc2;
+    this.chrShift = nes.rom.mapperType === 22 ? 1 : 0;
+    this.hasCpuClockHook = !this.isVrc2;
+
+    this.irq = new VrcIrq(nes);
+    this.prgReg = [0, 0];
+    this.chrReg = new Array(8);
+    this.resetRegisters();
+  }
+
+  reset() {
+    super.reset();
+    this.resetRegisters();
+    this.irq.reset();
+  }
+
+  resetRegisters() {
+    this.prgReg[0] = 0;
+    this.prgReg[1] = 1;
+    this.chrReg.fill(0);
+    this.prgSwapMode = 0;
+    this.mirroring = 0;
+  }
+
+  write(address, value) {
+    if (address < 0x8000) {
+      super.write(address, value);
+      return;
+    }
+
+    // Collapse the board's address lines to $x000-$x003.
+    let reg = address & 0xf000;
+    if (address & this.variant.a0) reg |= 1;
+    if (address & this.variant.a1) reg |= 2;
+
+    switch (reg & 0xf000) {
+      case 0x8000:
+        this.prgReg[0] = value & 0x1f;
+        this.updatePrgBanks();
+        break;
+      case 0x9000:
+        if (this.isVrc2 || reg < 0x9002) {
+          this.setMirroring(this.isVrc2 ? value & 1 : value & 3);
+        } else {
+          // $9002 bit 1; bit 0 (PRG-RAM enable) isn't emulated.
+          this.prgSwapMode = (value >> 1) & 1;
+          this.updatePrgBanks();
+        }
+        break;
+      case 0xa000:
+        this.prgReg[1] = value & 0x1f;
+        this.updatePrgBanks();
+        break;
+      case 0xb000:
+      case 0xc000:
+      case 0xd000:
+      case 0xe000: {
+        // Two registers per 1KB bank: low nibble, then high bits.
+        const bank = (((reg & 0xf000) - 0xb000) >> 11) | ((reg >> 1) & 1);
+        if (reg & 1) {
+          const highMask = this.isVrc2 ? 0x0f : 0x1f;
+          this.chrReg[bank] = (this.chrReg[bank] & 0x0f) | ((value & highMask) << 4);
+        } else {
+          this.chrReg[bank] = (this.chrReg[bank] & 0x1f0) | (value & 0x0f);
+        }
+        this.load1kVromBank(this.chrReg[bank] >> this.chrShift, bank << 10);
+        break;
+      }
+      case 0xf000:
+        if (this.isVrc2) break;
+        switch (reg & 3) {
+          case 0: this.irq.writeLatch((this.irq.latch & 0xf0) | (value & 0x0f)); break;
+          case 1: this.irq.writeLatch((this.irq.latch & 0x0f) | ((value & 0x0f) << 4)); break;
+          case 2: this.irq.writeControl(value); break;
+          case 3: this.irq.acknowledge(); break;
+        }
+        break;
+    }
+  }
+
+  setMirroring(value) {
+    const rom = this.nes.rom;
+    this.mirroring = value;
+    switch (value) {
+      case 0: this.nes.ppu.setMirroring(rom.VERTICAL_MIRRORING); break;
+      case 1: this.nes.ppu.setMirroring(rom.HORIZONTAL_MIRRORING); break;
+      case 2: this.nes.ppu.setMirroring(rom.SINGLESCREEN_MIRRORING); break;
+      case 3: this.nes.ppu.setMirroring(rom.SINGLESCREEN_MIRRORING2); break;
+    }
+  }
+
+  // Mode 0: $8000 = reg 0, $C000 = second-last bank.
+  // Mode 1: $8000 = second-last bank, $C000 = reg 0.
+  // $A000 is always reg 1 and $E000 the last bank.
+  updatePrgBanks() {
+    const secondLast = this.nes.rom.romCount * 2 - 2;
+    if (this.prgSwapMode === 0) {
+      this.load8kRomBank(this.prgReg[0], 0x8000);
+      this.load8kRomBank(secondLast, 0xc000);
+    } else {
+      this.load8kRomBank(secondLast, 0x8000);
+      this.load8kRomBank(this.prgReg[0], 0xc000);
+    }
+    this.load8kRomBank(this.prgReg[1], 0xa000);
+  }
+
+  cpuClock(cycles) {
+    this.irq.clock(cycles);
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) throw new Error("VRC2/VRC4: Invalid ROM! Unable to load.");
+    this.updatePrgBanks();
+    this.load8kRomBank(this.nes.rom.romCount * 2 - 1, 0xe000);
+    for (let i = 0; i < 8; i++) {
+      this.load1kVromBank(this.chrReg[i] >> this.chrShift, i << 10);
+    }
+    this.loadBatteryRam();
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    const s = super.toJSON();
+    s.prgReg = this.prgReg.slice();
+    s.chrReg = this.chrReg.slice();
+    s.prgSwapMode = this.prgSwapMode;
+    s.mirroring = this.mirroring;
+    s.irq = this.irq.toJSON();
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.prgReg = s.prgReg.slice();
+    this.chrReg = s.chrReg.slice();
+    this.prgSwapMode = s.prgSwapMode;
+    this.mirroring = s.mirroring;
+    this.irq.fromJSON(s.irq);
+  }
+}
+
+// ============================================================
+// Mappers 24, 26 (Konami VRC6)
+// ============================================================
+// 16KB + 8KB switchable PRG, eight CHR registers, the VRC IRQ counter and
+// three sound channels. Mapper 26 boards swap the A0 and A1 lines.
+class Mapper24 extends Mapper {
+  constructor(nes) {
+    super(nes);
+    this.hasCpuClockHook = true;
+    this.hasExpansionAudio = true;
+    this.swapLines = nes.rom.mapperType === 26;
+
+    this.irq = new VrcIrq(nes);
+    this.audio = new Vrc6Audio();
+    this.chrReg = new Array(8);
+    this.resetRegisters();
+  }
+
+  reset() {
+    super.reset();
+    this.resetRegisters();
+    this.irq.reset();
+    this.audio.reset();
+  }
+
+  resetRegisters() {
+    this.prgBank16 = 0;
+    this.prgBank8 = 0;
+    this.chrReg.fill(0);
+    this.bankingControl = 0;
+  }
+
+  write(address, value) {
+    if (address < 0x8000) {
+      super.write(address, value);
+      return;
+    }
+
+    let reg = address & 3;
+    if (this.swapLines) {
+      reg = ((reg & 1) << 1) | (reg >> 1);
+    }
+
+    switch (address & 0xf000) {
+      case 0x8000:
+        this.prgBank16 = value & 0x0f;
+        this.loadRomBank(this.prgBank16, 0x8000);
+        break;
+      case 0x9000:
+      case 0xa000:
+        this.audio.writeReg(address & 0xf000, reg, value);
+        break;
+      case 0xb000:
+        if (reg === 3) {
+          this.bankingControl = value;
+          this.updateChrBanks();
+          this.updateMirroring();
+        } else {
+          this.audio.writeReg(0xb000, reg, value);
+        }
+        break;
+      case 0xc000:
+        this.prgBank8 = value & 0x1f;
+        this.load8kRomBank(this.prgBank8, 0xc000);
+        break;
+      case 0xd000:
+      case 0xe000:
+        this.chrReg[(address & 0x1000 ? 0 : 4) + reg] = value;
+        this.updateChrBanks();
+        break;
+      case 0xf000:
+        switch (reg) {
+          case 0: this.irq.writeLatch(value); break;
+          case 1: this.irq.writeControl(value); break;
+          case 2: this.irq.acknowledge(); break;
+        }
+        break;
+    }
+  }
+
+  // $B003 bits 0-1: mode 0 = eight 1KB banks, mode 1 = four 2KB banks,
+  // modes 2/3 = 1KB banks at $0000 and 2KB banks at $1000. In 2KB banks
+  // the low bit comes from PPU A10. Nametables from CHR-ROM (bit 4) aren't
+  // emulated; no commercial game uses them.
+  updateChrBanks() {
+    const r = this.chrReg;
+    switch (this.bankingControl & 3) {
+      case 0:
+        for (let i = 0; i < 8; i++) {
+          this.load1kVromBank(r[i], i << 10);
+        }
+        break;
+      case 1:
+        for (let i = 0; i < 4; i++) {
+          this.load2kVromBank(r[i] >> 1, i << 11);
+        }
+        break;
+      default:
+        for (let i = 0; i < 4; i++) {
+          this.load1kVromBank(r[i], i << 10);
+        }
+        this.load2kVromBank(r[4] >> 1, 0x1000);
+        this.load2kVromBank(r[5] >> 1, 0x1800);
+        break;
+    }
+  }
+
+  // $B003 bits 2-3 in the standard banking configuration.
+  updateMirroring() {
+    const rom = this.nes.rom;
+    switch ((this.bankingControl >> 2) & 3) {
+      case 0: this.nes.ppu.setMirroring(rom.VERTICAL_MIRRORING); break;
+      case 1: this.nes.ppu.setMirroring(rom.HORIZONTAL_MIRRORING); break;
+      case 2: this.nes.ppu.setMirroring(rom.SINGLESCREEN_MIRRORING); break;
+      case 3: this.nes.ppu.setMirroring(rom.SINGLESCREEN_MIRRORING2); break;
+    }
+  }
+
+  cpuClock(cycles) {
+    this.irq.clock(cycles);
+  }
+
+  clockExpansionAudio(nCycles) {
+    this.audio.clock(nCycles);
+  }
+
+  getExpansionAudioSample() {
+    return this.audio.getSample();
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) throw new Error("VRC6: Invalid ROM! Unable to load.");
+    this.loadRomBank(this.prgBank16, 0x8000);
+    this.load8kRomBank(this.prgBank8, 0xc000);
+    this.load8kRomBank(this.nes.rom.romCount * 2 - 1, 0xe000);
+    this.updateChrBanks();
+    this.loadBatteryRam();
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    const s = super.toJSON();
+    s.prgBank16 = this.prgBank16;
+    s.prgBank8 = this.prgBank8;
+    s.chrReg = this.chrReg.slice();
+    s.bankingControl = this.bankingControl;
+    s.irq = this.irq.toJSON();
+    s.audio = this.audio.toJSON();
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.prgBank16 = s.prgBank16;
+    this.prgBank8 = s.prgBank8;
+    this.chrReg = s.chrReg.slice();
+    this.bankingControl = s.bankingControl;
+    this.irq.fromJSON(s.irq);
+    this.audio.fromJSON(s.audio);
+  }
+}
+
+// ============================================================
+// Banked CHR-RAM and nametable RAM
+// ============================================================
+// Boards with more video RAM than the PPU can see keep the inactive banks
+// here. The selected bank lives in vramMem (so PPU writes and save states
+// see it) and is copied back out when another bank is selected.
+class BankedVram {
+  // base is the PPU address of the window: 0x0000 for CHR-RAM (8KB
+  // window) or 0x2000 for four-screen nametable RAM (4KB window).
+  constructor(nes, base, bankSize, bankCount) {
+    this.nes = nes;
+    this.base = base;
+    this.bankSize = bankSize;
+    this.data = new Uint8Array(bankSize * Math.max(bankCount, 1));
+    this.bank = 0;
+  }
+
+  // Power-on state; the PPU clears vramMem on reset too.
+  reset() {
+    this.data.fill(0);
+    this.bank = 0;
+  }
+
+  select(bank) {
+    bank %= this.data.length / this.bankSize;
+    if (bank === this.bank) return;
+    const ppu = this.nes.ppu;
+    ppu.triggerRendering();
+    this.flush();
+    this.bank = bank;
+    const offset = bank * this.bankSize;
+    if (this.base === 0) {
+      for (let i = 0; i < this.bankSize; i++) {
+        ppu.vramMem[i] = this.data[offset + i];
+      }
+      for (let tile = 0; tile < this.bankSize >> 4; tile++) {
+        const a = tile << 4;
+        for (let y = 0; y < 8; y++) {
+          ppu.ptTile[tile].setScanline(y, ppu.vramMem[a + y], ppu.vramMem[a + y + 8]);
+        }
+      }
+    } else {
+      for (let page = 0; page < this.bankSize >> 10; page++) {
+        ppu.loadNametablePage(page, this.data, offset + (page << 10));
+      }
+    }
+  }
+
+  // Copies the visible bank back into its slot.
+  flush() {
+    const vram = this.nes.ppu.vramMem;
+    const offset = this.bank * this.bankSize;
+    for (let i = 0; i < this.bankSize; i++) {
+      this.data[offset + i] = vram[this.base + i];
+    }
+  }
+
+  toJSON() {
+    this.flush();
+    return { data: Array.from(this.data), bank: this.bank };
+  }
+
+  fromJSON(s) {
+    this.data.set(s.data);
+    this.bank = s.bank;
+  }
+}
+
+// ============================================================
+// Self-flashing PRG (UNROM 512, GTROM)
+// ============================================================
+// Base for boards whose PRG is an SST39SF040 the game can reprogram. PRG
+// banks are mapped from the flash contents instead of the ROM image, and
+// the whole flash is saved through the battery RAM API.
+class FlashMapper extends Mapper {
+  constructor(nes) {
+    super(nes);
+    const rom = nes.rom;
+    const image = new Uint8Array(rom.romCount * 0x4000);
+    for (let i = 0; i < rom.romCount; i++) {
+      image.set(rom.rom[i], i * 0x4000);
+    }
+    this.flash = new Sst39sf040(image);
+    this.flash.onWrite = (address, length) => this.onFlashWrite(address, length);
+    // Flash offset of each 8KB CPU slot at $8000-$FFFF.
+    this.prgSlots = [0, 0, 0, 0];
+  }
+
+  reset() {
+    super.reset();
+    this.flash.reset();
+  }
+
+  // Whether the game can write the flash (and so has a save).
+  isFlashable() {
+    return true;
+  }
+
+  mapPrg8k(bank, address) {
+    const data = this.flash.data;
+    const offset = (bank * 0x2000) % data.length;
+    this.prgSlots[(address - 0x8000) >> 13] = offset;
+    copyArrayElements(data, offset, this.nes.cpu.mem, address, 0x2000);
+  }
+
+  // Copies changed flash bytes into any CPU slot that shows them.
+  onFlashWrite(address, length) {
+    const mem = this.nes.cpu.mem;
+    const data = this.flash.data;
+    for (let slot = 0; slot < 4; slot++) {
+      const start = Math.max(address, this.prgSlots[slot]);
+      const end = Math.min(address + length, this.prgSlots[slot] + 0x2000);
+      for (let i = start; i < end; i++) {
+        mem[0x8000 + (slot << 13) + i - this.prgSlots[slot]] = data[i];
+      }
+    }
+    this.batteryRamDirty = true;
+  }
+
+  // Software ID mode replaces the array contents on reads.
+  load(address) {
+    address &= 0xffff;
+    if (address >= 0x8000 && this.flash.idMode) {
+      return this.flash.read(this.prgSlots[(address - 0x8000) >> 13] + (address & 0x1fff));
+    }
+    return super.load(address);
+  }
+
+  loadBatteryRam() {
+    const ram = this.nes.rom.batteryRam;
+    if (ram !== null && this.isFlashable()) {
+      this.flash.load(ram);
+      for (let slot = 0; slot < 4; slot++) {
+        copyArrayElements(this.flash.data, this.prgSlots[slot], this.nes.cpu.mem, 0x8000 + (slot << 13), 0x2000);
+      }
+    }
+  }
+
+  getBatteryRam() {
+    if (!this.isFlashable()) return null;
+    return this.flash.data.slice();
+  }
+
+  toJSON() {
+    const s = super.toJSON();
+    s.flash = this.flash.toJSON();
+    s.prgSlots = this.prgSlots.slice();
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.flash.fromJSON(s.flash);
+    this.prgSlots = s.prgSlots.slice();
+  }
+}
+
+// ============================================================
+// Mapper 30 (UNROM 512)
+// ============================================================
+// A 16KB switchable PRG bank with the last fixed, up to four 8KB CHR-RAM
+// banks and a one-screen select: [MCCP PPPP]. Header mirroring bits
+// 0 and 3 pick horizontal, vertical, mapper-controlled one-screen or
+// four-screen. With the battery bit set the PRG is flash: the register
+// moves to $C000-$FFFF and writes to $8000-$BFFF go to the chip at the
+// currently selected bank.
+class Mapper30 extends FlashMapper {
+  constructor(nes) {
+    super(nes);
+    const rom = nes.rom;
+    this.flashable = rom.hasBattery;
+    this.oneScreen = rom.fourScreen && rom.mirroring === 0;
+    const chrRamSize = rom.chrRamSize > 0 ? rom.chrRamSize : 0x8000;
+    this.chrRam = new BankedVram(nes, 0, 0x2000, chrRamSize >> 13);
+    this.resetRegisters();
+  }
+
+  reset() {
+    super.reset();
+    this.chrRam.reset();
+    this.resetRegisters();
+  }
+
+  resetRegisters() {
+    this.reg = 0;
+  }
+
+  isFlashable() {
+    return this.flashable;
+  }
+
+  // Header bit 3 alone means one-screen, not four-screen, on this board.
+  getMirroringType() {
+    if (this.oneScreen) return this.nes.rom.SINGLESCREEN_MIRRORING;
+    return super.getMirroringType();
+  }
+
+  write(address, value) {
+    if (address < 0x8000) {
+      super.write(address, value);
+    } else if (this.flashable && address < 0xc000) {
+      this.flash.write(((this.reg & 0x1f) << 14) | (address & 0x3fff), value);
+    } else {
+      this.reg = value;
+      this.updateBanks();
+    }
+  }
+
+  updateBanks() {
+    const bank = (this.reg & 0x1f) * 2;
+    this.mapPrg8k(bank, 0x8000);
+    this.mapPrg8k(bank + 1, 0xa000);
+    this.chrRam.select((this.reg >> 5) & 3);
+    if (this.oneScreen) {
+      this.nes.ppu.setMirroring(this.reg & 0x80 ? this.nes.rom.SINGLESCREEN_MIRRORING2 : this.nes.rom.SINGLESCREEN_MIRRORING);
+    }
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) throw new Error("UNROM 512: Invalid ROM! Unable to load.");
+    const lastBank = this.nes.rom.romCount * 2 - 1;
+    this.updateBanks();
+    this.mapPrg8k(lastBank - 1, 0xc000);
+    this.mapPrg8k(lastBank, 0xe000);
+    this.loadBatteryRam();
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    const s = super.toJSON();
+    s.reg = this.reg;
+    s.chrRam = this.chrRam.toJSON();
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.reg = s.reg;
+    this.chrRam.fromJSON(s.chrRam);
+  }
+}
+
+// ============================================================
+// Mapper 32 (Irem G-101)
+// ============================================================
+// Two switchable 8KB PRG banks (the first can sit at $8000 or $C000),
+// eight 1KB CHR banks and switchable mirroring. Submapper 1 (Major League)
+// has the PRG layout and mirroring hardwired, so $9000 is ignored.
+class Mapper32 extends Mapper {
+  constructor(nes) {
+    super(nes);
+    this.fixedLayout = nes.rom.submapper === 1;
+    this.prgReg = [0, 0];
+    this.chrReg = new Array(8);
+    this.resetRegisters();
+  }
+
+  reset() {
+    super.reset();
+    this.resetRegisters();
+  }
+
+  resetRegisters() {
+    this.prgReg[0] = 0;
+    this.prgReg[1] = 1;
+    this.chrReg.fill(0);
+    this.prgMode = 0;
+  }
+
+  write(address, value) {
+    if (address < 0x8000) {
+      super.write(address, value);
+      return;
+    }
+    switch (address & 0xf000) {
+      case 0x8000:
+        this.prgReg[0] = value & 0x1f;
+        this.updatePrgBanks();
+        break;
+      case 0x9000:
+        if (this.fixedLayout) break;
+        // Bit 0: mirroring, bit 1: PRG layout.
+        this.nes.ppu.setMirroring(value & 1 ? this.nes.rom.HORIZONTAL_MIRRORING : this.nes.rom.VERTICAL_MIRRORING);
+        this.prgMode = (value >> 1) & 1;
+        this.updatePrgBanks();
+        break;
+      case 0xa000:
+        this.prgReg[1] = value & 0x1f;
+        this.load8kRomBank(this.prgReg[1], 0xa000);
+        break;
+      case 0xb000:
+        this.chrReg[address & 7] = value;
+        this.load1kVromBank(value, (address & 7) << 10);
+        break;
+    }
+  }
+
+  // Mode 0: $8000 switchable, $C000 second-last. Mode 1 swaps them.
+  updatePrgBanks() {
+    const secondLast = this.nes.rom.romCount * 2 - 2;
+    this.load8kRomBank(this.prgMode ? secondLast : this.prgReg[0], 0x8000);
+    this.load8kRomBank(this.prgMode ? this.prgReg[0] : secondLast, 0xc000);
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) throw new Error("G-101: Invalid ROM! Unable to load.");
+    this.updatePrgBanks();
+    this.load8kRomBank(this.prgReg[1], 0xa000);
+    this.load8kRomBank(this.nes.rom.romCount * 2 - 1, 0xe000);
+    for (let i = 0; i < 8; i++) {
+      this.load1kVromBank(this.chrReg[i], i << 10);
+    }
+    this.loadBatteryRam();
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    const s = super.toJSON();
+    s.prgReg = this.prgReg.slice();
+    s.chrReg = this.chrReg.slice();
+    s.prgMode = this.prgMode;
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.prgReg = s.prgReg.slice();
+    this.chrReg = s.chrReg.slice();
+    this.prgMode = s.prgMode;
+  }
+}
+
+// ============================================================
+// Mapper 33 (Taito TC0190)
+// ============================================================
+// Two switchable 8KB PRG banks with the last 16KB fixed, two 2KB and four
+// 1KB CHR banks. Registers decode A0, A1 and A13 only.
+class Mapper33 extends Mapper {
+  constructor(nes) {
+    super(nes);
+    this.prgReg = [0, 1];
+    this.chrReg = new Array(6);
+    this.resetRegisters();
+  }
+
+  reset() {
+    super.reset();
+    this.resetRegisters();
+  }
+
+  resetRegisters() {
+    this.prgReg[0] = 0;
+    this.prgReg[1] = 1;
+    this.chrReg.fill(0);
+  }
+
+  write(address, value) {
+    if (address < 0x8000) {
+      super.write(address, value);
+      return;
+    }
+    switch (address & 0xa003) {
+      case 0x8000:
+        // Bits 0-5: PRG bank, bit 6: mirroring.
+        this.prgReg[0] = value & 0x3f;
+        this.load8kRomBank(this.prgReg[0], 0x8000);
+        this.nes.ppu.setMirroring(value & 0x40 ? this.nes.rom.HORIZONTAL_MIRRORING : this.nes.rom.VERTICAL_MIRRORING);
+        break;
+      case 0x8001:
+        this.prgReg[1] = value & 0x3f;
+        this.load8kRomBank(this.prgReg[1], 0xa000);
+        break;
+      case 0x8002:
+      case 0x8003:
+        this.chrReg[address & 1] = value;
+        this.load2kVromBank(value, (address & 1) << 11);
+        break;
+      case 0xa000: case 0xa001: case 0xa002: case 0xa003:
+        this.chrReg[2 + (address & 3)] = value;
+        this.load1kVromBank(value, 0x1000 + ((address & 3) << 10));
+        break;
+    }
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) throw new Error("TC0190: Invalid ROM! Unable to load.");
+    const lastBank = this.nes.rom.romCount * 2 - 1;
+    this.load8kRomBank(this.prgReg[0], 0x8000);
+    this.load8kRomBank(this.prgReg[1], 0xa000);
+    this.load8kRomBank(lastBank - 1, 0xc000);
+    this.load8kRomBank(lastBank, 0xe000);
+    this.load2kVromBank(this.chrReg[0], 0x0000);
+    this.load2kVromBank(this.chrReg[1], 0x0800);
+    for (let i = 0; i < 4; i++) {
+      this.load1kVromBank(this.chrReg[2 + i], 0x1000 + (i << 10));
+    }
+    this.loadBatteryRam();
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    const s = super.toJSON();
+    s.prgReg = this.prgReg.slice();
+    s.chrReg = this.chrReg.slice();
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.prgReg = s.prgReg.slice();
+    this.chrReg = s.chrReg.slice();
+  }
+}
+
+/**
+ * Mapper 34 (BNROM)
+ */
+class Mapper34 extends Mapper {
+  constructor(nes) {
+    super(nes);
+  }
+  write(address, value) {
+    if (address < 0x8000) super.write(address, value);
+    else this.load32kRomBank(value, 0x8000);
+  }
+}
+
+/**
+ * Mapper 38
+ */
+class Mapper38 extends Mapper {
+  constructor(nes) {
+    super(nes);
+  }
+  write(address, value) {
+    if (address < 0x7000 || address > 0x7fff) super.write(address, value);
+    else {
+      this.load32kRomBank(value & 3, 0x8000);
+      this.load8kVromBank(((value >> 2) & 3) * 2, 0x0000);
+    }
+  }
+}
+
+// ============================================================
+// Mapper 64 (Tengen RAMBO-1)
+// ============================================================
+// An MMC3 relative: three switchable 8KB PRG banks, optional 1KB banks for
+// the first CHR half, and an IRQ counter clocked either by PPU A12 rising
+// edges (scanlines) or every 4 CPU cycles.
+class Mapper64 extends Mapper {
+  constructor(nes) {
+    super(nes);
+    this.hasScanlineIrq = true;
+    this.hasCpuClockHook = true;
+
+    // R0-R9 and RF; R10-R14 don't exist.
+    this.regs = new Array(16);
+    this.resetRegisters();
+  }
+
+  reset() {
+    super.reset();
+    this.resetRegisters();
+  }
+
+  resetRegisters() {
+    this.regs.fill(0);
+    this.command = 0;
+    this.prgMode = 0;
+    this.chrInvert = false;
+    this.chr1kMode = false;
+    this.irqLatch = 0;
+    this.irqCounter = 0;
+    this.irqReload = false;
+    this.irqCycleMode = false;
+    this.irqPrescaler = 0;
+    this.irqEnabled = false;
+    this.irqPending = false;
+    this.ppuA12Prev = 0;
+    this.lastClockScanline = -1;
+  }
+
+  write(address, value) {
+    if (address < 0x8000) {
+      super.write(address, value);
+      return;
+    }
+    switch (address & 0xe001) {
+      case 0x8000:
+        // Bits 0-3: register, bit 5: 1KB CHR banks at $0000-$0FFF,
+        // bit 6: PRG layout, bit 7: CHR A12 inversion.
+        this.command = value & 0x0f;
+        this.chr1kMode = (value & 0x20) !== 0;
+        this.prgMode = (value >> 6) & 1;
+        this.chrInvert = (value & 0x80) !== 0;
+        this.updatePrgBanks();
+        this.updateChrBanks();
+        break;
+      case 0x8001:
+        this.regs[this.command] = value;
+        if (this.command === 6 || this.command === 7 || this.command === 15) {
+          this.updatePrgBanks();
+        } else {
+          this.updateChrBanks();
+        }
+        break;
+      case 0xa000:
+        this.nes.ppu.setMirroring(value & 1 ? this.nes.rom.HORIZONTAL_MIRRORING : this.nes.rom.VERTICAL_MIRRORING);
+        break;
+      case 0xc000:
+        this.irqLatch = value;
+        break;
+      case 0xc001:
+        // Bit 0 selects the CPU cycle clock; the counter reloads on the
+        // next clock.
+        this.irqCycleMode = (value & 1) !== 0;
+        this.irqPrescaler = 0;
+        this.irqReload = true;
+        break;
+      case 0xe000:
+        this.irqEnabled = false;
+        this.acknowledgeIrq();
+        break;
+      case 0xe001:
+        this.irqEnabled = true;
+        break;
+    }
+  }
+
+  // Layout 0: R6, R7, RF at $8000-$DFFF. Layout 1: RF, R6, R7.
+  updatePrgBanks() {
+    const r = this.regs;
+    if (this.prgMode === 0) {
+      this.load8kRomBank(r[6], 0x8000);
+      this.load8kRomBank(r[7], 0xa000);
+      this.load8kRomBank(r[15], 0xc000);
+    } else {
+      this.load8kRomBank(r[15], 0x8000);
+      this.load8kRomBank(r[6], 0xa000);
+      this.load8kRomBank(r[7], 0xc000);
+    }
+  }
+
+  // R0/R1 are 2KB banks, or with 1KB mode R0, R8, R1, R9. R2-R5 are 1KB
+  // banks in the other half.
+  updateChrBanks() {
+    const r = this.regs;
+    const inv = this.chrInvert ? 0x1000 : 0;
+    if (this.chr1kMode) {
+      this.load1kVromBank(r[0], 0x0000 ^ inv);
+      this.load1kVromBank(r[8], 0x0400 ^ inv);
+      this.load1kVromBank(r[1], 0x0800 ^ inv);
+      this.load1kVromBank(r[9], 0x0c00 ^ inv);
+    } else {
+      this.load1kVromBank(r[0] & 0xfe, 0x0000 ^ inv);
+      this.load1kVromBank(r[0] | 1, 0x0400 ^ inv);
+      this.load1kVromBank(r[1] & 0xfe, 0x0800 ^ inv);
+      this.load1kVromBank(r[1] | 1, 0x0c00 ^ inv);
+    }
+    for (let i = 0; i < 4; i++) {
+      this.load1kVromBank(r[2 + i], (0x1000 + (i << 10)) ^ inv);
+    }
+  }
+
+  // A reload after a $C001 write loads the latch plus one (plus two for
+  // latches above 1), so the IRQ comes a clock later than on the MMC3.
+  clockIrqCounter() {
+    if (this.irqReload) {
+      this.irqCounter = this.irqLatch + (this.irqLatch <= 1 ? 1 : 2);
+      this.irqReload = false;
+    } else if (this.irqCounter === 0) {
+      this.irqCounter = this.irqLatch + 1;
+    }
+    this.irqCounter--;
+    if (this.irqCounter === 0 && this.irqEnabled) {
+      this.irqPending = true;
+    }
+  }
+
+  acknowledgeIrq() {
+    this.irqPending = false;
+    const cpu = this.nes.cpu;
+    if (cpu.irqType === cpu.IRQ_NORMAL) {
+      cpu.irqRequested = false;
+    }
+  }
+
+  notifyA12(value) {
+    if (value === 1 && this.ppuA12Prev === 0 && !this.irqCycleMode) {
+      const ppu = this.nes.ppu;
+      if (ppu.f_bgVisibility === 1 || ppu.f_spVisibility === 1) {
+        if (this.lastClockScanline !== ppu.scanline) {
+          this.clockIrqCounter();
+          this.lastClockScanline = ppu.scanline;
+        }
+      }
+    }
+    this.ppuA12Prev = value;
+  }
+
+  cpuClock(cycles) {
+    if (this.irqCycleMode) {
+      this.irqPrescaler += cycles;
+      while (this.irqPrescaler >= 4) {
+        this.irqPrescaler -= 4;
+        this.clockIrqCounter();
+      }
+    }
+    if (this.irqPending) {
+      this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NORMAL);
+    }
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) throw new Error("RAMBO-1: Invalid ROM! Unable to load.");
+    this.updatePrgBanks();
+    this.load8kRomBank(this.nes.rom.romCount * 2 - 1, 0xe000);
+    this.updateChrBanks();
+    this.loadBatteryRam();
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    const s = super.toJSON();
+    s.regs = this.regs.slice();
+    s.command = this.command;
+    s.prgMode = this.prgMode;
+    s.chrInvert = this.chrInvert;
+    s.chr1kMode = this.chr1kMode;
+    s.irqLatch = this.irqLatch;
+    s.irqCounter = this.irqCounter;
+    s.irqReload = this.irqReload;
+    s.irqCycleMode = this.irqCycleMode;
+    s.irqPrescaler = this.irqPrescaler;
+    s.irqEnabled = this.irqEnabled;
+    s.irqPending = this.irqPending;
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.regs = s.regs.slice();
+    this.command = s.command;
+    this.prgMode = s.prgMode;
+    this.chrInvert = s.chrInvert;
+    this.chr1kMode = s.chr1kMode;
+    this.irqLatch = s.irqLatch;
+    this.irqCounter = s.irqCounter;
+    this.irqReload = s.irqReload;
+    this.irqCycleMode = s.irqCycleMode;
+    this.irqPrescaler = s.irqPrescaler;
+    this.irqEnabled = s.irqEnabled;
+    this.irqPending = s.irqPending;
+  }
+}
+
+// ============================================================
+// Mapper 65 (Irem H-3001)
+// ============================================================
+// Three switchable 8KB PRG banks, eight 1KB CHR banks and a 16-bit IRQ
+// counter that counts CPU cycles down to zero.
+class Mapper65 extends Mapper {
+  constructor(nes) {
+    super(nes);
+    this.hasCpuClockHook = true;
+    this.prgReg = [0, 1, 0];
+    this.chrReg = new Array(8);
+    this.resetRegisters();
+  }
+
+  reset() {
+    super.reset();
+    this.resetRegisters();
+  }
+
+  resetRegisters() {
+    this.prgReg[0] = 0;
+    this.prgReg[1] = 1;
+    this.prgReg[2] = 0xfe;
+    this.chrReg.fill(0);
+    this.irqEnabled = false;
+    this.irqCounter = 0;
+    this.irqReload = 0;
+    this.irqPending = false;
+  }
+
+  write(address, value) {
+    if (address < 0x8000) {
+      super.write(address, value);
+      return;
+    }
+    switch (address) {
+      case 0x8000:
+        this.prgReg[0] = value;
+        this.load8kRomBank(value, 0x8000);
+        break;
+      case 0xa000:
+        this.prgReg[1] = value;
+        this.load8kRomBank(value, 0xa000);
+        break;
+      case 0xc000:
+        this.prgReg[2] = value;
+        this.load8kRomBank(value, 0xc000);
+        break;
+      case 0x9001:
+        this.nes.ppu.setMirroring(value & 0x80 ? this.nes.rom.HORIZONTAL_MIRRORING : this.nes.rom.VERTICAL_MIRRORING);
+        break;
+      case 0x9003:
+        this.irqEnabled = (value & 0x80) !== 0;
+        this.acknowledgeIrq();
+        break;
+      case 0x9004:
+        this.irqCounter = this.irqReload;
+        this.acknowledgeIrq();
+        break;
+      case 0x9005:
+        this.irqReload = (this.irqReload & 0x00ff) | (value << 8);
+        break;
+      case 0x9006:
+        this.irqReload = (this.irqReload & 0xff00) | value;
+        break;
+      default:
+        if (address >= 0xb000 && address <= 0xb007) {
+          this.chrReg[address & 7] = value;
+          this.load1kVromBank(value, (address & 7) << 10);
+        }
+        break;
+    }
+  }
+
+  acknowledgeIrq() {
+    this.irqPending = false;
+    const cpu = this.nes.cpu;
+    if (cpu.irqType === cpu.IRQ_NORMAL) {
+      cpu.irqRequested = false;
+    }
+  }
+
+  // The counter stops when it reaches zero, raising the IRQ.
+  cpuClock(cycles) {
+    if (this.irqEnabled && this.irqCounter > 0) {
+      this.irqCounter -= cycles;
+      if (this.irqCounter <= 0) {
+        this.irqCounter = 0;
+        this.irqPending = true;
+      }
+    }
+    if (this.irqPending) {
+      this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NORMAL);
+    }
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) throw new Error("H-3001: Invalid ROM! Unable to load.");
+    this.load8kRomBank(this.prgReg[0], 0x8000);
+    this.load8kRomBank(this.prgReg[1], 0xa000);
+    this.load8kRomBank(this.prgReg[2], 0xc000);
+    this.load8kRomBank(this.nes.rom.romCount * 2 - 1, 0xe000);
+    for (let i = 0; i < 8; i++) {
+      this.load1kVromBank(this.chrReg[i], i << 10);
+    }
+    this.loadBatteryRam();
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    const s = super.toJSON();
+    s.prgReg = this.prgReg.slice();
+    s.chrReg = this.chrReg.slice();
+    s.irqEnabled = this.irqEnabled;
+    s.irqCounter = this.irqCounter;
+    s.irqReload = this.irqReload;
+    s.irqPending = this.irqPending;
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.prgReg = s.prgReg.slice();
+    this.chrReg = s.chrReg.slice();
+    this.irqEnabled = s.irqEnabled;
+    this.irqCounter = s.irqCounter;
+    this.irqReload = s.irqReload;
+    this.irqPending = s.irqPending;
+  }
+}
+
+/**
+ * Mapper 66 (GxROM)
+ */
+class Mapper66 extends Mapper {
+  constructor(nes) {
+    super(nes);
+  }
+  write(address, value) {
+    if (address < 0x8000) super.write(address, value);
+    else {
+      this.load32kRomBank((value >> 4) & 3, 0x8000);
+      this.load8kVromBank((value & 3) * 2, 0x0000);
+    }
+  }
+}
+
+// ============================================================
+// Mapper 67 (Sunsoft 3)
+// ============================================================
+// A switchable 16KB PRG bank with the last fixed, four 2KB CHR banks,
+// switchable mirroring and a 16-bit CPU cycle IRQ counter. Registers
+// decode A11-A15, so each sits at $x800; $8000 acknowledges the IRQ.
+class Mapper67 extends Mapper {
+  constructor(nes) {
+    super(nes);
+    this.hasCpuClockHook = true;
+    this.chrReg = new Array(4);
+    this.resetRegisters();
+  }
+
+  reset() {
+    super.reset();
+    this.resetRegisters();
+  }
+
+  resetRegisters() {
+    this.chrReg.fill(0);
+    this.prgReg = 0;
+    this.irqCounter = 0;
+    this.irqHighByte = true;
+    this.irqEnabled = false;
+    this.irqPending = false;
+  }
+
+  write(address, value) {
+    if (address < 0x8000) {
+      super.write(address, value);
+      return;
+    }
+    switch (address & 0xf800) {
+      case 0x8000:
+        this.acknowledgeIrq();
+        break;
+      case 0x8800:
+      case 0x9800:
+      case 0xa800:
+      case 0xb800: {
+        const i = (address >> 12) & 3;
+        this.chrReg[i] = value;
+        this.load2kVromBank(value, i << 11);
+        break;
+      }
+      case 0xc800:
+        // The counter is written high byte first, alternating.
+        if (this.irqHighByte) {
+          this.irqCounter = (this.irqCounter & 0x00ff) | (value << 8);
+        } else {
+          this.irqCounter = (this.irqCounter & 0xff00) | value;
+        }
+        this.irqHighByte = !this.irqHighByte;
+        break;
+      case 0xd800:
+        this.irqEnabled = (value & 0x10) !== 0;
+        this.irqHighByte = true;
+        this.acknowledgeIrq();
+        break;
+      case 0xe800:
+        this.setMirroring(value & 3);
+        break;
+      case 0xf800:
+        this.prgReg = value;
+        this.loadRomBank(value, 0x8000);
+        break;
+    }
+  }
+
+  // 0: vertical, 1: horizontal, 2/3: one-screen.
+  setMirroring(mode) {
+    const rom = this.nes.rom;
+    const modes = [rom.VERTICAL_MIRRORING, rom.HORIZONTAL_MIRRORING, rom.SINGLESCREEN_MIRRORING, rom.SINGLESCREEN_MIRRORING2];
+    this.nes.ppu.setMirroring(modes[mode]);
+  }
+
+  // Counts down every CPU cycle; wrapping past zero raises the IRQ and
+  // stops the counter.
+  cpuClock(cycles) {
+    if (this.irqEnabled) {
+      this.irqCounter -= cycles;
+      if (this.irqCounter < 0) {
+        this.irqCounter &= 0xffff;
+        this.irqEnabled = false;
+        this.irqPending = true;
+      }
+    }
+    if (this.irqPending) {
+      this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NORMAL);
+    }
+  }
+
+  acknowledgeIrq() {
+    this.irqPending = false;
+    const cpu = this.nes.cpu;
+    if (cpu.irqType === cpu.IRQ_NORMAL) {
+      cpu.irqRequested = false;
+    }
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) throw new Error("Sunsoft 3: Invalid ROM! Unable to load.");
+    this.loadRomBank(this.prgReg, 0x8000);
+    this.loadRomBank(this.nes.rom.romCount - 1, 0xc000);
+    for (let i = 0; i < 4; i++) {
+      this.load2kVromBank(this.chrReg[i], i << 11);
+    }
+    this.loadBatteryRam();
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    const s = super.toJSON();
+    s.chrReg = this.chrReg.slice();
+    s.prgReg = this.prgReg;
+    s.irqCounter = this.irqCounter;
+    s.irqHighByte = this.irqHighByte;
+    s.irqEnabled = this.irqEnabled;
+    s.irqPending = this.irqPending;
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.chrReg = s.chrReg.slice();
+    this.prgReg = s.prgReg;
+    this.irqCounter = s.irqCounter;
+    this.irqHighByte = s.irqHighByte;
+    this.irqEnabled = s.irqEnabled;
+    this.irqPending = s.irqPending;
+  }
+}
+
+// ============================================================
+// Mapper 68 (Sunsoft 4)
+// ============================================================
+// A switchable 16KB PRG bank with the last fixed, four 2KB CHR banks and
+// nametables that can come from CHR-ROM: $C000/$D000 select 1KB banks from
+// the upper 128KB of CHR-ROM (bit 7 is forced), and $E000 bit 4 maps them
+// in place of CIRAM, arranged by the mirroring bits. $F000 bit 4 enables
+// PRG-RAM (used by the licensing chip on Nantettatte!! Baseball).
+class Mapper68 extends Mapper {
+  constructor(nes) {
+    super(nes);
+    this.chrReg = new Array(4);
+    this.ntReg = [0x80, 0x80];
+    this.resetRegisters();
+  }
+
+  reset() {
+    super.reset();
+    this.resetRegisters();
+  }
+
+  resetRegisters() {
+    this.chrReg.fill(0);
+    this.ntReg[0] = 0x80;
+    this.ntReg[1] = 0x80;
+    this.control = 0;
+    this.prgReg = 0;
+  }
+
+  write(address, value) {
+    if (address < 0x6000) {
+      super.write(address, value);
+    } else if (address < 0x8000) {
+      if (this.prgReg & 0x10) super.write(address, value);
+    } else if (address < 0xc000) {
+      const i = (address >> 12) & 3;
+      this.chrReg[i] = value;
+      this.load2kVromBank(value, i << 11);
+    } else if (address < 0xe000) {
+      this.ntReg[(address >> 12) & 1] = value | 0x80;
+      this.updateNametables();
+    } else if (address < 0xf000) {
+      this.control = value;
+      this.updateNametables();
+    } else {
+      this.prgReg = value;
+      this.loadRomBank(value & 0x0f, 0x8000);
+    }
+  }
+
+  load(address) {
+    address &= 0xffff;
+    if (address >= 0x6000 && address < 0x8000 && (this.prgReg & 0x10) === 0) {
+      return this.nes.cpu.dataBus;
+    }
+    return super.load(address);
+  }
+
+  // Control bits 0-1: vertical, horizontal, one-screen A/B. With bit 4 set
+  // the two ROM nametables (pages 4 and 5) take the place of CIRAM pages
+  // 0 and 1.
+  updateNametables() {
+    const ppu = this.nes.ppu;
+    const layouts = [
+      [0, 1, 0, 1],
+      [0, 0, 1, 1],
+      [0, 0, 0, 0],
+      [1, 1, 1, 1],
+    ];
+    const m = layouts[this.control & 3];
+    if (this.control & 0x10) {
+      this.loadChrNametable(4, this.ntReg[0]);
+      this.loadChrNametable(5, this.ntReg[1]);
+      ppu.setNametablePages(4 + m[0], 4 + m[1], 4 + m[2], 4 + m[3]);
+    } else {
+      ppu.setNametablePages(m[0], m[1], m[2], m[3]);
+    }
+  }
+
+  loadChrNametable(page, bank1k) {
+    const rom = this.nes.rom;
+    if (rom.vromCount === 0) return;
+    const bank4k = (bank1k >> 2) % rom.vromCount;
+    this.nes.ppu.loadNametablePage(page, rom.vrom[bank4k], (bank1k & 3) << 10);
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) throw new Error("Sunsoft 4: Invalid ROM! Unable to load.");
+    this.loadRomBank(this.prgReg & 0x0f, 0x8000);
+    this.loadRomBank(this.nes.rom.romCount - 1, 0xc000);
+    for (let i = 0; i < 4; i++) {
+      this.load2kVromBank(this.chrReg[i], i << 11);
+    }
+    this.loadBatteryRam();
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    const s = super.toJSON();
+    s.chrReg = this.chrReg.slice();
+    s.ntReg = this.ntReg.slice();
+    s.control = this.control;
+    s.prgReg = this.prgReg;
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.chrReg = s.chrReg.slice();
+    this.ntReg = s.ntReg.slice();
+    this.control = s.control;
+    this.prgReg = s.prgReg;
+  }
+}
+
+// ============================================================
+// Mapper 69 (Sunsoft FME-7 / 5A / 5B)
+// ============================================================
+// All banking goes through a command register ($8000) and a parameter
+// register ($A000). $6000-$7FFF can hold PRG-ROM or PRG-RAM; the RAM is
+// kept in prgRam while ROM is mapped there. The 5B variant adds an
+// AY-3-8910 compatible sound chip at $C000/$E000.
+class Mapper69 extends Mapper {
+  constructor(nes) {
+    super(nes);
+    this.hasCpuClockHook = true;
+    this.hasExpansionAudio = true;
+
+    this.audio = new Sunsoft5bAudio();
+    this.prgRam = new Uint8Array(0x2000);
+    this.prgReg = [0, 0, 0];
+    this.chrReg = new Array(8);
+    this.resetRegisters();
+  }
+
+  reset() {
+    super.reset();
+    this.resetRegisters();
+    this.audio.reset();
+  }
+
+  resetRegisters() {
+    this.command = 0;
+    this.prgReg.fill(0);
+    this.chrReg.fill(0);
+    this.wramReg = 0;
+    this.ramMapped = false;
+    this.irqCounter = 0;
+    this.irqEnabled = false;
+    this.irqCounterEnabled = false;
+    this.irqPending = false;
+  }
+
+  write(address, value) {
+    if (address < 0x6000) {
+      super.write(address, value);
+    } else if (address < 0x8000) {
+      // Bit 6 selects RAM, bit 7 enables it; ROM ignores writes.
+      if (this.ramMapped && (this.wramReg & 0x80) !== 0) {
+        super.write(address, value);
+      }
+    } else if (address < 0xa000) {
+      this.command = value & 0x0f;
+    } else if (address < 0xc000) {
+      this.executeCommand(this.command, value);
+    } else if (address < 0xe000) {
+      this.audio.writeAddress(value);
+    } else {
+      this.audio.writeData(value);
+    }
+  }
+
+  load(address) {
+    address &= 0xffff;
+    if (address >= 0x6000 && address < 0x8000 && this.ramMapped && (this.wramReg & 0x80) === 0) {
+      // Disabled RAM: open bus.
+      return this.nes.cpu.dataBus;
+    }
+    return super.load(address);
+  }
+
+  executeCommand(command, value) {
+    switch (command) {
+      case 0x0: case 0x1: case 0x2: case 0x3:
+      case 0x4: case 0x5: case 0x6: case 0x7:
+        this.chrReg[command] = value;
+        this.load1kVromBank(value, command << 10);
+        break;
+      case 0x8:
+        this.wramReg = value;
+        this.updateWramBank();
+        break;
+      case 0x9: case 0xa: case 0xb:
+        this.prgReg[command - 9] = value & 0x3f;
+        this.load8kRomBank(this.prgReg[command - 9], 0x8000 + (command - 9) * 0x2000);
+        break;
+      case 0xc: {
+        const rom = this.nes.rom;
+        switch (value & 3) {
+          case 0: this.nes.ppu.setMirroring(rom.VERTICAL_MIRRORING); break;
+          case 1: this.nes.ppu.setMirroring(rom.HORIZONTAL_MIRRORING); break;
+          case 2: this.nes.ppu.setMirroring(rom.SINGLESCREEN_MIRRORING); break;
+          case 3: this.nes.ppu.setMirroring(rom.SINGLESCREEN_MIRRORING2); break;
+        }
+        break;
+      }
+      case 0xd:
+        // Bit 0 enables the IRQ, bit 7 the counter. Any write acknowledges.
+        this.irqEnabled = (value & 0x01) !== 0;
+        this.irqCounterEnabled = (value & 0x80) !== 0;
+        this.acknowledgeIrq();
+        break;
+      case 0xe:
+        this.irqCounter = (this.irqCounter & 0xff00) | value;
+        break;
+      case 0xf:
+        this.irqCounter = (this.irqCounter & 0x00ff) | (value << 8);
+        break;
+    }
+  }
+
+  // Swaps PRG-RAM in or out of $6000 according to command 8.
+  updateWramBank() {
+    const mem = this.nes.cpu.mem;
+    const ramSelected = (this.wramReg & 0x40) !== 0;
+    if (this.ramMapped && !ramSelected) {
+      this.prgRam.set(mem.subarray(0x6000, 0x8000));
+    }
+    if (ramSelected) {
+      if (!this.ramMapped) {
+        mem.set(this.prgRam, 0x6000);
+      }
+    } else {
+      this.load8kRomBank(this.wramReg & 0x3f, 0x6000);
+    }
+    this.ramMapped = ramSelected;
+  }
+
+  acknowledgeIrq() {
+    this.irqPending = false;
+    const cpu = this.nes.cpu;
+    if (cpu.irqType === cpu.IRQ_NORMAL) {
+      cpu.irqRequested = false;
+    }
+  }
+
+  // The 16-bit counter decrements every CPU cycle; wrapping from $0000 to
+  // $FFFF raises the IRQ.
+  cpuClock(cycles) {
+    if (this.irqCounterEnabled) {
+      this.irqCounter -= cycles;
+      if (this.irqCounter < 0) {
+        this.irqCounter &= 0xffff;
+        if (this.irqEnabled) {
+          this.irqPending = true;
+        }
+      }
+    }
+    if (this.irqPending) {
+      this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NORMAL);
+    }
+  }
+
+  clockExpansionAudio(nCycles) {
+    this.audio.clock(nCycles);
+  }
+
+  getExpansionAudioSample() {
+    return this.audio.getSample();
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) throw new Error("FME-7: Invalid ROM! Unable to load.");
+    this.load8kRomBank(this.prgReg[0], 0x8000);
+    this.load8kRomBank(this.prgReg[1], 0xa000);
+    this.load8kRomBank(this.prgReg[2], 0xc000);
+    this.load8kRomBank(this.nes.rom.romCount * 2 - 1, 0xe000);
+    for (let i = 0; i < 8; i++) {
+      this.load1kVromBank(this.chrReg[i], i << 10);
+    }
+    this.loadBatteryRam();
+    this.ramMapped = false;
+    this.updateWramBank();
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  loadBatteryRam() {
+    const ram = this.nes.rom.batteryRam;
+    if (ram !== null) {
+      this.prgRam.set(ram.subarray(0, Math.min(ram.length, 0x2000)));
+      if (this.ramMapped) {
+        this.nes.cpu.mem.set(this.prgRam, 0x6000);
+      }
+    }
+  }
+
+  getBatteryRam() {
+    if (!this.nes.rom.hasBattery) return null;
+    return this.ramMapped ? this.nes.cpu.mem.slice(0x6000, 0x8000) : this.prgRam.slice();
+  }
+
+  toJSON() {
+    const s = super.toJSON();
+    s.command = this.command;
+    s.prgReg = this.prgReg.slice();
+    s.chrReg = this.chrReg.slice();
+    s.wramReg = this.wramReg;
+    s.ramMapped = this.ramMapped;
+    s.prgRam = Array.from(this.prgRam);
+    s.irqCounter = this.irqCounter;
+    s.irqEnabled = this.irqEnabled;
+    s.irqCounterEnabled = this.irqCounterEnabled;
+    s.irqPending = this.irqPending;
+    s.audio = this.audio.toJSON();
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.command = s.command;
+    this.prgReg = s.prgReg.slice();
+    this.chrReg = s.chrReg.slice();
+    this.wramReg = s.wramReg;
+    this.ramMapped = s.ramMapped;
+    this.prgRam.set(s.prgRam);
+    this.irqCounter = s.irqCounter;
+    this.irqEnabled = s.irqEnabled;
+    this.irqCounterEnabled = s.irqCounterEnabled;
+    this.irqPending = s.irqPending;
+    this.audio.fromJSON(s.audio);
+  }
+}
+
+// ============================================================
+// Mapper 71 (Camerica / Codemasters BF909x)
+// ============================================================
+// UNROM-like: a 16KB bank at $8000 selected through $C000-$FFFF, last bank
+// fixed, CHR-RAM. The BF9097 (submapper 1, Fire Hawk) adds one-screen
+// mirroring at $8000-$9FFF (bit 4). Older dumps don't mark the submapper,
+// so writes to $9000-$9FFF, which only BF9097 games make, switch it too.
+class Mapper71 extends Mapper {
+  constructor(nes) {
+    super(nes);
+    this.bf9097 = nes.rom.submapper === 1;
+    this.resetRegisters();
+  }
+
+  reset() {
+    super.reset();
+    this.resetRegisters();
+  }
+
+  resetRegisters() {
+    this.prgReg = 0;
+  }
+
+  write(address, value) {
+    if (address < 0x8000) {
+      super.write(address, value);
+    } else if (address >= 0xc000) {
+      this.prgReg = value;
+      this.loadRomBank(value, 0x8000);
+    } else if (address < 0xa000 && (this.bf9097 || address >= 0x9000)) {
+      this.nes.ppu.setMirroring(value & 0x10 ? this.nes.rom.SINGLESCREEN_MIRRORING2 : this.nes.rom.SINGLESCREEN_MIRRORING);
+    }
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) throw new Error("Camerica: Invalid ROM! Unable to load.");
+    this.loadRomBank(this.prgReg, 0x8000);
+    this.loadRomBank(this.nes.rom.romCount - 1, 0xc000);
+    this.loadCHRROM();
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    const s = super.toJSON();
+    s.prgReg = this.prgReg;
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.prgReg = s.prgReg;
+  }
+}
+
+// ============================================================
+// Mapper 78 (Irem 74HC161/32)
+// ============================================================
+// One register at $8000-$FFFF: [CCCC MPPP] selects a 16KB PRG bank at
+// $8000 (last fixed), an 8KB CHR bank and mirroring. Submapper 1 (Uchuusen
+// Cosmo Carrier) uses M for one-screen A/B, submapper 3 (Holy Diver) for
+// horizontal/vertical. Old Holy Diver dumps set the header's four-screen
+// bit instead of a submapper.
+class Mapper78 extends Mapper {
+  constructor(nes) {
+    super(nes);
+    const rom = nes.rom;
+    this.hvMirroring = rom.submapper === 3 || (rom.submapper === 0 && rom.fourScreen);
+    this.resetRegisters();
+  }
+
+  reset() {
+    super.reset();
+    this.resetRegisters();
+  }
+
+  resetRegisters() {
+    this.reg = 0;
+  }
+
+  getMirroringType() {
+    return this.mirroringFor(0);
+  }
+
+  mirroringFor(m) {
+    const rom = this.nes.rom;
+    if (this.hvMirroring) {
+      return m ? rom.VERTICAL_MIRRORING : rom.HORIZONTAL_MIRRORING;
+    }
+    return m ? rom.SINGLESCREEN_MIRRORING2 : rom.SINGLESCREEN_MIRRORING;
+  }
+
+  write(address, value) {
+    if (address < 0x8000) {
+      super.write(address, value);
+      return;
+    }
+    this.reg = value;
+    this.loadRomBank(value & 7, 0x8000);
+    this.load8kVromBank((value >> 4) * 2, 0x0000);
+    this.nes.ppu.setMirroring(this.mirroringFor((value >> 3) & 1));
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) throw new Error("Irem 78: Invalid ROM! Unable to load.");
+    this.loadRomBank(this.reg & 7, 0x8000);
+    this.loadRomBank(this.nes.rom.romCount - 1, 0xc000);
+    this.load8kVromBank((this.reg >> 4) * 2, 0x0000);
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    const s = super.toJSON();
+    s.reg = this.reg;
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.reg = s.reg;
+  }
+}
+
+// ============================================================
+// Mapper 85 (Konami VRC7)
+// ============================================================
+// Three 8KB PRG banks, eight 1KB CHR banks, the VRC IRQ counter and an
+// OPLL-derived FM sound chip. Each register pair is selected by A4 on
+// VRC7a boards (Lagrange Point) and A3 on VRC7b (Tiny Toon Adventures 2);
+// without a submapper both lines are decoded.
+const VRC7_SELECT_LINES = { 0: 0x18, 1: 0x08, 2: 0x10 };
+
+class Mapper85 extends Mapper {
+  constructor(nes) {
+    super(nes);
+    this.hasCpuClockHook = true;
+    this.hasExpansionAudio = true;
+    this.selectMask = VRC7_SELECT_LINES[nes.rom.submapper] || VRC7_SELECT_LINES[0];
+
+    this.irq = new VrcIrq(nes);
+    this.audio = new Vrc7Audio();
+    this.prgReg = [0, 0, 0];
+    this.chrReg = new Array(8);
+    this.resetRegisters();
+  }
+
+  reset() {
+    super.reset();
+    this.resetRegisters();
+    this.irq.reset();
+    this.audio.reset();
+  }
+
+  resetRegisters() {
+    this.prgReg[0] = 0;
+    this.prgReg[1] = 1;
+    this.prgReg[2] = 2;
+    this.chrReg.fill(0);
+    this.control = 0;
+  }
+
+  write(address, value) {
+    if (address < 0x8000) {
+      super.write(address, value);
+      return;
+    }
+
+    const sel = address & this.selectMask ? 1 : 0;
+    switch (address & 0xf000) {
+      case 0x8000:
+        this.prgReg[sel] = value & 0x3f;
+        this.load8kRomBank(this.prgReg[sel], sel ? 0xa000 : 0x8000);
+        break;
+      case 0x9000:
+        // The sound chip sits at $9010 (address) and $9030 (data).
+        if ((address & 0x30) === 0x10) {
+          this.audio.writeAddress(value);
+        } else if ((address & 0x30) === 0x30) {
+          this.audio.writeData(value);
+        } else if (!sel) {
+          this.prgReg[2] = value & 0x3f;
+          this.load8kRomBank(this.prgReg[2], 0xc000);
+        }
+        break;
+      case 0xa000:
+      case 0xb000:
+      case 0xc000:
+      case 0xd000: {
+        const bank = (((address & 0xf000) - 0xa000) >> 11) | sel;
+        this.chrReg[bank] = value;
+        this.load1kVromBank(value, bank << 10);
+        break;
+      }
+      case 0xe000:
+        if (sel) {
+          this.irq.writeLatch(value);
+        } else {
+          this.control = value;
+          this.updateMirroring();
+          this.audio.setMuted((value & 0x40) !== 0);
+        }
+        break;
+      case 0xf000:
+        if (sel) {
+          this.irq.acknowledge();
+        } else {
+          this.irq.writeControl(value);
+        }
+        break;
+    }
+  }
+
+  // $E000 bits 0-1; bit 7 (PRG-RAM enable) isn't emulated.
+  updateMirroring() {
+    const rom = this.nes.rom;
+    switch (this.control & 3) {
+      case 0: this.nes.ppu.setMirroring(rom.VERTICAL_MIRRORING); break;
+      case 1: this.nes.ppu.setMirroring(rom.HORIZONTAL_MIRRORING); break;
+      case 2: this.nes.ppu.setMirroring(rom.SINGLESCREEN_MIRRORING); break;
+      case 3: this.nes.ppu.setMirroring(rom.SINGLESCREEN_MIRRORING2); break;
+    }
+  }
+
+  cpuClock(cycles) {
+    this.irq.clock(cycles);
+  }
+
+  clockExpansionAudio(nCycles) {
+    this.audio.clock(nCycles);
+  }
+
+  getExpansionAudioSample() {
+    return this.audio.getSample();
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) throw new Error("VRC7: Invalid ROM! Unable to load.");
+    this.load8kRomBank(this.prgReg[0], 0x8000);
+    this.load8kRomBank(this.prgReg[1], 0xa000);
+    this.load8kRomBank(this.prgReg[2], 0xc000);
+    this.load8kRomBank(this.nes.rom.romCount * 2 - 1, 0xe000);
+    for (let i = 0; i < 8; i++) {
+      this.load1kVromBank(this.chrReg[i], i << 10);
+    }
+    this.loadBatteryRam();
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    const s = super.toJSON();
+    s.prgReg = this.prgReg.slice();
+    s.chrReg = this.chrReg.slice();
+    s.control = this.control;
+    s.irq = this.irq.toJSON();
+    s.audio = this.audio.toJSON();
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.prgReg = s.prgReg.slice();
+    this.chrReg = s.chrReg.slice();
+    this.control = s.control;
+    this.irq.fromJSON(s.irq);
+    this.audio.fromJSON(s.audio);
+  }
+}
+
+// ============================================================
+// Mapper 91 (HK-SF3 / JY830623C)
+// ============================================================
+// A pirate board used for Street Fighter III and Mortal Kombat II ports:
+// four 2KB CHR banks at $6000-$6003, two 8KB PRG banks at $7000/$7001 with
+// the last 16KB fixed, and an IRQ that fires after eight scanlines.
+class Mapper91 extends Mapper {
+  constructor(nes) {
+    super(nes);
+    this.hasScanlineIrq = true;
+    this.hasCpuClockHook = true;
+    this.chrReg = new Array(4);
+    this.prgReg = [0, 0];
+    this.resetRegisters();
+  }
+
+  reset() {
+    super.reset();
+    this.resetRegisters();
+  }
+
+  resetRegisters() {
+    this.chrReg.fill(0);
+    this.prgReg[0] = 0;
+    this.prgReg[1] = 1;
+    this.irqEnabled = false;
+    this.irqCounter = 0;
+    this.irqPending = false;
+    this.ppuA12Prev = 0;
+    this.lastClockScanline = -1;
+  }
+
+  write(address, value) {
+    if (address < 0x6000 || address >= 0x8000) {
+      super.write(address, value);
+      return;
+    }
+    if (address < 0x7000) {
+      this.chrReg[address & 3] = value;
+      this.load2kVromBank(value, (address & 3) << 11);
+      return;
+    }
+    switch (address & 3) {
+      case 0:
+      case 1:
+        this.prgReg[address & 1] = value & 0x0f;
+        this.load8kRomBank(this.prgReg[address & 1], 0x8000 + ((address & 1) << 13));
+        break;
+      case 2:
+        this.irqEnabled = false;
+        this.irqCounter = 0;
+        this.acknowledgeIrq();
+        break;
+      case 3:
+        this.irqEnabled = true;
+        break;
+    }
+  }
+
+  // The registers live where PRG-RAM would be; the board has none.
+  load(address) {
+    address &= 0xffff;
+    if (address >= 0x6000 && address < 0x8000) {
+      return this.nes.cpu.dataBus;
+    }
+    return super.load(address);
+  }
+
+  // Counts one PPU A12 rise per rendered scanline and raises the IRQ on the
+  // eighth, holding it until $7002.
+  notifyA12(value) {
+    if (value === 1 && this.ppuA12Prev === 0 && this.irqEnabled) {
+      const ppu = this.nes.ppu;
+      if ((ppu.f_bgVisibility === 1 || ppu.f_spVisibility === 1) && this.lastClockScanline !== ppu.scanline) {
+        this.lastClockScanline = ppu.scanline;
+        if (this.irqCounter < 8) {
+          this.irqCounter++;
+          if (this.irqCounter === 8) {
+            this.irqPending = true;
+          }
+        }
+      }
+    }
+    this.ppuA12Prev = value;
+  }
+
+  cpuClock(cycles) {
+    if (this.irqPending) {
+      this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NORMAL);
+    }
+  }
+
+  acknowledgeIrq() {
+    this.irqPending = false;
+    const cpu = this.nes.cpu;
+    if (cpu.irqType === cpu.IRQ_NORMAL) {
+      cpu.irqRequested = false;
+    }
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) throw new Error("HK-SF3: Invalid ROM! Unable to load.");
+    const lastBank = this.nes.rom.romCount * 2 - 1;
+    this.load8kRomBank(this.prgReg[0], 0x8000);
+    this.load8kRomBank(this.prgReg[1], 0xa000);
+    this.load8kRomBank(lastBank - 1, 0xc000);
+    this.load8kRomBank(lastBank, 0xe000);
+    for (let i = 0; i < 4; i++) {
+      this.load2kVromBank(this.chrReg[i], i << 11);
+    }
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    const s = super.toJSON();
+    s.chrReg = this.chrReg.slice();
+    s.prgReg = this.prgReg.slice();
+    s.irqEnabled = this.irqEnabled;
+    s.irqCounter = this.irqCounter;
+    s.irqPending = this.irqPending;
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.chrReg = s.chrReg.slice();
+    this.prgReg = s.prgReg.slice();
+    this.irqEnabled = s.irqEnabled;
+    this.irqCounter = s.irqCounter;
+    this.irqPending = s.irqPending;
+  }
+}
+
+/**
+ * Mapper 94 (UN1ROM)
+ */
 class Mapper94 extends Mapper {
   constructor(nes) {
     super(nes);
@@ -2002,6 +5478,88 @@ class Mapper94 extends Mapper {
   }
 }
 
+// ============================================================
+// Mapper 111 (Cheapocabra GTROM)
+// ============================================================
+// 32KB PRG banks from flash, two 8KB CHR-RAM banks, two banks of
+// four-screen nametable RAM and two LEDs, all set by one register at
+// $5000-$5FFF (mirrored at $7000-$7FFF): bits 0-3 PRG, bit 4 CHR, bit 5
+// nametables, bit 6 green LED, bit 7 red LED (LEDs light when the bit is
+// clear). Writes to $8000-$FFFF go to the flash at the selected bank.
+class Mapper111 extends FlashMapper {
+  constructor(nes) {
+    super(nes);
+    this.chrRam = new BankedVram(nes, 0, 0x2000, 2);
+    this.ntRam = new BankedVram(nes, 0x2000, 0x1000, 2);
+    this.resetRegisters();
+  }
+
+  reset() {
+    super.reset();
+    this.chrRam.reset();
+    this.ntRam.reset();
+    this.resetRegisters();
+  }
+
+  resetRegisters() {
+    this.reg = 0;
+  }
+
+  getMirroringType() {
+    return this.nes.rom.FOURSCREEN_MIRRORING;
+  }
+
+  get greenLed() {
+    return (this.reg & 0x40) === 0;
+  }
+
+  get redLed() {
+    return (this.reg & 0x80) === 0;
+  }
+
+  write(address, value) {
+    if (address >= 0x8000) {
+      this.flash.write(((this.reg & 0x0f) << 15) | (address & 0x7fff), value);
+    } else if ((address & 0xd000) === 0x5000) {
+      this.reg = value;
+      this.updateBanks();
+    } else {
+      super.write(address, value);
+    }
+  }
+
+  updateBanks() {
+    const bank = (this.reg & 0x0f) * 4;
+    for (let i = 0; i < 4; i++) {
+      this.mapPrg8k(bank + i, 0x8000 + (i << 13));
+    }
+    this.chrRam.select((this.reg >> 4) & 1);
+    this.ntRam.select((this.reg >> 5) & 1);
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) throw new Error("GTROM: Invalid ROM! Unable to load.");
+    this.updateBanks();
+    this.loadBatteryRam();
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    const s = super.toJSON();
+    s.reg = this.reg;
+    s.chrRam = this.chrRam.toJSON();
+    s.ntRam = this.ntRam.toJSON();
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.reg = s.reg;
+    this.chrRam.fromJSON(s.chrRam);
+    this.ntRam.fromJSON(s.ntRam);
+  }
+}
+
 /**
  * Mapper 140
  */
@@ -2038,6 +5596,298 @@ class Mapper180 extends Mapper {
   }
 }
 
+// ============================================================
+// Mappers 225, 226, 227, 228 (discrete multicarts)
+// ============================================================
+// Multicart boards built from latches: the written address (and for 226
+// the data) selects a 16KB PRG bank that is either paired into 32KB or
+// mirrored at $8000 and $C000 (NROM-128), along with mirroring. None of
+// them has a reset line to the latch, so the menu is restored by the
+// console's reset button: reset() clears the bank registers and the menu
+// in bank 0 runs again.
+
+// Mapper 225 (ET-4310 / K-1010 52-in-1 and 64-in-1). Address bits:
+// A14 high bank bit, A13 mirroring, A12 NROM-128 mode, A6-A11 PRG bank,
+// A0-A5 8KB CHR bank. Four nibbles of RAM at $5800-$5FFF let the menu
+// remember its state across resets.
+class Mapper225 extends Mapper {
+  constructor(nes) {
+    super(nes);
+    this.ram = new Uint8Array(4);
+    this.resetRegisters();
+  }
+
+  // The nibble RAM is not cleared by a reset.
+  reset() {
+    super.reset();
+    this.resetRegisters();
+  }
+
+  resetRegisters() {
+    this.latch = 0;
+  }
+
+  write(address, value) {
+    if (address >= 0x5800 && address < 0x6000) {
+      this.ram[address & 3] = value & 0x0f;
+    } else if (address >= 0x8000) {
+      this.latch = address & 0x7fff;
+      this.updateBanks();
+    } else {
+      super.write(address, value);
+    }
+  }
+
+  load(address) {
+    address &= 0xffff;
+    if (address >= 0x5800 && address < 0x6000) {
+      return (this.nes.cpu.dataBus & 0xf0) | this.ram[address & 3];
+    }
+    return super.load(address);
+  }
+
+  updateBanks() {
+    const a = this.latch;
+    const high = (a >> 14) & 1;
+    const bank = (high << 6) | ((a >> 6) & 0x3f);
+    if (a & 0x1000) {
+      this.loadRomBank(bank, 0x8000);
+      this.loadRomBank(bank, 0xc000);
+    } else {
+      this.load32kRomBank(bank >> 1, 0x8000);
+    }
+    this.load8kVromBank(((high << 6) | (a & 0x3f)) * 2, 0x0000);
+    this.nes.ppu.setMirroring(a & 0x2000 ? this.nes.rom.HORIZONTAL_MIRRORING : this.nes.rom.VERTICAL_MIRRORING);
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) throw new Error("Mapper 225: Invalid ROM! Unable to load.");
+    this.updateBanks();
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    const s = super.toJSON();
+    s.latch = this.latch;
+    s.ram = Array.from(this.ram);
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.latch = s.latch;
+    this.ram.set(s.ram);
+  }
+}
+
+// Mapper 226 (76-in-1 / Super 42-in-1). Two data registers: $8000 (even
+// addresses) holds PRG bank bits 0-4 and 5 (bit 7), mirroring (bit 6, set
+// for vertical) and the NROM-128 mode (bit 5); $8001 (odd) bit 0 is PRG
+// bank bit 6 on 1.5MB and larger carts. CHR is RAM.
+class Mapper226 extends Mapper {
+  constructor(nes) {
+    super(nes);
+    this.regs = [0, 0];
+    this.resetRegisters();
+  }
+
+  reset() {
+    super.reset();
+    this.resetRegisters();
+  }
+
+  resetRegisters() {
+    this.regs[0] = 0;
+    this.regs[1] = 0;
+  }
+
+  write(address, value) {
+    if (address < 0x8000) {
+      super.write(address, value);
+      return;
+    }
+    this.regs[address & 1] = value;
+    this.updateBanks();
+  }
+
+  updateBanks() {
+    const r0 = this.regs[0];
+    const bank = ((this.regs[1] & 1) << 6) | ((r0 >> 2) & 0x20) | (r0 & 0x1f);
+    if (r0 & 0x20) {
+      this.loadRomBank(bank, 0x8000);
+      this.loadRomBank(bank, 0xc000);
+    } else {
+      this.load32kRomBank(bank >> 1, 0x8000);
+    }
+    this.nes.ppu.setMirroring(r0 & 0x40 ? this.nes.rom.VERTICAL_MIRRORING : this.nes.rom.HORIZONTAL_MIRRORING);
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) throw new Error("Mapper 226: Invalid ROM! Unable to load.");
+    this.updateBanks();
+    this.loadCHRROM();
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    const s = super.toJSON();
+    s.regs = this.regs.slice();
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.regs = s.regs.slice();
+  }
+}
+
+// Mapper 227 (1200-in-1 and similar). Address bits: A0 32KB/16KB size,
+// A1 mirroring, A2-A6 PRG bank with A8 as bit 5, A7 NROM mode, A9 last
+// bank select. With A7 clear the board behaves like UNROM: the bank at
+// $C000 is fixed to the first (or, with A9, last) bank of its 128KB block.
+class Mapper227 extends Mapper {
+  constructor(nes) {
+    super(nes);
+    this.resetRegisters();
+  }
+
+  reset() {
+    super.reset();
+    this.resetRegisters();
+  }
+
+  resetRegisters() {
+    this.latch = 0;
+  }
+
+  write(address, value) {
+    if (address < 0x8000) {
+      super.write(address, value);
+      return;
+    }
+    this.latch = address & 0x7fff;
+    this.updateBanks();
+  }
+
+  updateBanks() {
+    const a = this.latch;
+    const size32k = (a & 1) !== 0;
+    const bank = ((a >> 2) & 0x1f) | ((a >> 3) & 0x20);
+    if (a & 0x80) {
+      if (size32k) {
+        this.load32kRomBank(bank >> 1, 0x8000);
+      } else {
+        this.loadRomBank(bank, 0x8000);
+        this.loadRomBank(bank, 0xc000);
+      }
+    } else {
+      this.loadRomBank(size32k ? bank & 0x3e : bank, 0x8000);
+      this.loadRomBank(a & 0x200 ? bank | 7 : bank & 0x38, 0xc000);
+    }
+    this.nes.ppu.setMirroring(a & 2 ? this.nes.rom.HORIZONTAL_MIRRORING : this.nes.rom.VERTICAL_MIRRORING);
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) throw new Error("Mapper 227: Invalid ROM! Unable to load.");
+    this.updateBanks();
+    this.loadCHRROM();
+    this.loadBatteryRam();
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    const s = super.toJSON();
+    s.latch = this.latch;
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.latch = s.latch;
+  }
+}
+
+// Mapper 228 (Active Enterprises Action 52 / Cheetahmen II). Address bits:
+// A13 mirroring, A11-A12 PRG chip, A6-A10 16KB bank in the chip, A5
+// NROM-128 mode, A0-A3 CHR bank bits 2-5; data bits 0-1 are CHR bank bits
+// 0-1. Action 52 has three 512KB chips at positions 0, 1 and 3, stored
+// consecutively in the ROM file, so chip 3 maps to the third. Four nibbles
+// of RAM sit at $4020-$5FFF.
+class Mapper228 extends Mapper {
+  constructor(nes) {
+    super(nes);
+    this.ram = new Uint8Array(4);
+    this.resetRegisters();
+  }
+
+  // The nibble RAM is not cleared by a reset.
+  reset() {
+    super.reset();
+    this.resetRegisters();
+  }
+
+  resetRegisters() {
+    this.latch = 0;
+    this.chrLow = 0;
+  }
+
+  write(address, value) {
+    if (address >= 0x4020 && address < 0x6000) {
+      this.ram[address & 3] = value & 0x0f;
+    } else if (address >= 0x8000) {
+      this.latch = address & 0x7fff;
+      this.chrLow = value & 3;
+      this.updateBanks();
+    } else {
+      super.write(address, value);
+    }
+  }
+
+  load(address) {
+    address &= 0xffff;
+    if (address >= 0x4020 && address < 0x6000) {
+      return (this.nes.cpu.dataBus & 0xf0) | this.ram[address & 3];
+    }
+    return super.load(address);
+  }
+
+  updateBanks() {
+    const a = this.latch;
+    let chip = (a >> 11) & 3;
+    if (chip === 3) chip = 2;
+    const bank = (chip << 5) | ((a >> 6) & 0x1f);
+    if (a & 0x20) {
+      this.loadRomBank(bank, 0x8000);
+      this.loadRomBank(bank, 0xc000);
+    } else {
+      this.load32kRomBank(bank >> 1, 0x8000);
+    }
+    this.load8kVromBank((((a & 0x0f) << 2) | this.chrLow) * 2, 0x0000);
+    this.nes.ppu.setMirroring(a & 0x2000 ? this.nes.rom.HORIZONTAL_MIRRORING : this.nes.rom.VERTICAL_MIRRORING);
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) throw new Error("Action 52: Invalid ROM! Unable to load.");
+    this.updateBanks();
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    const s = super.toJSON();
+    s.latch = this.latch;
+    s.chrLow = this.chrLow;
+    s.ram = Array.from(this.ram);
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.latch = s.latch;
+    this.chrLow = s.chrLow;
+    this.ram.set(s.ram);
+  }
+}
+
 // Mapper 240
 class Mapper240 extends Mapper {
   constructor(nes) {
@@ -2075,12 +5925,50 @@ export const Mappers = {
   9: Mapper9,
   10: Mapper10,
   11: Mapper11,
+  15: Mapper15,
+  16: Mapper16,
+  19: Mapper19,
+  20: Mapper20,
+  21: Mapper21,
+  22: Mapper21,
+  23: Mapper21,
+  24: Mapper24,
+  25: Mapper21,
+  26: Mapper24,
+  30: Mapper30,
+  32: Mapper32,
+  33: Mapper33,
   34: Mapper34,
   38: Mapper38,
+  64: Mapper64,
+  65: Mapper65,
   66: Mapper66,
+  67: Mapper67,
+  68: Mapper68,
+  69: Mapper69,
+  71: Mapper71,
+  78: Mapper78,
+  85: Mapper85,
+  91: Mapper91,
   94: Mapper94,
+  111: Mapper111,
+  118: Mapper118,
+  119: Mapper119,
   140: Mapper140,
+  153: Mapper16,
+  159: Mapper16,
   180: Mapper180,
+  206: Mapper206,
+  225: Mapper225,
+  226: Mapper226,
+  227: Mapper227,
+  228: Mapper228,
   240: Mapper240,
   241: Mapper241
 };
+
+// Boards that share a mapper number but need their own class, keyed by
+// mapper and then NES 2.0 submapper.
+export const Submappers = {
+  4: { 1: Mapper4Mmc6 },
+};
@@ -12,9 +12,62 @@ export interface NESOptions {
   onAudioSample?: (left: number, right: number) => void;
   onStatusUpdate?: (status: string) => void;
   onBatteryRamWrite?: (address: number, value: number) => void;
+  onBatteryRamChange?: (ram: Uint8Array) => void;
+  batteryRamInterval?: number;
   preferredFrameRate?: number;
   emulateSound?: boolean;
   sampleRate?: number;
+  region?: Region | null;
+  romDatabase?: boolean;
+  /** The 8 KB FDS BIOS (disksys.rom), required to run .fds images. */
+  fdsBios?: RomData | null;
+  /**
+   * Clock the PPU, APU and mapper before every CPU bus access and perform
+   * the 6502's dummy reads and writes. Slower than the default
+   * per-instruction timing.
+   */
+  cycleAccurate?: boolean;
+  /**
+   * "scanline" (default) draws whole scanline spans; "dot" steps the PPU
+   * one dot at a time for mid-scanline effects, at about twice the cost.
+   */
+  ppuRenderer?: "scanline" | "dot";
+  /**
+   * Draw every sprite on a scanline instead of the first 8, removing
+   * flicker. The sprite overflow flag is still reported.
+   */
+  unlimitedSprites?: boolean;
+}
+
+export type RomData = string | Uint8Array | ArrayBuffer;
+
+export interface LoadROMOptions {
+  /** IPS, BPS or UPS patches, applied in order before parsing. */
+  patches?: RomData[];
+}
+
+export type Region = "ntsc" | "pal" | "dendy";
+
+export interface RomInfo {
+  title: string | null;
+  crc32: string;
+  sha1: string;
+  inDatabase: boolean;
+  corrected: Array<"mapper" | "submapper" | "mirroring" | "battery" | "region">;
+  mapper: number;
+  submapper: number;
+  mirroring: "horizontal" | "vertical" | "four";
+  battery: boolean;
+  region: Region;
+  prgRomSize: number;
+  chrRomSize: number;
+}
+
+export interface ROM {
+  info: RomInfo | null;
+  mapperType: number;
+  isFds: boolean;
+  getMapperName: () => string;
 }
 
 export class NES {
@@ -29,8 +82,20 @@ export class NES {
   zapperFireUp: () => void;
   getFPS: () => number;
   reloadROM: () => void;
-  loadROM: (data: string | Buffer) => void;
+  loadROM: (data: RomData, options?: LoadROMOptions) => void;
   setFramerate: (rate: number) => void;
+  setRegion: (region: Region) => void;
+  region: Region;
+  rom: ROM | null;
+  getBatteryRam: () => Uint8Array | null;
+  setBatteryRam: (data: Uint8Array | ArrayBuffer | number[]) => void;
+  loadFdsBios: (data: RomData) => void;
+  getFdsSideCount: () => number;
+  /** The inserted disk side, or -1 while the drive is empty. */
+  getFdsSide: () => number;
+  insertFdsDisk: (side: number) => void;
+  ejectFdsDisk: () => void;
+  flipFdsDisk: () => void;
   toJSON: () => EmulatorData;
   fromJSON: (data: EmulatorData) => void;
 }
\ No newline at end of file
@@ -1,8 +1,12 @@
 import { CPU } from "./cpu.js";
 import { Controller } from "./controller.js";
 import { PPU } from "./ppu.js";
+import { DotPPU } from "./dot-ppu.js";
 import { PAPU } from "./papu.js";
 import { ROM } from "./rom.js";
+import { toUint8Array } from "./utils.js";
+import { REGIONS } from "./regions.js";
+import { applyPatches } from "./patch.js";
 
 export class NES {
   constructor(opts) {
@@ -11,12 +15,39 @@ export class NES {
       onAudioSample: null,
       onStatusUpdate: function () {},
       onBatteryRamWrite: function () {},
+      // Called with a copy of the battery RAM after it changes, at most
+      // once every batteryRamInterval frames.
+      onBatteryRamChange: function () {},
+      batteryRamInterval: 60,
 
-      // FIXME: not actually used except for in PAPU
+      // FIXME: not actually used except for in PAPU. Defaults to the
+      // region's frame rate (60 NTSC, 50 PAL/Dendy).
       preferredFrameRate: 60,
 
+      // 'ntsc', 'pal' or 'dendy'. Null picks the region from the ROM.
+      region: null,
+
+      // Look ROMs up in the bundled game database and fix bad iNES headers.
+      romDatabase: true,
+
+      // Famicom Disk System BIOS (disksys.rom), see loadFdsBios().
+      fdsBios: null,
+
       emulateSound: true,
       sampleRate: 48000, // Sound sample rate in hz
+
+      // Clock the PPU, APU and mapper before every CPU bus access, with the
+      // 6502's dummy reads and writes, instead of once per instruction.
+      // Slower, but register accesses land on the right PPU dot.
+      cycleAccurate: false,
+
+      // 'scanline' draws whole scanline spans; 'dot' steps the PPU pipeline
+      // one dot at a time (see dot-ppu.js) for mid-scanline effects.
+      ppuRenderer: "scanline",
+
+      // Draw every sprite on a scanline instead of the first 8. Removes
+      // flicker; the sprite overflow flag is still set.
+      unlimitedSprites: false,
     };
 
     if (typeof opts !== "undefined") {
@@ -26,6 +57,7 @@ export class NES {
         }
       }
     }
+    this.frameRateLocked = typeof opts !== "undefined" && typeof opts.preferredFrameRate !== "undefined";
 
     this.frameTime = 1000 / this.opts.preferredFrameRate;
 
@@ -34,9 +66,17 @@ export class NES {
       updateStatus: this.opts.onStatusUpdate,
     };
     this.cpu = new CPU(this);
-    this.ppu = new PPU(this);
+    if (this.opts.ppuRenderer === "dot") {
+      this.ppu = new DotPPU(this);
+    } else if (this.opts.ppuRenderer === "scanline") {
+      this.ppu = new PPU(this);
+    } else {
+      throw new Error("Unknown PPU renderer: " + this.opts.ppuRenderer + " (expected 'scanline' or 'dot')");
+    }
     this.papu = new PAPU(this);
     this.mmap = null; // set in loadROM()
+    this.region = "ntsc";
+    this.ppuCycleRemainder = 0;
     this.controllers = {
       1: new Controller(),
       2: new Controller(),
@@ -51,9 +91,21 @@ export class NES {
     this.zapperFireDown = this.zapperFireDown.bind(this);
     this.zapperFireUp = this.zapperFireUp.bind(this);
 
+    if (this.opts.region !== null) {
+      this.setRegion(this.opts.region);
+    }
+
     this.fpsFrameCount = 0;
     this.romData = null;
+    this.romPatches = [];
+    this.fdsBios = null;
+    if (this.opts.fdsBios !== null) {
+      this.loadFdsBios(this.opts.fdsBios);
+    }
+    this.pendingBatteryRam = null;
+    this.batteryRamFrames = 0;
     this.break = false;
+    this.frameComplete = false;
     this.lastFpsTime = null;
   }
 
@@ -62,16 +114,25 @@ export class NES {
     this.break = true;
   }
 
-  // Resets the system
+  // Resets the system. The cartridge is reloaded so the game restarts from
+  // its reset vector; battery RAM is kept, as on the real console.
   reset() {
     if (this.mmap !== null) {
-      this.mmap.reset();
+      const batteryRam = this.mmap.getBatteryRam();
+      if (batteryRam !== null) {
+        this.rom.batteryRam = batteryRam;
+      }
     }
 
     this.cpu.reset();
     this.ppu.reset();
     this.papu.reset();
 
+    if (this.mmap !== null) {
+      this.mmap.reset();
+      this.loadMapper();
+    }
+
     this.lastFpsTime = null;
     this.fpsFrameCount = 0;
 
@@ -80,35 +141,52 @@ export class NES {
 
   frame() {
     this.ppu.startFrame();
+    if (this.cpu.cycleAccurate) {
+      this.runFrameCycleAccurate();
+    } else {
+      this.runFrame();
+    }
+    this.fpsFrameCount++;
+
+    if (this.mmap !== null) {
+      this.checkBatteryRam();
+    }
+  }
+
+  // Runs whole instructions and then catches the rest of the system up.
+  runFrame() {
     let cycles = 0;
     const emulateSound = this.opts.emulateSound;
     const cpu = this.cpu;
     const ppu = this.ppu;
     const papu = this.papu;
+    const mmap = this.mmap;
+    const cpuClockHook = mmap !== null && mmap.hasCpuClockHook;
+    const dotRenderer = ppu.dotRenderer;
 
     FRAMELOOP: for (;;) {
       if (this.break) break;
       if (cpu.cyclesToHalt === 0) {
         // Execute a CPU instruction
         cycles = cpu.emulate();
-        if (emulateSound) {
-          papu.clockFrameCounter(cycles);
-        }
-        cycles *= 3;
+      } else if (cpu.cyclesToHalt > 8) {
+        cycles = 8;
+        cpu.cyclesToHalt -= 8;
       } else {
-        if (cpu.cyclesToHalt > 8) {
-          cycles = 24;
-          if (emulateSound) {
-            papu.clockFrameCounter(8);
-          }
-          cpu.cyclesToHalt -= 8;
-        } else {
-          cycles = cpu.cyclesToHalt * 3;
-          if (emulateSound) {
-            papu.clockFrameCounter(cpu.cyclesToHalt);
-          }
-          cpu.cyclesToHalt = 0;
-        }
+        cycles = cpu.cyclesToHalt;
+        cpu.cyclesToHalt = 0;
+      }
+      if (emulateSound) {
+        papu.clockFrameCounter(cycles);
+      }
+      if (cpuClockHook) {
+        mmap.cpuClock(cycles);
+      }
+      cycles = this.toPpuCycles(cycles);
+
+      if (dotRenderer) {
+        if (ppu.clockDots(cycles)) break;
+        continue;
       }
 
       const finalCurX = ppu.curX + cycles;
@@ -125,7 +203,7 @@ export class NES {
         if (
           ppu.curX === ppu.spr0HitX &&
           ppu.f_spVisibility === 1 &&
-          ppu.scanline - 21 === ppu.spr0HitY
+          ppu.scanline - ppu.firstVisibleScanline === ppu.spr0HitY
         ) {
           // Set sprite 0 hit flag:
           ppu.setStatusFlag(ppu.STATUS_SPRITE0HIT, true);
@@ -147,7 +225,130 @@ export class NES {
         }
       }
     }
-    this.fpsFrameCount++;
+  }
+
+  // The CPU clocks the rest of the system itself through clockCpuCycle(),
+  // so the frame ends in the middle of the instruction that reaches VBlank;
+  // that instruction still runs to completion.
+  runFrameCycleAccurate() {
+    const cpu = this.cpu;
+    this.frameComplete = false;
+    while (!this.frameComplete && !this.break) {
+      if (cpu.cyclesToHalt === 0) {
+        cpu.emulate();
+      } else {
+        cpu.cyclesToHalt--;
+        this.clockCpuCycle();
+      }
+    }
+  }
+
+  // Advances the APU, mapper and PPU by one CPU cycle.
+  clockCpuCycle() {
+    const mmap = this.mmap;
+    if (this.opts.emulateSound) {
+      this.papu.clockFrameCounter(1);
+    }
+    if (mmap !== null && mmap.hasCpuClockHook) {
+      mmap.cpuClock(1);
+    }
+
+    const ppu = this.ppu;
+    if (ppu.dotRenderer) {
+      if (ppu.clockDots(this.toPpuCycles(1))) {
+        this.frameComplete = true;
+      }
+      return;
+    }
+    for (let dots = this.toPpuCycles(1); dots > 0; dots--) {
+      if (
+        ppu.curX === ppu.spr0HitX &&
+        ppu.f_spVisibility === 1 &&
+        ppu.scanline - ppu.firstVisibleScanline === ppu.spr0HitY
+      ) {
+        ppu.setStatusFlag(ppu.STATUS_SPRITE0HIT, true);
+      }
+
+      if (ppu.requestEndFrame) {
+        ppu.nmiCounter--;
+        if (ppu.nmiCounter === 0) {
+          ppu.requestEndFrame = false;
+          ppu.startVBlank();
+          this.frameComplete = true;
+        }
+      }
+
+      ppu.curX++;
+      if (ppu.curX === 341) {
+        ppu.curX = 0;
+        ppu.endScanline();
+      }
+    }
+  }
+
+  // Reports battery RAM changes through onBatteryRamChange, throttled so
+  // games that write SRAM every frame don't flood the callback.
+  checkBatteryRam() {
+    this.batteryRamFrames++;
+    if (this.mmap.batteryRamDirty && this.batteryRamFrames >= this.opts.batteryRamInterval) {
+      this.mmap.batteryRamDirty = false;
+      this.batteryRamFrames = 0;
+      const ram = this.mmap.getBatteryRam();
+      if (ram !== null) {
+        this.opts.onBatteryRamChange(ram);
+      }
+    }
+  }
+
+  // Returns a copy of the cartridge's battery-backed RAM, or null if the
+  // loaded ROM has none.
+  getBatteryRam() {
+    if (this.mmap === null) {
+      return this.pendingBatteryRam !== null ? this.pendingBatteryRam.slice() : null;
+    }
+    return this.mmap.getBatteryRam();
+  }
+
+  // Replaces the battery-backed RAM. May be called before loadROM, in which
+  // case the data is applied when the next ROM loads.
+  setBatteryRam(data) {
+    const ram = toUint8Array(data).slice();
+    if (this.mmap === null) {
+      this.pendingBatteryRam = ram;
+      return;
+    }
+    this.rom.batteryRam = ram;
+    this.mmap.loadBatteryRam();
+    this.mmap.batteryRamDirty = false;
+  }
+
+  // Converts CPU cycles to PPU dots: 3 per cycle, or 3.2 on PAL where the
+  // fractional part carries over to the next call.
+  toPpuCycles(cpuCycles) {
+    const ratio = REGIONS[this.region].ppuDotsPer5Cycles;
+    if (ratio === 15) {
+      return cpuCycles * 3;
+    }
+    const dots = cpuCycles * ratio + this.ppuCycleRemainder;
+    this.ppuCycleRemainder = dots % 5;
+    return (dots - this.ppuCycleRemainder) / 5;
+  }
+
+  // Selects NTSC, PAL or Dendy timing. loadROM() calls this with the ROM's
+  // region unless the region option forces one.
+  setRegion(region) {
+    const timing = REGIONS[region];
+    if (typeof timing === "undefined") {
+      throw new Error("Unknown region: " + region + " (expected 'ntsc', 'pal' or 'dendy')");
+    }
+    this.region = region;
+    this.ppuCycleRemainder = 0;
+    if (!this.frameRateLocked) {
+      this.opts.preferredFrameRate = timing.frameRate;
+      this.frameTime = 1000 / timing.frameRate;
+    }
+    this.ppu.setRegion(timing);
+    this.papu.setRegion(timing);
   }
 
   buttonDown(controller, button) {
@@ -187,28 +388,92 @@ export class NES {
 
   reloadROM() {
     if (this.romData !== null) {
-      this.loadROM(this.romData);
+      this.loadROM(this.romData, { patches: this.romPatches });
     }
   }
 
   // Loads a ROM file into the CPU and PPU.
-  // The ROM file is validated first.
-  loadROM(data) {
+  // The ROM file is validated first. options.patches is a list of IPS, BPS or
+  // UPS files applied in order before the header is parsed.
+  loadROM(data, options) {
+    const patches = options && options.patches ? options.patches : [];
+    const romData = patches.length > 0 ? applyPatches(data, patches) : data;
+
     // Load ROM file:
     this.rom = new ROM(this);
-    this.rom.load(data);
+    this.rom.load(romData);
+    this.setRegion(this.opts.region !== null ? this.opts.region : this.rom.getRegion());
+    if (this.pendingBatteryRam !== null) {
+      this.rom.batteryRam = this.pendingBatteryRam;
+      this.pendingBatteryRam = null;
+    }
 
+    this.mmap = null;
     this.reset();
     this.mmap = this.rom.createMapper();
-    this.mmap.loadROM();
-    this.ppu.setMirroring(this.rom.getMirroringType());
+    this.loadMapper();
     this.romData = data;
+    this.romPatches = patches;
+  }
+
+  // Maps the cartridge (PRG/CHR banks, battery RAM, trainer) into a freshly
+  // reset system.
+  loadMapper() {
+    this.mmap.loadROM();
+    this.mmap.loadTrainer();
+    this.ppu.setMirroring(this.mmap.getMirroringType());
+    this.papu.setExpansionAudio(this.mmap.hasExpansionAudio ? this.mmap : null);
+  }
+
+  // Sets the 8KB Famicom Disk System BIOS. Needed before loading an .fds
+  // image; the emulator doesn't ship one.
+  loadFdsBios(data) {
+    const bios = toUint8Array(data);
+    if (bios.length !== 0x2000) {
+      throw new Error("FDS BIOS must be exactly 8192 bytes (got " + bios.length + ").");
+    }
+    this.fdsBios = bios;
+  }
+
+  getFdsMapper() {
+    if (!this.rom || !this.rom.isFds || this.mmap === null) {
+      throw new Error("No FDS disk image loaded.");
+    }
+    return this.mmap;
+  }
+
+  getFdsSideCount() {
+    return this.getFdsMapper().getSideCount();
+  }
+
+  // Inserted disk side (0 = disk 1 side A, 1 = side B, ...), or -1 if the
+  // drive is empty or a swap is in progress.
+  getFdsSide() {
+    return this.getFdsMapper().getInsertedSide();
+  }
+
+  insertFdsDisk(side) {
+    this.getFdsMapper().insertDisk(side);
+  }
+
+  ejectFdsDisk() {
+    this.getFdsMapper().ejectDisk();
+  }
+
+  // Turns the current disk over (side A <-> side B).
+  flipFdsDisk() {
+    const mmap = this.getFdsMapper();
+    const side = mmap.getInsertedSide() >= 0 ? mmap.getInsertedSide() : mmap.pendingSide;
+    if (side >= 0 && (side ^ 1) < mmap.getSideCount()) {
+      mmap.insertDisk(side ^ 1);
+    }
   }
 
   setFramerate(rate) {
+    this.frameRateLocked = true;
     this.opts.preferredFrameRate = rate;
     this.frameTime = 1000 / rate;
-    this.papu.setSampleRate(this.opts.sampleRate, false);
+    this.papu.setSampleRate(this.opts.sampleRate);
   }
 
   toJSON() {
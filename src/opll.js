@@ -0,0 +1,335 @@
+// Yamaha YM2413 (OPLL) FM synthesizer, as cut down for the Konami VRC7:
+// six two-operator channels, no rhythm mode, and 15 built-in instruments
+// plus one user-defined instrument.
+//
+// The chip produces one sample every 72 master clocks (49.7 kHz with the
+// Famicom's 3.58 MHz clock), i.e. every 36 CPU cycles; the mapper calls
+// clock() at that rate and the PAPU's sample averaging does the resampling.
+//
+// Levels are tracked as attenuation in 0.375 dB units (the resolution of the
+// envelope generator) and only converted to linear amplitude at the output.
+
+// VRC7 built-in instruments 1-15 (instrument 0 is the custom one in
+// registers $00-$07). Same byte layout as the custom instrument registers.
+const VRC7_PATCHES = [
+  [0x03, 0x21, 0x05, 0x06, 0xe8, 0x81, 0x42, 0x27],
+  [0x13, 0x41, 0x14, 0x0d, 0xd8, 0xf6, 0x23, 0x12],
+  [0x11, 0x11, 0x08, 0x08, 0xfa, 0xb2, 0x20, 0x12],
+  [0x31, 0x61, 0x0c, 0x07, 0xa8, 0x64, 0x61, 0x27],
+  [0x32, 0x21, 0x1e, 0x06, 0xe1, 0x76, 0x01, 0x28],
+  [0x02, 0x01, 0x06, 0x00, 0xa3, 0xe2, 0xf4, 0xf4],
+  [0x21, 0x61, 0x1d, 0x07, 0x82, 0x81, 0x11, 0x07],
+  [0x23, 0x21, 0x22, 0x17, 0xa2, 0x72, 0x01, 0x17],
+  [0x35, 0x11, 0x25, 0x00, 0x40, 0x73, 0x72, 0x01],
+  [0xb5, 0x01, 0x0f, 0x0f, 0xa8, 0xa5, 0x51, 0x02],
+  [0x17, 0xc1, 0x24, 0x07, 0xf8, 0xf8, 0x22, 0x12],
+  [0x71, 0x23, 0x11, 0x06, 0x65, 0x74, 0x18, 0x16],
+  [0x01, 0x02, 0xd3, 0x05, 0xc9, 0x95, 0x03, 0x02],
+  [0x61, 0x63, 0x0c, 0x00, 0x94, 0xc0, 0x33, 0xf6],
+  [0x21, 0x72, 0x0d, 0x00, 0xc1, 0xd5, 0x56, 0x06],
+];
+
+// Frequency multiplier, doubled so MULT=0 (x0.5) stays an integer.
+const MULTIPLIER_X2 = [1, 2, 4, 6, 8, 10, 12, 14, 16, 18, 20, 20, 24, 24, 30, 30];
+
+// Key scale level at block 7 in dB, indexed by the top 4 F-number bits.
+const KSL_TABLE = [0, 9, 12, 13.875, 15, 16.125, 16.875, 17.625, 18, 18.75, 19.125, 19.5, 19.875, 20.25, 20.625, 21];
+
+// Vibrato: F-number offset (in half steps) by F-number range and LFO step.
+const VIBRATO_TABLE = [
+  [0, 0, 0, 0, 0, 0, 0, 0],
+  [0, 0, 1, 0, 0, 0, -1, 0],
+  [0, 1, 2, 1, 0, -1, -2, -1],
+  [0, 1, 3, 1, 0, -1, -3, -1],
+  [0, 2, 4, 2, 0, -2, -4, -2],
+  [0, 2, 5, 2, 0, -2, -5, -2],
+  [0, 3, 6, 3, 0, -3, -6, -3],
+  [0, 3, 7, 3, 0, -3, -7, -3],
+];
+
+// Tremolo is a 4.8 dB triangle at ~3.7 Hz; vibrato steps every 1024
+// samples (~6.1 Hz).
+const TREMOLO_DEPTH = 4.8 / 0.375;
+const TREMOLO_PERIOD = 13432;
+const VIBRATO_STEP_SAMPLES = 1024;
+
+const EG_MAX = 127;
+const EG_ATTACK = 0;
+const EG_DECAY = 1;
+const EG_SUSTAIN = 2;
+const EG_RELEASE = 3;
+
+// Attack is exponential and roughly 14x faster than a decay at the same
+// rate.
+const ATTACK_SCALE = 0.525;
+
+const SINE_TABLE = new Float64Array(1024);
+for (let i = 0; i < 1024; i++) {
+  SINE_TABLE[i] = Math.sin(((i + 0.5) * 2 * Math.PI) / 1024);
+}
+
+// Attenuation (0.375 dB units) to linear amplitude. Anything past the table
+// is silent.
+const ATTENUATION_TABLE = new Float64Array(256);
+for (let i = 0; i < 256; i++) {
+  ATTENUATION_TABLE[i] = Math.pow(10, (-i * 0.375) / 20);
+}
+
+// Envelope change per sample, in 0.375 dB units, for a rate of 0-63: the
+// change doubles every 4 rates, with 4 sub-steps in between.
+const EG_RATE_TABLE = new Float64Array(64);
+for (let r = 4; r < 64; r++) {
+  EG_RATE_TABLE[r] = ((4 + (r & 3)) * Math.pow(2, r >> 2)) / 65536;
+}
+
+export class Opll {
+  constructor() {
+    // $00-$07 custom instrument, $10-$15 F-number low, $20-$25
+    // sustain/key/block/F-number high, $30-$35 instrument/volume.
+    this.regs = new Uint8Array(0x40);
+
+    // Operator state; operator 2n is channel n's modulator, 2n+1 its carrier.
+    this.phase = new Int32Array(12);
+    this.eg = new Float64Array(12);
+    this.egState = new Uint8Array(12);
+    // Last two modulator outputs per channel, for feedback.
+    this.feedback1 = new Float64Array(6);
+    this.feedback2 = new Float64Array(6);
+    this.keyOn = new Uint8Array(6);
+
+    this.reset();
+  }
+
+  reset() {
+    this.regs.fill(0);
+    this.phase.fill(0);
+    this.eg.fill(EG_MAX);
+    this.egState.fill(EG_RELEASE);
+    this.feedback1.fill(0);
+    this.feedback2.fill(0);
+    this.keyOn.fill(0);
+    this.address = 0;
+    this.tremoloCounter = 0;
+    this.vibratoCounter = 0;
+    this.output = 0;
+  }
+
+  writeAddress(value) {
+    this.address = value & 0x3f;
+  }
+
+  writeData(value) {
+    const reg = this.address;
+    this.regs[reg] = value;
+    if (reg >= 0x20 && reg <= 0x25) {
+      const ch = reg - 0x20;
+      const key = (value >> 4) & 1;
+      if (key && !this.keyOn[ch]) {
+        this.startNote(ch);
+      } else if (!key && this.keyOn[ch]) {
+        this.egState[ch * 2] = EG_RELEASE;
+        this.egState[ch * 2 + 1] = EG_RELEASE;
+      }
+      this.keyOn[ch] = key;
+    }
+  }
+
+  startNote(ch) {
+    for (let op = ch * 2; op <= ch * 2 + 1; op++) {
+      this.phase[op] = 0;
+      this.egState[op] = EG_ATTACK;
+    }
+    this.feedback1[ch] = 0;
+    this.feedback2[ch] = 0;
+  }
+
+  // Byte n of the channel's instrument.
+  patchByte(ch, n) {
+    const instrument = this.regs[0x30 + ch] >> 4;
+    return instrument === 0 ? this.regs[n] : VRC7_PATCHES[instrument - 1][n];
+  }
+
+  clock() {
+    this.tremoloCounter = (this.tremoloCounter + 1) % TREMOLO_PERIOD;
+    this.vibratoCounter = (this.vibratoCounter + 1) & (VIBRATO_STEP_SAMPLES * 8 - 1);
+
+    const t = this.tremoloCounter / TREMOLO_PERIOD;
+    const tremolo = TREMOLO_DEPTH * (t < 0.5 ? t * 2 : 2 - t * 2);
+    const vibratoStep = Math.floor(this.vibratoCounter / VIBRATO_STEP_SAMPLES);
+
+    let out = 0;
+    for (let ch = 0; ch < 6; ch++) {
+      out += this.clockChannel(ch, tremolo, vibratoStep);
+    }
+    this.output = out;
+  }
+
+  clockChannel(ch, tremolo, vibratoStep) {
+    const fnum = this.regs[0x10 + ch] | ((this.regs[0x20 + ch] & 1) << 8);
+    const block = (this.regs[0x20 + ch] >> 1) & 7;
+    const sustain = (this.regs[0x20 + ch] & 0x20) !== 0;
+    const volume = this.regs[0x30 + ch] & 0x0f;
+
+    // Key scale level in dB at 6 dB/octave, before the KSL setting.
+    const ksl = Math.max(0, KSL_TABLE[fnum >> 5] - 6 * (7 - block));
+
+    // Modulator
+    const mod = ch * 2;
+    const modTl = (this.patchByte(ch, 2) & 0x3f) * 2;
+    let modPhase = this.advanceOperator(mod, 0, fnum, block, sustain, vibratoStep);
+    const fb = this.patchByte(ch, 3) & 7;
+    if (fb !== 0) {
+      // Average of the last two outputs; at FB=7 a full-scale output
+      // shifts the phase by +/-2 cycles.
+      const avg = (this.feedback1[ch] + this.feedback2[ch]) / 2;
+      modPhase += Math.round((avg * 2048) / (1 << (7 - fb)));
+    }
+    const modLevel = this.operatorLevel(ch, 0, modTl, ksl, tremolo, mod);
+    const modOut = this.operatorOutput(ch, 0, modPhase, modLevel);
+    this.feedback2[ch] = this.feedback1[ch];
+    this.feedback1[ch] = modOut;
+
+    // Carrier, phase-modulated by the modulator (+/-4 cycles at full scale).
+    const car = mod + 1;
+    let carPhase = this.advanceOperator(car, 1, fnum, block, sustain, vibratoStep);
+    carPhase += Math.round(modOut * 4096);
+    const carLevel = this.operatorLevel(ch, 1, volume * 8, ksl, tremolo, car);
+    return this.operatorOutput(ch, 1, carPhase, carLevel);
+  }
+
+  // Steps the operator's phase and envelope and returns the phase as an
+  // index into the 1024-entry sine table.
+  advanceOperator(op, n, fnum, block, sustain, vibratoStep) {
+    const ch = op >> 1;
+    const flags = this.patchByte(ch, n);
+    const mult = flags & 0x0f;
+
+    let fnum2 = fnum * 2;
+    if (flags & 0x40) {
+      fnum2 += VIBRATO_TABLE[fnum >> 6][vibratoStep];
+    }
+    // 18-bit phase: one cycle per 2^18, so the sine index is the top 10 bits.
+    this.phase[op] = (this.phase[op] + ((((fnum2 * MULTIPLIER_X2[mult]) << block) >> 3) | 0)) & 0x3ffff;
+
+    this.advanceEnvelope(op, n, flags, fnum, block, sustain);
+    return this.phase[op] >> 8;
+  }
+
+  advanceEnvelope(op, n, flags, fnum, block, sustain) {
+    const ch = op >> 1;
+    const ksr = flags & 0x10 ? (block << 1) | (fnum >> 8) : block >> 1;
+    const percussive = (flags & 0x20) === 0;
+    const ad = this.patchByte(ch, 4 + n);
+    const sr = this.patchByte(ch, 6 + n);
+
+    switch (this.egState[op]) {
+      case EG_ATTACK: {
+        const rate = this.rate(ad >> 4, ksr);
+        if (rate >= 60) {
+          this.eg[op] = 0;
+        } else {
+          this.eg[op] -= (this.eg[op] + 1) * EG_RATE_TABLE[rate] * ATTACK_SCALE;
+        }
+        if (this.eg[op] <= 0) {
+          this.eg[op] = 0;
+          this.egState[op] = EG_DECAY;
+        }
+        break;
+      }
+      case EG_DECAY: {
+        // Sustain level is in 3 dB steps.
+        const sustainLevel = (sr >> 4) * 8;
+        this.eg[op] += EG_RATE_TABLE[this.rate(ad & 0x0f, ksr)];
+        if (this.eg[op] >= sustainLevel) {
+          this.eg[op] = Math.min(sustainLevel, EG_MAX);
+          this.egState[op] = EG_SUSTAIN;
+        }
+        break;
+      }
+      case EG_SUSTAIN:
+        // Sustained instruments hold; percussive ones keep fading at the
+        // release rate.
+        if (percussive) {
+          this.eg[op] += EG_RATE_TABLE[this.rate(sr & 0x0f, ksr)];
+        }
+        break;
+      case EG_RELEASE: {
+        let rr;
+        if (sustain) {
+          rr = 5;
+        } else if (!percussive) {
+          rr = sr & 0x0f;
+        } else {
+          rr = 7;
+        }
+        this.eg[op] += EG_RATE_TABLE[this.rate(rr, ksr)];
+        break;
+      }
+    }
+    if (this.eg[op] > EG_MAX) {
+      this.eg[op] = EG_MAX;
+    }
+  }
+
+  rate(r, ksr) {
+    return r === 0 ? 0 : Math.min(63, r * 4 + ksr);
+  }
+
+  // Total attenuation: envelope + total level + key scaling + tremolo.
+  operatorLevel(ch, n, tl, ksl, tremolo, op) {
+    const kslBits = this.patchByte(ch, 2 + n) >> 6;
+    let level = this.eg[op] + tl;
+    if (kslBits !== 0) {
+      // KSL 1/2/3 = 1.5/3/6 dB per octave.
+      level += (ksl * (1 << kslBits)) / 8 / 0.375;
+    }
+    if (this.patchByte(ch, n) & 0x80) {
+      level += tremolo;
+    }
+    return level;
+  }
+
+  operatorOutput(ch, n, phase, level) {
+    const index = Math.floor(level);
+    if (index >= 256) {
+      return 0;
+    }
+    phase &= 1023;
+    // Rectified (half) sine: the negative half of the wave is silent.
+    const halfWave = this.patchByte(ch, 3) & (n === 0 ? 0x08 : 0x10);
+    if (halfWave && phase >= 512) {
+      return 0;
+    }
+    return SINE_TABLE[phase] * ATTENUATION_TABLE[index];
+  }
+
+  toJSON() {
+    return {
+      regs: Array.from(this.regs),
+      phase: Array.from(this.phase),
+      eg: Array.from(this.eg),
+      egState: Array.from(this.egState),
+      feedback1: Array.from(this.feedback1),
+      feedback2: Array.from(this.feedback2),
+      keyOn: Array.from(this.keyOn),
+      address: this.address,
+      tremoloCounter: this.tremoloCounter,
+      vibratoCounter: this.vibratoCounter,
+      output: this.output,
+    };
+  }
+
+  fromJSON(s) {
+    this.regs.set(s.regs);
+    this.phase.set(s.phase);
+    this.eg.set(s.eg);
+    this.egState.set(s.egState);
+    this.feedback1.set(s.feedback1);
+    this.feedback2.set(s.feedback2);
+    this.keyOn.set(s.keyOn);
+    this.address = s.address;
+    this.tremoloCounter = s.tremoloCounter;
+    this.vibratoCounter = s.vibratoCounter;
+    this.output = s.output;
+  }
+}
@@ -1,7 +1,5 @@
 import { toJSON, fromJSON } from "./utils.js";
-
-const CPU_FREQ_NTSC = 1789772.5;
-// const CPU_FREQ_PAL = 1773447.4;
+import { REGIONS } from "./regions.js";
 
 class ChannelDM {
   constructor(papu) {
@@ -789,6 +787,12 @@ export class PAPU {
 
     this.sampleRate = 44100;
 
+    // Region timing, see setRegion():
+    this.cpuFrequency = REGIONS.ntsc.cpuFrequency;
+    this.regionFrameRate = REGIONS.ntsc.frameRate;
+    this.apuFrameTime = REGIONS.ntsc.apuFrameTime;
+    this.palApu = false;
+
     this.lengthLookup = null;
     this.dmcFreqLookup = null;
     this.noiseWavelengthLookup = null;
@@ -815,8 +819,12 @@ export class PAPU {
     this.smpSquare2 = null;
     this.smpTriangle = null;
     this.smpDmc = null;
+    this.smpExpansion = 0;
     this.accCount = null;
 
+    // Mapper with expansion audio (FDS, VRC6, ...), see setExpansionAudio().
+    this.expansionAudio = null;
+
     // DC removal vars:
     this.prevSampleL = 0;
     this.prevSampleR = 0;
@@ -875,6 +883,7 @@ export class PAPU {
       "smpSquare2",
       "smpTriangle",
       "smpDmc",
+      "smpExpansion",
       "accCount",
       "prevSampleL",
       "prevSampleR",
@@ -915,16 +924,44 @@ export class PAPU {
     this.reset();
   }
 
-  reset() {
-    this.sampleRate = this.nes.opts.sampleRate;
+  // Switches the CPU clock, frame counter period and noise/DMC period
+  // tables to those of the given region (see regions.js).
+  setRegion(region) {
+    this.cpuFrequency = region.cpuFrequency;
+    this.regionFrameRate = region.frameRate;
+    this.apuFrameTime = region.apuFrameTime;
+    this.palApu = region.palApu;
+    this.initDmcFrequencyLookup();
+    this.initNoiseWavelengthLookup();
+    this.updateTiming();
+  }
+
+  // Mixes a mapper's expansion audio into the output. The mapper must
+  // implement clockExpansionAudio(nCycles) and getExpansionAudioSample().
+  setExpansionAudio(mapper) {
+    this.expansionAudio = mapper;
+    this.smpExpansion = 0;
+  }
+
+  setSampleRate(rate) {
+    this.nes.opts.sampleRate = rate;
+    this.sampleRate = rate;
+    this.updateTiming();
+  }
+
+  // Running at a different frame rate than the region's own speeds the
+  // frame counter and sample timer up or down by the same factor.
+  updateTiming() {
+    const speed = this.nes.opts.preferredFrameRate / this.regionFrameRate;
     this.sampleTimerMax = Math.floor(
-      (1024.0 * CPU_FREQ_NTSC * this.nes.opts.preferredFrameRate) /
-        (this.sampleRate * 60.0),
+      (1024.0 * this.cpuFrequency * speed) / this.sampleRate,
     );
+    this.frameTime = Math.floor(this.apuFrameTime * speed);
+  }
 
-    this.frameTime = Math.floor(
-      (14915.0 * this.nes.opts.preferredFrameRate) / 60.0,
-    );
+  reset() {
+    this.sampleRate = this.nes.opts.sampleRate;
+    this.updateTiming();
 
     this.sampleTimer = 0;
 
@@ -950,6 +987,7 @@ export class PAPU {
     this.smpSquare2 = 0;
     this.smpTriangle = 0;
     this.smpDmc = 0;
+    this.smpExpansion = 0;
 
     this.frameIrqEnabled = false;
     this.frameIrqCounterMax = 4;
@@ -1190,6 +1228,10 @@ export class PAPU {
       }
     }
 
+    if (this.expansionAudio !== null) {
+      this.expansionAudio.clockExpansionAudio(nCycles);
+    }
+
     // Frame IRQ handling:
     if (this.frameIrqEnabled && this.frameIrqActive) {
       this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NORMAL);
@@ -1252,6 +1294,10 @@ export class PAPU {
       this.smpSquare2 += cycles * this.square2.sampleValue;
       this.accCount += cycles;
     }
+
+    if (this.expansionAudio !== null) {
+      this.smpExpansion += cycles * this.expansionAudio.getExpansionAudioSample();
+    }
   }
 
   frameCounterTick() {
@@ -1302,14 +1348,21 @@ export class PAPU {
       this.smpDmc <<= 4;
       this.smpDmc = Math.floor(this.smpDmc / this.accCount);
 
+      this.smpExpansion = Math.floor(this.smpExpansion / this.accCount);
+
       this.accCount = 0;
     } else {
       this.smpSquare1 = this.square1.sampleValue << 4;
       this.smpSquare2 = this.square2.sampleValue << 4;
       this.smpTriangle = this.triangle.sampleValue;
       this.smpDmc = this.dmc.sample << 4;
+      this.smpExpansion = this.expansionAudio !== null ? this.expansionAudio.getExpansionAudioSample() : 0;
     }
 
+    // Expansion audio bypasses the 2A03's non-linear DAC and is split
+    // evenly between both channels.
+    const expansion = (this.smpExpansion * this.masterVolume) >> 9;
+
     const smpNoise = Math.floor((this.noise.accValue << 4) / this.noise.accCount);
     this.noise.accValue = smpNoise >> 4;
     this.noise.accCount = 1;
@@ -1333,7 +1386,7 @@ export class PAPU {
       tnd_index = this.tnd_table.length - 1;
     }
     let sampleValueL =
-      this.square_table[sq_index] + this.tnd_table[tnd_index] - this.dcValue;
+      this.square_table[sq_index] + this.tnd_table[tnd_index] + expansion - this.dcValue;
 
     // Right channel:
     sq_index =
@@ -1352,7 +1405,7 @@ export class PAPU {
       tnd_index = this.tnd_table.length - 1;
     }
     let sampleValueR =
-      this.square_table[sq_index] + this.tnd_table[tnd_index] - this.dcValue;
+      this.square_table[sq_index] + this.tnd_table[tnd_index] + expansion - this.dcValue;
 
     // Remove DC from left channel:
     const smpDiffL = sampleValueL - this.prevSampleL;
@@ -1383,6 +1436,7 @@ export class PAPU {
     this.smpSquare2 = 0;
     this.smpTriangle = 0;
     this.smpDmc = 0;
+    this.smpExpansion = 0;
   }
 
   getLengthMax(value) {
@@ -1457,47 +1511,23 @@ export class PAPU {
     ];
   }
 
+  // Periods in CPU cycles (times 8 for the DMC, which counts in bits).
   initDmcFrequencyLookup() {
+    // prettier-ignore
+    const periods = this.palApu
+      ? [398, 354, 316, 298, 276, 236, 210, 198, 176, 148, 132, 118, 98, 78, 66, 50]
+      : [428, 380, 340, 320, 286, 254, 226, 214, 190, 160, 142, 128, 106, 84, 72, 54];
     this.dmcFreqLookup = new Array(16);
-
-    this.dmcFreqLookup[0x0] = 0xd60;
-    this.dmcFreqLookup[0x1] = 0xbe0;
-    this.dmcFreqLookup[0x2] = 0xaa0;
-    this.dmcFreqLookup[0x3] = 0xa00;
-    this.dmcFreqLookup[0x4] = 0x8f0;
-    this.dmcFreqLookup[0x5] = 0x7f0;
-    this.dmcFreqLookup[0x6] = 0x710;
-    this.dmcFreqLookup[0x7] = 0x6b0;
-    this.dmcFreqLookup[0x8] = 0x5f0;
-    this.dmcFreqLookup[0x9] = 0x500;
-    this.dmcFreqLookup[0xa] = 0x470;
-    this.dmcFreqLookup[0xb] = 0x400;
-    this.dmcFreqLookup[0xc] = 0x350;
-    this.dmcFreqLookup[0xd] = 0x2a0;
-    this.dmcFreqLookup[0xe] = 0x240;
-    this.dmcFreqLookup[0xf] = 0x1b0;
-    //for(int i=0;i<16;i++)dmcFreqLookup[i]/=8;
+    for (let i = 0; i < 16; i++) {
+      this.dmcFreqLookup[i] = periods[i] << 3;
+    }
   }
 
   initNoiseWavelengthLookup() {
-    this.noiseWavelengthLookup = new Array(16);
-
-    this.noiseWavelengthLookup[0x0] = 0x004;
-    this.noiseWavelengthLookup[0x1] = 0x008;
-    this.noiseWavelengthLookup[0x2] = 0x010;
-    this.noiseWavelengthLookup[0x3] = 0x020;
-    this.noiseWavelengthLookup[0x4] = 0x040;
-    this.noiseWavelengthLookup[0x5] = 0x060;
-    this.noiseWavelengthLookup[0x6] = 0x080;
-    this.noiseWavelengthLookup[0x7] = 0x0a0;
-    this.noiseWavelengthLookup[0x8] = 0x0ca;
-    this.noiseWavelengthLookup[0x9] = 0x0fe;
-    this.noiseWavelengthLookup[0xa] = 0x17c;
-    this.noiseWavelengthLookup[0xb] = 0x1fc;
-    this.noiseWavelengthLookup[0xc] = 0x2fa;
-    this.noiseWavelengthLookup[0xd] = 0x3f8;
-    this.noiseWavelengthLookup[0xe] = 0x7f2;
-    this.noiseWavelengthLookup[0xf] = 0xfe4;
+    // prettier-ignore
+    this.noiseWavelengthLookup = this.palApu
+      ? [4, 8, 14, 30, 60, 88, 118, 148, 188, 236, 354, 472, 708, 944, 1890, 3778]
+      : [4, 8, 16, 32, 64, 96, 128, 160, 202, 254, 380, 508, 762, 1016, 2034, 4068];
   }
 
   initDACtables() {
@@ -0,0 +1,258 @@
+import { toUint8Array, crc32 } from "./utils.js";
+
+// Soft-patching for IPS, BPS and UPS files. Patches are applied to the whole
+// ROM file (header included), which is how almost all NES patches are made.
+// BPS/UPS patches record the CRC-32 of the file they were made against; when
+// that only matches the file without its 16-byte iNES header, the patch is
+// applied to the headerless data and the original header put back.
+
+// Applies the patches in order and returns the patched file as a new
+// Uint8Array. Throws an Error naming the offending patch if one is invalid or
+// was made for a different ROM.
+export function applyPatches(data, patches) {
+  let rom = toUint8Array(data);
+  for (let i = 0; i < patches.length; i++) {
+    try {
+      rom = applyPatch(rom, patches[i]);
+    } catch (e) {
+      throw new Error("Patch " + (i + 1) + " of " + patches.length + ": " + e.message);
+    }
+  }
+  return rom;
+}
+
+// Detects the patch format from its magic bytes and applies it.
+export function applyPatch(data, patch) {
+  const rom = toUint8Array(data);
+  patch = toUint8Array(patch);
+  if (hasMagic(patch, "PATCH")) {
+    return applyIps(rom, patch);
+  }
+  if (hasMagic(patch, "BPS1")) {
+    return applyChecked(rom, patch, "BPS", applyBps);
+  }
+  if (hasMagic(patch, "UPS1")) {
+    return applyChecked(rom, patch, "UPS", applyUps);
+  }
+  throw new Error("Unrecognised patch format (expected IPS, BPS or UPS).");
+}
+
+function hasMagic(patch, magic) {
+  if (patch.length < magic.length) return false;
+  for (let i = 0; i < magic.length; i++) {
+    if (patch[i] !== magic.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+// IPS: "PATCH", then records of a 24-bit offset and 16-bit length followed by
+// the data, or a zero length followed by a 16-bit RLE count and fill byte.
+// "EOF" ends the list and may be followed by a 24-bit truncation size.
+function applyIps(rom, patch) {
+  let out = rom.slice();
+  let pos = 5;
+  for (;;) {
+    if (pos + 3 > patch.length) {
+      throw new Error("IPS patch is truncated (no EOF marker).");
+    }
+    const offset = (patch[pos] << 16) | (patch[pos + 1] << 8) | patch[pos + 2];
+    pos += 3;
+    if (offset === 0x454f46) {
+      break;
+    }
+    if (pos + 2 > patch.length) {
+      throw new Error("IPS patch is truncated.");
+    }
+    let size = (patch[pos] << 8) | patch[pos + 1];
+    pos += 2;
+    let rle = false;
+    if (size === 0) {
+      if (pos + 3 > patch.length) {
+        throw new Error("IPS patch is truncated.");
+      }
+      size = (patch[pos] << 8) | patch[pos + 1];
+      pos += 2;
+      rle = true;
+    } else if (pos + size > patch.length) {
+      throw new Error("IPS patch is truncated.");
+    }
+    if (offset + size > out.length) {
+      const grown = new Uint8Array(offset + size);
+      grown.set(out);
+      out = grown;
+    }
+    if (rle) {
+      out.fill(patch[pos], offset, offset + size);
+      pos += 1;
+    } else {
+      out.set(patch.subarray(pos, pos + size), offset);
+      pos += size;
+    }
+  }
+  if (pos + 3 <= patch.length) {
+    const truncate = (patch[pos] << 16) | (patch[pos + 1] << 8) | patch[pos + 2];
+    out = out.slice(0, truncate);
+  }
+  return out;
+}
+
+// Verifies the patch's own checksum and the source checksum, applies it, then
+// verifies the target checksum. BPS and UPS share the same 12-byte footer.
+function applyChecked(rom, patch, name, apply) {
+  if (patch.length < 16) {
+    throw new Error(name + " patch is truncated.");
+  }
+  const footer = patch.length - 12;
+  const sourceCrc = readUint32(patch, footer);
+  const targetCrc = readUint32(patch, footer + 4);
+  const patchCrc = readUint32(patch, footer + 8);
+  if (crc32(patch.subarray(0, footer + 8)) !== patchCrc) {
+    throw new Error(name + " patch is corrupt (patch checksum mismatch).");
+  }
+
+  let header = null;
+  let source = rom;
+  if (crc32(rom) !== sourceCrc) {
+    if (rom.length > 16 && crc32(rom.subarray(16)) === sourceCrc) {
+      header = rom.subarray(0, 16);
+      source = rom.subarray(16);
+    } else {
+      throw new Error(
+        name +
+          " patch doesn't match this ROM: it expects a file with CRC32 " +
+          hex(sourceCrc) +
+          ", but this ROM has " +
+          hex(crc32(rom)) +
+          "."
+      );
+    }
+  }
+
+  const target = apply(source, patch, footer, name);
+  if (crc32(target) !== targetCrc) {
+    throw new Error(name + " patch produced the wrong result (target checksum mismatch).");
+  }
+  if (header === null) {
+    return target;
+  }
+  const out = new Uint8Array(16 + target.length);
+  out.set(header);
+  out.set(target, 16);
+  return out;
+}
+
+// BPS: source/target/metadata sizes, then actions until the footer. Each
+// action is a varint whose low 2 bits select SourceRead, TargetRead,
+// SourceCopy or TargetCopy and whose upper bits hold the length - 1.
+function applyBps(source, patch, footer, name) {
+  const reader = { pos: 4 };
+  const sourceSize = readVarint(patch, reader, footer, name);
+  const targetSize = readVarint(patch, reader, footer, name);
+  const metadataSize = readVarint(patch, reader, footer, name);
+  reader.pos += metadataSize;
+  if (sourceSize !== source.length) {
+    throw new Error(name + " patch expects a " + sourceSize + " byte ROM, got " + source.length + " bytes.");
+  }
+
+  const target = new Uint8Array(targetSize);
+  let out = 0;
+  let sourceOffset = 0;
+  let targetOffset = 0;
+  while (reader.pos < footer) {
+    const data = readVarint(patch, reader, footer, name);
+    const command = data % 4;
+    const length = Math.floor(data / 4) + 1;
+    if (out + length > targetSize) {
+      throw new Error(name + " patch writes past the end of the target.");
+    }
+    switch (command) {
+      case 0: // SourceRead
+        target.set(source.subarray(out, out + length), out);
+        out += length;
+        break;
+      case 1: // TargetRead
+        target.set(patch.subarray(reader.pos, reader.pos + length), out);
+        reader.pos += length;
+        out += length;
+        break;
+      case 2: {
+        // SourceCopy
+        const delta = readVarint(patch, reader, footer, name);
+        sourceOffset += (delta & 1 ? -1 : 1) * Math.floor(delta / 2);
+        target.set(source.subarray(sourceOffset, sourceOffset + length), out);
+        sourceOffset += length;
+        out += length;
+        break;
+      }
+      default: {
+        // TargetCopy. Byte by byte, since the ranges may overlap.
+        const delta = readVarint(patch, reader, footer, name);
+        targetOffset += (delta & 1 ? -1 : 1) * Math.floor(delta / 2);
+        for (let i = 0; i < length; i++) {
+          target[out++] = target[targetOffset++];
+        }
+        break;
+      }
+    }
+  }
+  return target;
+}
+
+// UPS: source/target sizes, then hunks of a varint skip count followed by
+// bytes XORed into the file up to a terminating zero.
+function applyUps(source, patch, footer, name) {
+  const reader = { pos: 4 };
+  const sourceSize = readVarint(patch, reader, footer, name);
+  const targetSize = readVarint(patch, reader, footer, name);
+  if (sourceSize !== source.length) {
+    throw new Error(name + " patch expects a " + sourceSize + " byte ROM, got " + source.length + " bytes.");
+  }
+
+  const target = new Uint8Array(targetSize);
+  target.set(source.subarray(0, Math.min(source.length, targetSize)));
+  let out = 0;
+  while (reader.pos < footer) {
+    out += readVarint(patch, reader, footer, name);
+    for (;;) {
+      if (reader.pos >= footer) {
+        throw new Error(name + " patch is truncated.");
+      }
+      const x = patch[reader.pos++];
+      if (x === 0) {
+        break;
+      }
+      if (out < targetSize) {
+        target[out] ^= x;
+      }
+      out++;
+    }
+    out++;
+  }
+  return target;
+}
+
+// byuu's variable-length integer encoding shared by BPS and UPS.
+function readVarint(patch, reader, end, name) {
+  let data = 0;
+  let shift = 1;
+  for (;;) {
+    if (reader.pos >= end) {
+      throw new Error(name + " patch is truncated.");
+    }
+    const x = patch[reader.pos++];
+    data += (x & 0x7f) * shift;
+    if (x & 0x80) {
+      return data;
+    }
+    shift *= 128;
+    data += shift;
+  }
+}
+
+function readUint32(data, offset) {
+  return (data[offset] | (data[offset + 1] << 8) | (data[offset + 2] << 16) | (data[offset + 3] << 24)) >>> 0;
+}
+
+function hex(value) {
+  return value.toString(16).toUpperCase().padStart(8, "0");
+}
@@ -1,5 +1,10 @@
 import { Tile } from "./tile.js";
 import { toJSON, fromJSON } from "./utils.js";
+import { REGIONS } from "./regions.js";
+
+// Frames until an I/O latch bit that isn't driven again decays to 0
+// (about 600ms).
+const IO_BUS_DECAY_FRAMES = 36;
 
 export class PPU {
   constructor(nes) {
@@ -7,6 +12,10 @@ export class PPU {
 
     this.a12 = 0;   // Track last A12 state for MMC3 IRQ edge detection
 
+    // Set by renderers that step themselves dot by dot (DotPPU); NES.frame
+    // then calls clockDots() instead of advancing curX.
+    this.dotRenderer = false;
+
     // Status flags
     this.STATUS_VRAMWRITE = 4;
     this.STATUS_SLSPRITECOUNT = 5;
@@ -25,16 +34,45 @@ export class PPU {
       "hitSpr0", "sprPalette", "imgPalette", "curX", "scanline",
       "lastRenderedScanline", "curNt", "scantile", "attrib", "buffer",
       "bgbuffer", "pixrendered", "requestEndFrame", "nmiOk",
-      "dummyCycleToggle", "nmiCounter", "validTileData", "scanlineAlreadyRendered"
+      "dummyCycleToggle", "nmiCounter", "validTileData", "scanlineAlreadyRendered",
+      "spriteLimitIndex", "ioBus", "ioBusFrame", "frameNumber"
     ];
 
     // Rendering Options:
     this.showSpr0Hit = false;
     this.clipToTvSize = true;
+    // Draw every sprite on a line instead of the first 8 (removes flicker).
+    // The overflow flag is still reported, so games that time with it work.
+    this.unlimitedSprites = nes.opts.unlimitedSprites === true;
 
+    this.palTable = null;
+    this.setRegion(REGIONS.ntsc);
     this.reset();
   }
 
+  // Applies region timing (see regions.js). Scanlines are numbered from the
+  // start of vblank: vblank, pre-render, 240 visible lines, post-render.
+  setRegion(region) {
+    this.vblankScanlines = region.vblankScanlines;
+    this.firstVisibleScanline = region.vblankScanlines + 1;
+    this.lastVisibleScanline = this.firstVisibleScanline + 239;
+    this.lastScanline = region.scanlines - 1;
+    this.oddFrameDotSkip = region.oddFrameDotSkip;
+    this.palPalette = region.palPalette;
+    if (this.palTable !== null) {
+      this.loadPalette();
+      this.updatePalettes();
+    }
+  }
+
+  loadPalette() {
+    if (this.palPalette) {
+      this.palTable.loadPALPalette();
+    } else {
+      this.palTable.loadNTSCPalette();
+    }
+  }
+
   reset() {
     this.vramMem = new Array(0x8000).fill(0);
     this.spriteMem = new Array(0x100).fill(0);
@@ -43,6 +81,12 @@ export class PPU {
     this.vramTmpAddress = null;
     this.vramBufferedReadValue = 0;
     this.firstWrite = true;
+    // The PPU's I/O latch: the last value on its CPU data bus, returned by
+    // write-only registers and unused bits. ioBusFrame holds the frame each
+    // bit was last driven in, for decay.
+    this.ioBus = 0;
+    this.ioBusFrame = new Array(8).fill(0);
+    this.frameNumber = 0;
     this.sramAddress = 0;
     this.currentMirroring = -1;
     this.requestEndFrame = false;
@@ -91,6 +135,9 @@ export class PPU {
     this.spr0HitX = 0;
     this.spr0HitY = 0;
     this.hitSpr0 = false;
+    // Per buffer line, the OAM index from which sprites are dropped by the
+    // 8-sprite limit (64 when none are), from evaluateSpriteLine().
+    this.spriteLimitIndex = new Array(240).fill(64);
 
     this.sprPalette = new Array(16);
     this.imgPalette = new Array(16);
@@ -100,9 +147,12 @@ export class PPU {
       this.ptTile[i] = new Tile();
     }
 
+    // Nametable pages: 0-1 are the console's 2KB CIRAM, 2-3 the extra RAM
+    // on four-screen boards and 4-7 cartridge pages (e.g. CHR-ROM mapped as
+    // nametables). ntable1 holds the page shown in each of the four slots.
     this.ntable1 = new Array(4);
-    this.nameTable = new Array(4);
-    for (let i = 0; i < 4; i++) {
+    this.nameTable = new Array(8);
+    for (let i = 0; i < 8; i++) {
       this.nameTable[i] = new NameTable(32, 32, "Nt" + i);
     }
 
@@ -112,7 +162,7 @@ export class PPU {
     }
 
     this.palTable = new PaletteTable();
-    this.palTable.loadNTSCPalette();
+    this.loadPalette();
 
     this.updateControlReg1(0);
     this.updateControlReg2(0);
@@ -134,34 +184,68 @@ export class PPU {
     this.defineMirrorRegion(0x3f40, 0x3f00, 0x20);
     this.defineMirrorRegion(0x3f80, 0x3f00, 0x20);
     this.defineMirrorRegion(0x3fc0, 0x3f00, 0x20);
-    this.defineMirrorRegion(0x3000, 0x2000, 0xf00);
     this.defineMirrorRegion(0x4000, 0x0000, 0x4000);
 
-    if (mirroring === this.nes.rom.HORIZONTAL_MIRRORING) {
-      this.ntable1[0] = 0; this.ntable1[1] = 0;
-      this.ntable1[2] = 1; this.ntable1[3] = 1;
-      this.defineMirrorRegion(0x2400, 0x2000, 0x400);
-      this.defineMirrorRegion(0x2c00, 0x2800, 0x400);
-    } else if (mirroring === this.nes.rom.VERTICAL_MIRRORING) {
-      this.ntable1[0] = 0; this.ntable1[1] = 1;
-      this.ntable1[2] = 0; this.ntable1[3] = 1;
-      this.defineMirrorRegion(0x2800, 0x2000, 0x400);
-      this.defineMirrorRegion(0x2c00, 0x2400, 0x400);
-    } else if (mirroring === this.nes.rom.SINGLESCREEN_MIRRORING) {
-      this.ntable1[0] = 0; this.ntable1[1] = 0;
-      this.ntable1[2] = 0; this.ntable1[3] = 0;
-      this.defineMirrorRegion(0x2400, 0x2000, 0x400);
-      this.defineMirrorRegion(0x2800, 0x2000, 0x400);
-      this.defineMirrorRegion(0x2c00, 0x2000, 0x400);
-    } else if (mirroring === this.nes.rom.SINGLESCREEN_MIRRORING2) {
-      this.ntable1[0] = 1; this.ntable1[1] = 1;
-      this.ntable1[2] = 1; this.ntable1[3] = 1;
-      this.defineMirrorRegion(0x2400, 0x2400, 0x400);
-      this.defineMirrorRegion(0x2800, 0x2400, 0x400);
-      this.defineMirrorRegion(0x2c00, 0x2400, 0x400);
+    const rom = this.nes.rom;
+    if (mirroring === rom.HORIZONTAL_MIRRORING) {
+      this.mapNametablePages(0, 0, 1, 1);
+    } else if (mirroring === rom.VERTICAL_MIRRORING) {
+      this.mapNametablePages(0, 1, 0, 1);
+    } else if (mirroring === rom.SINGLESCREEN_MIRRORING) {
+      this.mapNametablePages(0, 0, 0, 0);
+    } else if (mirroring === rom.SINGLESCREEN_MIRRORING2) {
+      this.mapNametablePages(1, 1, 1, 1);
     } else {
-      this.ntable1[0] = 0; this.ntable1[1] = 1;
-      this.ntable1[2] = 2; this.ntable1[3] = 3;
+      this.mapNametablePages(0, 1, 2, 3);
+    }
+  }
+
+  // Points each nametable slot ($2000, $2400, $2800, $2C00) at a page
+  // (see ntable1), for mappers that control CIRAM A10 or map their own
+  // memory as nametables. A later setMirroring() call overrides it.
+  setNametablePages(nt0, nt1, nt2, nt3) {
+    this.triggerRendering();
+    this.currentMirroring = -1;
+    this.mapNametablePages(nt0, nt1, nt2, nt3);
+  }
+
+  mapNametablePages(nt0, nt1, nt2, nt3) {
+    const pages = [nt0, nt1, nt2, nt3];
+    for (let i = 0; i < 4; i++) {
+      const base = this.nametablePageAddress(pages[i]);
+      this.ntable1[i] = pages[i];
+      this.defineMirrorRegion(0x2000 + i * 0x400, base, 0x400);
+      // $3000-$3EFF mirrors $2000-$2EFF
+      this.defineMirrorRegion(0x3000 + i * 0x400, base, i === 3 ? 0x300 : 0x400);
+    }
+  }
+
+  // Where a page lives in vramMem. Cartridge pages sit past the end of the
+  // PPU address space, so only the mirror table can reach them.
+  nametablePageAddress(page) {
+    return page < 4 ? 0x2000 + page * 0x400 : 0x4000 + (page - 4) * 0x400;
+  }
+
+  // Updates a single byte of a cartridge nametable page, for mappers whose
+  // nametable memory the CPU can write (MMC5 ExRAM).
+  writeNametablePage(page, offset, value) {
+    this.triggerRendering();
+    this.vramMem[this.nametablePageAddress(page) + offset] = value;
+    if (offset < 0x3c0) this.nameTable[page].tile[offset] = value;
+    else this.nameTable[page].writeAttrib(offset - 0x3c0, value);
+  }
+
+  // Fills a cartridge nametable page (4-7) with 1KB of data, e.g. a CHR-ROM
+  // bank. Cartridge pages are read-only through $2007.
+  loadNametablePage(page, data, offset) {
+    this.triggerRendering();
+    const base = this.nametablePageAddress(page);
+    const nt = this.nameTable[page];
+    for (let i = 0; i < 0x400; i++) {
+      const value = data[offset + i];
+      this.vramMem[base + i] = value;
+      if (i < 0x3c0) nt.tile[i] = value;
+      else nt.writeAttrib(i - 0x3c0, value);
     }
   }
 
@@ -182,10 +266,10 @@ export class PPU {
 
   endScanline() {
     switch (this.scanline) {
-      case 19:
+      case this.vblankScanlines - 1:
         // Dummy scanline.
         // May be variable length:
-        if (this.dummyCycleToggle) {
+        if (this.dummyCycleToggle && this.oddFrameDotSkip) {
           // Remove dead cycle at end of scanline,
           // for next scanline:
           this.curX = 1;
@@ -193,12 +277,13 @@ export class PPU {
         }
         break;
 
-      case 20:
+      case this.vblankScanlines:
         // Clear VBlank flag:
         this.setStatusFlag(this.STATUS_VBLANK, false);
 
-        // Clear Sprite #0 hit flag:
+        // Clear Sprite #0 hit and sprite overflow flags:
         this.setStatusFlag(this.STATUS_SPRITE0HIT, false);
+        this.setStatusFlag(this.STATUS_SLSPRITECOUNT, false);
         this.hitSpr0 = false;
         this.spr0HitX = -1;
         this.spr0HitY = -1;
@@ -234,7 +319,7 @@ export class PPU {
         }
         break;
 
-      case 261:
+      case this.lastScanline:
         // Set VINT: Dead scanline, no rendering.
         this.setStatusFlag(this.STATUS_VBLANK, true);
         this.requestEndFrame = true;
@@ -246,7 +331,13 @@ export class PPU {
         break;
 
       default:
-         if (this.scanline >= 21 && this.scanline <= 260) {
+         if (this.scanline >= this.firstVisibleScanline && this.scanline <= this.lastVisibleScanline) {
+          // Evaluate the sprites for the next line:
+          const nextLine = this.scanline + 1 - this.firstVisibleScanline;
+          if (nextLine < 240) {
+            this.spriteLimitIndex[nextLine] =
+              this.f_bgVisibility === 1 || this.f_spVisibility === 1 ? this.evaluateSpriteLine(nextLine - 1) : 64;
+          }
           // Render normally:
           if (this.f_bgVisibility === 1) {    
             // --- SYNC FIX: Render sprites before processing BG latches ---
@@ -260,7 +351,7 @@ export class PPU {
               // update scroll:
               this.cntHT = this.regHT;
               this.cntH = this.regH;
-              this.renderBgScanline(true, this.scanline + 1 - 21);
+              this.renderBgScanline(true, this.scanline + 1 - this.firstVisibleScanline);
             }
             this.scanlineAlreadyRendered = false;
 
@@ -269,11 +360,11 @@ export class PPU {
               if (
                 this.sprX[0] >= -7 &&
                 this.sprX[0] < 256 &&
-                this.sprY[0] + 1 <= this.scanline - 20 &&
+                this.sprY[0] + 1 <= this.scanline - this.vblankScanlines &&
                 this.sprY[0] + 1 + (this.f_spriteSize === 0 ? 8 : 16) >=
-                  this.scanline - 20
+                  this.scanline - this.vblankScanlines
               ) {
-                if (this.checkSprite0(this.scanline - 20)) {
+                if (this.checkSprite0(this.scanline - this.vblankScanlines)) {
                   this.hitSpr0 = true;
                 }
               }
@@ -314,6 +405,7 @@ export class PPU {
 
   endFrame() {
     let i, x, y;
+    this.frameNumber++;
     const buffer = this.buffer;
     if (this.showSpr0Hit) {
       if (this.sprX[0] >= 0 && this.sprX[0] < 256 && this.sprY[0] >= 0 && this.sprY[0] < 240) {
@@ -369,15 +461,54 @@ export class PPU {
   }
 
   readStatusRegister() {
-    const tmp = this.nes.cpu.mem[0x2002];
+    // The low 5 bits are open bus.
+    const tmp = (this.nes.cpu.mem[0x2002] & 0xe0) | (this.ioBusLoad() & 0x1f);
+    this.setIoBus(tmp, 0xe0);
     this.firstWrite = true;
     this.setStatusFlag(this.STATUS_VBLANK, false);
     return tmp;
   }
 
+  // Reads the I/O latch, first clearing bits that have decayed.
+  ioBusLoad() {
+    for (let bit = 0; bit < 8; bit++) {
+      if (this.frameNumber - this.ioBusFrame[bit] >= IO_BUS_DECAY_FRAMES) {
+        this.ioBus &= ~(1 << bit);
+      }
+    }
+    return this.ioBus;
+  }
+
+  // Drives the bits in mask onto the I/O latch, refreshing their decay.
+  setIoBus(value, mask) {
+    this.ioBus = (this.ioBus & ~mask) | (value & mask);
+    for (let bit = 0; bit < 8; bit++) {
+      if (mask & (1 << bit)) this.ioBusFrame[bit] = this.frameNumber;
+    }
+  }
+
+  isRenderingLine() {
+    const line = this.scanline - this.firstVisibleScanline;
+    return line >= -1 && line < 240 && (this.f_bgVisibility === 1 || this.f_spVisibility === 1);
+  }
+
   writeSRAMAddress(address) { this.sramAddress = address; }
-  sramLoad() { return this.spriteMem[this.sramAddress]; }
+  sramLoad() {
+    const value = this.isRenderingLine() ? this.oamBusLoad(this.curX) : this.spriteMem[this.sramAddress];
+    this.setIoBus(value, 0xff);
+    return value;
+  }
+
+  // What $2004 reads while rendering: $FF while secondary OAM is being
+  // cleared (dots 1-64), otherwise the OAM byte at OAMADDR, which sprite
+  // evaluation is stepping through.
+  oamBusLoad(dot) {
+    return dot >= 1 && dot <= 64 ? 0xff : this.spriteMem[this.sramAddress];
+  }
+
   sramWrite(value) {
+    // Bits 2-4 of the attribute byte don't exist in OAM.
+    if ((this.sramAddress & 3) === 2) value &= 0xe3;
     this.spriteMem[this.sramAddress] = value;
     this.spriteRamWriteUpdate(this.sramAddress, value);
     this.sramAddress++;
@@ -408,7 +539,7 @@ export class PPU {
       this.regHT = address & 31;
       this.cntFV = this.regFV; this.cntV = this.regV;
       this.cntH = this.regH; this.cntVT = this.regVT; this.cntHT = this.regHT;
-      this.checkSprite0(this.scanline - 20);
+      this.checkSprite0(this.scanline - this.vblankScanlines);
     }
     this.firstWrite = !this.firstWrite;
     this.cntsToAddress();
@@ -426,7 +557,7 @@ export class PPU {
     if (mmap.hasPpuAddressHook) {
       mmap.ppuAddressUpdate(this.vramAddress);
     }
-    if (this.vramAddress <= 0x3eff) {
+    if ((this.vramAddress & 0x3fff) <= 0x3eff) {
       tmp = this.vramBufferedReadValue;
       if (this.vramAddress < 0x2000) this.vramBufferedReadValue = this.vramMem[this.vramAddress];
       else this.vramBufferedReadValue = this.mirroredLoad(this.vramAddress);
@@ -436,9 +567,10 @@ export class PPU {
     }
       this.vramAddress += this.f_addrInc === 1 ? 32 : 1;
       this.cntsFromAddress(); this.regsFromAddress();
+      this.setIoBus(tmp, 0xff);
       return tmp;
     }
-    tmp = this.mirroredLoad(this.vramAddress);
+    tmp = this.paletteLoad(this.vramAddress);
     this.vramAddress += this.f_addrInc === 1 ? 32 : 1;
     this.cntsFromAddress(); this.regsFromAddress();
     return tmp;
@@ -470,6 +602,7 @@ export class PPU {
     let data;
     for (let i = this.sramAddress; i < 256; i++) {
       data = this.nes.cpu.mem[baseAddress + i];
+      if ((i & 3) === 2) data &= 0xe3;
       this.spriteMem[i] = data;
       this.spriteRamWriteUpdate(i, data);
     }
@@ -551,8 +684,22 @@ export class PPU {
     return this.vramMem[this.vramMirrorTable[address]];
   }
 
+  // $2007 reads of palette RAM aren't buffered: the 6-bit entry (masked
+  // by grayscale) comes back directly, with open bus in the top two bits.
+  // The buffer is filled from the nametable underneath ($2F00-$2FFF).
+  paletteLoad(address) {
+    this.vramBufferedReadValue = this.mirroredLoad(address & 0x2fff);
+    const value = this.vramMem[0x3f00 | (address & 0x1f)] & (this.f_dispType === 1 ? 0x30 : 0x3f);
+    this.setIoBus(value, 0x3f);
+    return value | (this.ioBus & 0xc0);
+  }
+
   mirroredWrite(address, value) {
-    if (address >= 0x3f00 && address < 0x3f20) {
+    if ((address & 0x3fff) >= 0x3f00) {
+      // Palette RAM is 6 bits wide and repeats every 32 bytes; $3F10,
+      // $3F14, $3F18 and $3F1C are the same entries as $3F00-$3F0C.
+      address = 0x3f00 | (address & 0x1f);
+      value &= 0x3f;
       if (address === 0x3f00 || address === 0x3f10) { 
         this.writeMem(0x3f00, value); this.writeMem(0x3f10, value); 
       }
@@ -570,15 +717,19 @@ export class PPU {
           return;
         }
       }
-      if (address < this.vramMirrorTable.length) this.writeMem(this.vramMirrorTable[address], value);
-      else throw new Error("Invalid VRAM address: " + address.toString(16));
+      if (address < this.vramMirrorTable.length) {
+        const physical = this.vramMirrorTable[address];
+        // Cartridge nametable pages are ROM.
+        if (physical < 0x4000) this.writeMem(physical, value);
+      } else throw new Error("Invalid VRAM address: " + address.toString(16));
     }
   }
 
   triggerRendering() {
-    if (this.scanline >= 21 && this.scanline <= 260) {
-      this.renderFramePartially(this.lastRenderedScanline + 1, this.scanline - 21 - this.lastRenderedScanline);
-      this.lastRenderedScanline = this.scanline - 21;
+    if (this.scanline >= this.firstVisibleScanline && this.scanline <= this.lastVisibleScanline) {
+      const line = this.scanline - this.firstVisibleScanline;
+      this.renderFramePartially(this.lastRenderedScanline + 1, line - this.lastRenderedScanline);
+      this.lastRenderedScanline = line;
     }
   }
 
@@ -622,6 +773,11 @@ export class PPU {
     this.cntH = this.regH;
     this.curNt = this.ntable1[this.cntV + this.cntV + this.cntH];
 
+    // MMC5 vertical split: the mapper supplies the tiles on one side of
+    // the screen from its own nametable, scrolled independently.
+    const splitActive = mmap.hasVerticalSplit === true && mmap.isSplitActive();
+    const splitY = splitActive ? mmap.getSplitY(scan) : 0;
+
     if (scan < 240 && scan - this.cntFV >= 0) {
       var tscanoffset = this.cntFV << 3;
       var scantile = this.scantile;
@@ -632,14 +788,22 @@ export class PPU {
       var pixrendered = this.pixrendered;
       var targetBuffer = bgbuffer ? this.bgbuffer : this.buffer;
 
-      var t, tpix, att, col;
+      var t, tpix, att, col, fineY, pixOffset;
 
       var tileCount = hasChrLatch ? 33 : 32;
 
       for (var tile = 0; tile < tileCount; tile++) {
         if (scan >= 0) {
+          fineY = this.cntFV;
+          pixOffset = tscanoffset;
           // Fetch tile & attrib data:
-          if (this.validTileData) {
+          if (splitActive && mmap.inSplitRegion(tile)) {
+            t = mmap.getSplitTile(tile, splitY);
+            tpix = t.pix;
+            att = mmap.getSplitAttrib(tile, splitY);
+            fineY = splitY & 7;
+            pixOffset = fineY << 3;
+          } else if (this.validTileData && !splitActive) {
             // Get data from array:
             t = scantile[tile];
             if (typeof t === "undefined") {
@@ -682,16 +846,16 @@ export class PPU {
               destIndex -= x;
               sx = -x;
             }
-            if (t.opaque[this.cntFV]) {
+            if (t.opaque[fineY]) {
               for (; sx < 8; sx++) {
                 targetBuffer[destIndex] =
-                  imgPalette[tpix[tscanoffset + sx] + att];
+                  imgPalette[tpix[pixOffset + sx] + att];
                 pixrendered[destIndex] |= 256;
                 destIndex++;
               }
             } else {
               for (; sx < 8; sx++) {
-                col = tpix[tscanoffset + sx];
+                col = tpix[pixOffset + sx];
                 if (col !== 0) {
                   targetBuffer[destIndex] = imgPalette[col + att];
                   pixrendered[destIndex] |= 256;
@@ -711,8 +875,8 @@ export class PPU {
       }
 
       // Tile data for one row should now have been fetched,
-      // so the data in the array is valid.
-      this.validTileData = true;
+      // so the data in the array is valid (split rows aren't cached).
+      this.validTileData = !splitActive;
     }
 
     // update vertical scroll:
@@ -842,21 +1006,7 @@ export class PPU {
 
             // Safety check: Only render if tile exists
             if (t) {
-              t.render(
-                this.buffer,
-                0,
-                this.srcy1,
-                8,
-                this.srcy2,
-                this.sprX[i],
-                this.sprY[i] + 1,
-                this.sprCol[i],
-                this.sprPalette,
-                this.horiFlip[i],
-                this.vertFlip[i],
-                i,
-                this.pixrendered
-              );
+              this.renderSpriteTile(t, i, this.srcy1, this.srcy2, this.sprY[i] + 1);
             }
           } else {
             // 8x16 sprites
@@ -880,21 +1030,7 @@ export class PPU {
             var t1 = this.ptTile[top + (this.vertFlip[i] ? 1 : 0)];
             // Safety check: Only render if tile exists
             if (t1) {
-              t1.render(
-                this.buffer,
-                0,
-                srcy1,
-                8,
-                srcy2,
-                this.sprX[i],
-                this.sprY[i] + 1,
-                this.sprCol[i],
-                this.sprPalette,
-                this.horiFlip[i],
-                this.vertFlip[i],
-                i,
-                this.pixrendered
-              );
+              this.renderSpriteTile(t1, i, srcy1, srcy2, this.sprY[i] + 1);
             }
 
             srcy1 = 0;
@@ -911,21 +1047,7 @@ export class PPU {
             var t2 = this.ptTile[top + (this.vertFlip[i] ? 0 : 1)];
             // Safety check: Only render if tile exists
             if (t2) {
-              t2.render(
-                this.buffer,
-                0,
-                srcy1,
-                8,
-                srcy2,
-                this.sprX[i],
-                this.sprY[i] + 1 + 8,
-                this.sprCol[i],
-                this.sprPalette,
-                this.horiFlip[i],
-                this.vertFlip[i],
-                i,
-                this.pixrendered
-              );
+              this.renderSpriteTile(t2, i, srcy1, srcy2, this.sprY[i] + 1 + 8);
             }
           }
         }
@@ -933,6 +1055,72 @@ export class PPU {
     }
   }
 
+  // Draws rows srcy1 to srcy2 of one 8x8 tile of sprite i at line dy,
+  // leaving out the lines on which the sprite is past the 8-sprite limit.
+  renderSpriteTile(t, i, srcy1, srcy2, dy) {
+    const limits = this.spriteLimitIndex;
+    let from = srcy1;
+    for (let row = Math.max(srcy1, 0); row < srcy2 && row < 8; row++) {
+      const line = dy + row;
+      if (line < 240 && limits[line] <= i) {
+        this.renderSpriteRows(t, i, from, row, dy);
+        from = row + 1;
+      }
+    }
+    this.renderSpriteRows(t, i, from, srcy2, dy);
+  }
+
+  renderSpriteRows(t, i, srcy1, srcy2, dy) {
+    if (srcy1 < srcy2) {
+      t.render(
+        this.buffer,
+        0,
+        srcy1,
+        8,
+        srcy2,
+        this.sprX[i],
+        dy,
+        this.sprCol[i],
+        this.sprPalette,
+        this.horiFlip[i],
+        this.vertFlip[i],
+        i,
+        this.pixrendered
+      );
+    }
+  }
+
+  // Sprite evaluation for the line after `line`: sets the overflow flag
+  // when more than 8 sprites are on it, and returns the OAM index from which
+  // the sprites on it are not drawn (64 when all are).
+  //
+  // Once 8 sprites are found the PPU keeps scanning OAM for overflow, but
+  // a hardware bug increments the byte offset within each entry along with
+  // the sprite index whenever the Y check fails. Tile, attribute and X
+  // bytes then get compared as if they were Y coordinates, so overflow can
+  // be missed or reported when there is none.
+  evaluateSpriteLine(line) {
+    const oam = this.spriteMem;
+    const height = this.f_spriteSize === 0 ? 8 : 16;
+    let count = 0;
+    let n = 0;
+    for (; n < 64 && count < 8; n++) {
+      const row = line - oam[n << 2];
+      if (row >= 0 && row < height) count++;
+    }
+    if (count < 8) return 64;
+
+    for (let i = n, m = 0; i < 64; i++) {
+      const row = line - oam[(i << 2) + m];
+      if (row >= 0 && row < height) {
+        this.setStatusFlag(this.STATUS_SLSPRITECOUNT, true);
+        break;
+      }
+      m = (m + 1) & 3;
+    }
+    return this.unlimitedSprites ? 64 : n;
+  }
+
   checkSprite0(scan) {
     this.spr0HitX = -1;
     this.spr0HitY = -1;
@@ -1087,25 +1275,23 @@ export class PPU {
     if (address < 0x2000) {
       this.vramMem[address] = value;
       this.patternWrite(address, value);
-    } else if (address >= 0x2000 && address < 0x23c0) this.nameTableWrite(this.ntable1[0], address - 0x2000, value);
-    else if (address >= 0x23c0 && address < 0x2400) this.attribTableWrite(this.ntable1[0], address - 0x23c0, value);
-    else if (address >= 0x2400 && address < 0x27c0) this.nameTableWrite(this.ntable1[1], address - 0x2400, value);
-    else if (address >= 0x27c0 && address < 0x2800) this.attribTableWrite(this.ntable1[1], address - 0x27c0, value);
-    else if (address >= 0x2800 && address < 0x2bc0) this.nameTableWrite(this.ntable1[2], address - 0x2800, value);
-    else if (address >= 0x2bc0 && address < 0x2c00) this.attribTableWrite(this.ntable1[2], address - 0x2bc0, value);
-    else if (address >= 0x2c00 && address < 0x2fc0) this.nameTableWrite(this.ntable1[3], address - 0x2c00, value);
-    else if (address >= 0x2fc0 && address < 0x3000) this.attribTableWrite(this.ntable1[3], address - 0x2fc0, value);
-    else if (address >= 0x3f00 && address < 0x3f20) this.updatePalettes();
+    } else if (address >= 0x2000 && address < 0x3000) {
+      // address is already mirrored, so its 1KB page is the nametable page.
+      const page = (address - 0x2000) >> 10;
+      const offset = address & 0x3ff;
+      if (offset < 0x3c0) this.nameTableWrite(page, offset, value);
+      else this.attribTableWrite(page, offset - 0x3c0, value);
+    } else if (address >= 0x3f00 && address < 0x3f20) this.updatePalettes();
   }
 
   updatePalettes() {
     for (let i = 0; i < 16; i++) {
       if (this.f_dispType === 0) this.imgPalette[i] = this.palTable.getEntry(this.vramMem[0x3f00 + i] & 63);
-      else this.imgPalette[i] = this.palTable.getEntry(this.vramMem[0x3f00 + i] & 32);
+      else this.imgPalette[i] = this.palTable.getEntry(this.vramMem[0x3f00 + i] & 0x30);
     }
     for (let i = 0; i < 16; i++) {
       if (this.f_dispType === 0) this.sprPalette[i] = this.palTable.getEntry(this.vramMem[0x3f10 + i] & 63);
-      else this.sprPalette[i] = this.palTable.getEntry(this.vramMem[0x3f10 + i] & 32);
+      else this.sprPalette[i] = this.palTable.getEntry(this.vramMem[0x3f10 + i] & 0x30);
     }
   }
 
@@ -1118,7 +1304,7 @@ export class PPU {
 
   nameTableWrite(index, address, value) {
     this.nameTable[index].tile[address] = value;
-    this.checkSprite0(this.scanline - 20);
+    this.checkSprite0(this.scanline - this.vblankScanlines);
   }
 
   attribTableWrite(index, address, value) {
@@ -1127,7 +1313,7 @@ export class PPU {
 
   spriteRamWriteUpdate(address, value) {
     const tIndex = Math.floor(address / 4);
-    if (tIndex === 0) this.checkSprite0(this.scanline - 20);
+    if (tIndex === 0) this.checkSprite0(this.scanline - this.vblankScanlines);
     if (address % 4 === 0) this.sprY[tIndex] = value;
     else if (address % 4 === 1) this.sprTile[tIndex] = value;
     else if (address % 4 === 2) {
@@ -1198,23 +1384,31 @@ class NameTable {
   fromJSON(s) { this.tile = s.tile; this.attrib = s.attrib; }
 }
 
+// prettier-ignore
+const BASE_PALETTE = [0x525252, 0xB40000, 0xA00000, 0xB1003D, 0x740069, 0x00005B, 0x00005F, 0x001840, 0x002F10, 0x084A08, 0x006700, 0x124200, 0x6D2800, 0x000000, 0x000000, 0x000000, 0xC4D5E7, 0xFF4000, 0xDC0E22, 0xFF476B, 0xD7009F, 0x680AD7, 0x0019BC, 0x0054B1, 0x006A5B, 0x008C03, 0x00AB00, 0x2C8800, 0xA47200, 0x000000, 0x000000, 0x000000, 0xF8F8F8, 0xFFAB3C, 0xFF7981, 0xFF5BC5, 0xFF48F2, 0xDF49FF, 0x476DFF, 0x00B4F7, 0x00E0FF, 0x00E375, 0x03F42B, 0x78B82E, 0xE5E218, 0x787878, 0x000000, 0x000000, 0xFFFFFF, 0xFFF2BE, 0xF8B8B8, 0xF8B8D8, 0xFFB6FF, 0xFFC3FF, 0xC7D1FF, 0x9ADAFF, 0x88EDF8, 0x83FFDD, 0xB8F8B8, 0xF5F8AC, 0xFFFFB0, 0xF8D8F8, 0x000000, 0x000000];
+
 class PaletteTable {
   constructor() {
     this.curTable = new Array(64);
     this.emphTable = new Array(8);
     this.currentEmph = -1;
+    this.swapEmphasis = false;
   }
 
   reset() { this.setEmphasis(0); }
 
   loadNTSCPalette() {
-    this.curTable = [0x525252, 0xB40000, 0xA00000, 0xB1003D, 0x740069, 0x00005B, 0x00005F, 0x001840, 0x002F10, 0x084A08, 0x006700, 0x124200, 0x6D2800, 0x000000, 0x000000, 0x000000, 0xC4D5E7, 0xFF4000, 0xDC0E22, 0xFF476B, 0xD7009F, 0x680AD7, 0x0019BC, 0x0054B1, 0x006A5B, 0x008C03, 0x00AB00, 0x2C8800, 0xA47200, 0x000000, 0x000000, 0x000000, 0xF8F8F8, 0xFFAB3C, 0xFF7981, 0xFF5BC5, 0xFF48F2, 0xDF49FF, 0x476DFF, 0x00B4F7, 0x00E0FF, 0x00E375, 0x03F42B, 0x78B82E, 0xE5E218, 0x787878, 0x000000, 0x000000, 0xFFFFFF, 0xFFF2BE, 0xF8B8B8, 0xF8B8D8, 0xFFB6FF, 0xFFC3FF, 0xC7D1FF, 0x9ADAFF, 0x88EDF8, 0x83FFDD, 0xB8F8B8, 0xF5F8AC, 0xFFFFB0, 0xF8D8F8, 0x000000, 0x000000];
+    this.swapEmphasis = false;
+    this.curTable = BASE_PALETTE.slice(0);
     this.makeTables();
     this.setEmphasis(0);
   }
 
+  // The 2C07 produces the same colours as the 2C02, but its red and green
+  // emphasis bits are swapped.
   loadPALPalette() {
-    this.curTable = [0x525252, 0xB40000, 0xA00000, 0xB1003D, 0x740069, 0x00005B, 0x00005F, 0x001840, 0x002F10, 0x084A08, 0x006700, 0x124200, 0x6D2800, 0x000000, 0x000000, 0x000000, 0xC4D5E7, 0xFF4000, 0xDC0E22, 0xFF476B, 0xD7009F, 0x680AD7, 0x0019BC, 0x0054B1, 0x006A5B, 0x008C03, 0x00AB00, 0x2C8800, 0xA47200, 0x000000, 0x000000, 0x000000, 0xF8F8F8, 0xFFAB3C, 0xFF7981, 0xFF5BC5, 0xFF48F2, 0xDF49FF, 0x476DFF, 0x00B4F7, 0x00E0FF, 0x00E375, 0x03F42B, 0x78B82E, 0xE5E218, 0x787878, 0x000000, 0x000000, 0xFFFFFF, 0xFFF2BE, 0xF8B8B8, 0xF8B8D8, 0xFFB6FF, 0xFFC3FF, 0xC7D1FF, 0x9ADAFF, 0x88EDF8, 0x83FFDD, 0xB8F8B8, 0xF5F8AC, 0xFFFFB0, 0xF8D8F8, 0x000000, 0x000000];
+    this.swapEmphasis = true;
+    this.curTable = BASE_PALETTE.slice(0);
     this.makeTables();
     this.setEmphasis(0);
   }
@@ -1223,9 +1417,10 @@ class PaletteTable {
     let r, g, b, col, rFactor, gFactor, bFactor;
     for (let emph = 0; emph < 8; emph++) {
       rFactor = 1.0; gFactor = 1.0; bFactor = 1.0;
-      if ((emph & 1) !== 0) { rFactor = 0.75; bFactor = 0.75; }
-      if ((emph & 2) !== 0) { rFactor = 0.75; gFactor = 0.75; }
-      if ((emph & 4) !== 0) { gFactor = 0.75; bFactor = 0.75; }
+      const bits = this.swapEmphasis ? (emph & 4) | ((emph & 1) << 1) | ((emph >> 1) & 1) : emph;
+      if ((bits & 1) !== 0) { rFactor = 0.75; bFactor = 0.75; }
+      if ((bits & 2) !== 0) { rFactor = 0.75; gFactor = 0.75; }
+      if ((bits & 4) !== 0) { gFactor = 0.75; bFactor = 0.75; }
       this.emphTable[emph] = new Array(64);
       for (let i = 0; i < 64; i++) {
         col = this.curTable[i];
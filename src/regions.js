@@ -0,0 +1,52 @@
+// Timing parameters for the console regions.
+//
+// vblankScanlines / scanlines follow the PPU's own numbering: vblank lines
+// come first, then the pre-render line, 240 visible lines and the
+// post-render line(s). Dendy keeps NTSC's 20-line vblank but pads the frame
+// to 312 lines with a 51-line post-render period.
+//
+// ppuDotsPer5Cycles expresses the CPU:PPU clock ratio as an integer
+// (15 = 3 dots per CPU cycle, 16 = 3.2).
+//
+// frameRate is the nominal rate the APU timing is scaled against; it is
+// also the default NES.opts.preferredFrameRate for the region.
+export const REGIONS = {
+  ntsc: {
+    name: "ntsc",
+    cpuFrequency: 1789772.5,
+    frameRate: 60,
+    scanlines: 262,
+    vblankScanlines: 20,
+    ppuDotsPer5Cycles: 15,
+    oddFrameDotSkip: true,
+    apuFrameTime: 14915, // APU quarter-frame period, in half CPU cycles
+    palApu: false,
+    palPalette: false,
+  },
+  pal: {
+    name: "pal",
+    cpuFrequency: 1662607,
+    frameRate: 50,
+    scanlines: 312,
+    vblankScanlines: 70,
+    ppuDotsPer5Cycles: 16,
+    oddFrameDotSkip: false,
+    apuFrameTime: 16626,
+    palApu: true,
+    palPalette: true,
+  },
+  // The Dendy's UA6527P runs the NTSC APU and PPU designs from a PAL
+  // master clock.
+  dendy: {
+    name: "dendy",
+    cpuFrequency: 1773447.5,
+    frameRate: 50,
+    scanlines: 312,
+    vblankScanlines: 20,
+    ppuDotsPer5Cycles: 15,
+    oddFrameDotSkip: false,
+    apuFrameTime: 14915,
+    palApu: false,
+    palPalette: false,
+  },
+};
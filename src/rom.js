@@ -1,11 +1,13 @@
-import { Mappers } from "./mappers.js";
+import { Mappers, Submappers } from "./mappers.js";
 import { Tile } from "./tile.js";
+import { toUint8Array, crc32, sha1 } from "./utils.js";
+import { lookupRom } from "./romdb.js";
 
 export class ROM {
   constructor(nes) {
     this.nes = nes;
 
-    this.mapperName = new Array(92).fill("Unknown Mapper");
+    this.mapperName = new Array(256).fill("Unknown Mapper");
     this.mapperName[0] = "Direct Access";
     this.mapperName[1] = "Nintendo MMC1";
     this.mapperName[2] = "UNROM";
@@ -20,16 +22,18 @@ export class ROM {
     this.mapperName[11] = "Color Dreams Chip";
     this.mapperName[12] = "FFE F6xxx";
     this.mapperName[15] = "100-in-1 switch";
-    this.mapperName[16] = "Bandai chip";
+    this.mapperName[16] = "Bandai FCG/LZ93D50";
     this.mapperName[17] = "FFE F8xxx";
     this.mapperName[18] = "Jaleco SS8806 chip";
-    this.mapperName[19] = "Namcot 106 chip";
+    this.mapperName[19] = "Namco 129/163";
     this.mapperName[20] = "Famicom Disk System";
-    this.mapperName[21] = "Konami VRC4a";
+    this.mapperName[21] = "Konami VRC4a/VRC4c";
     this.mapperName[22] = "Konami VRC2a";
-    this.mapperName[23] = "Konami VRC2a";
-    this.mapperName[24] = "Konami VRC6";
-    this.mapperName[25] = "Konami VRC4b";
+    this.mapperName[23] = "Konami VRC2b/VRC4e/VRC4f";
+    this.mapperName[24] = "Konami VRC6a";
+    this.mapperName[25] = "Konami VRC4b/VRC4d/VRC2c";
+    this.mapperName[26] = "Konami VRC6b";
+    this.mapperName[30] = "UNROM 512";
     this.mapperName[32] = "Irem G-101 chip";
     this.mapperName[33] = "Taito TC0190/TC0350";
     this.mapperName[34] = "32kB ROM switch";
@@ -38,10 +42,21 @@ export class ROM {
     this.mapperName[66] = "GNROM switch";
     this.mapperName[67] = "SunSoft3 chip";
     this.mapperName[68] = "SunSoft4 chip";
-    this.mapperName[69] = "SunSoft5 FME-7 chip";
+    this.mapperName[69] = "Sunsoft FME-7/5B";
     this.mapperName[71] = "Camerica chip";
     this.mapperName[78] = "Irem 74HC161/32-based";
+    this.mapperName[85] = "Konami VRC7";
     this.mapperName[91] = "Pirate HK-SF3 chip";
+    this.mapperName[111] = "Cheapocabra GTROM";
+    this.mapperName[118] = "TxSROM (MMC3)";
+    this.mapperName[119] = "TQROM (MMC3)";
+    this.mapperName[153] = "Bandai LZ93D50 + SRAM";
+    this.mapperName[159] = "Bandai LZ93D50 + 24C01";
+    this.mapperName[206] = "Namco 108";
+    this.mapperName[225] = "52-in-1 / 64-in-1 multicart";
+    this.mapperName[226] = "76-in-1 multicart";
+    this.mapperName[227] = "1200-in-1 multicart";
+    this.mapperName[228] = "Action 52";
 
     // Mirroring types:
     this.VERTICAL_MIRRORING = 0;
@@ -53,6 +68,21 @@ export class ROM {
     this.SINGLESCREEN_MIRRORING4 = 6;
     this.CHRROM_MIRRORING = 7;
 
+    // Timing modes (NES 2.0 byte 12):
+    this.TIMING_NTSC = 0;
+    this.TIMING_PAL = 1;
+    this.TIMING_MULTIPLE = 2;
+    this.TIMING_DENDY = 3;
+
+    // Size of one side of an FDS disk image, without gaps or CRCs.
+    this.FDS_SIDE_SIZE = 65500;
+
+    // Console types (NES 2.0 byte 7, extended types in byte 13):
+    this.CONSOLE_NES = 0;
+    this.CONSOLE_VS_SYSTEM = 1;
+    this.CONSOLE_PLAYCHOICE = 2;
+    this.CONSOLE_EXTENDED = 3;
+
     this.header = null;
     this.rom = null;
     this.vrom = null;
@@ -61,58 +91,85 @@ export class ROM {
     this.romCount = null;
     this.vromCount = null;
     this.mirroring = null;
+    this.hasBattery = false;
+    // Battery-backed save data handed to the mapper on load (set through
+    // NES.setBatteryRam), or null for a blank cartridge.
     this.batteryRam = null;
     this.trainer = null;
+    this.trainerData = null;
     this.fourScreen = null;
     this.mapperType = null;
     this.valid = false;
+    // Identification and database results, filled in by load().
+    this.info = null;
+
+    // Famicom Disk System images: one 65500-byte array per disk side.
+    this.isFds = false;
+    this.fdsSides = null;
+
+    // NES 2.0 fields. Plain iNES files fill in what they can and leave
+    // the rest at the defaults below.
+    this.isNES2 = false;
+    this.submapper = 0;
+    this.prgRomSize = 0;
+    this.chrRomSize = 0;
+    this.prgRamSize = 0;
+    this.prgNvramSize = 0;
+    this.chrRamSize = 0;
+    this.chrNvramSize = 0;
+    this.timing = this.TIMING_NTSC;
+    this.consoleType = this.CONSOLE_NES;
+    this.vsPpuType = 0;
+    this.vsHardwareType = 0;
+    this.miscRomCount = 0;
+    this.expansionDevice = 0;
   }
 
+  // Accepts a Uint8Array, ArrayBuffer or legacy binary string.
   load(data) {
-    if (data.indexOf("NES\x1a") === -1) {
-      throw new Error("Not a valid NES ROM.");
+    data = toUint8Array(data);
+    if (this.isFdsImage(data)) {
+      this.loadFds(data);
+      return;
     }
-    this.header = new Array(16);
-    for (let i = 0; i < 16; i++) {
-      this.header[i] = data.charCodeAt(i) & 0xff;
+    if (data.length < 16 || data[0] !== 0x4e || data[1] !== 0x45 || data[2] !== 0x53 || data[3] !== 0x1a) {
+      throw new Error("Not a valid NES ROM.");
     }
-    this.romCount = this.header[4];
-    this.vromCount = this.header[5] * 2;
+    this.header = Array.from(data.subarray(0, 16));
     this.mirroring = (this.header[6] & 1) !== 0 ? 1 : 0;
-    this.batteryRam = (this.header[6] & 2) !== 0;
+    this.hasBattery = (this.header[6] & 2) !== 0;
     this.trainer = (this.header[6] & 4) !== 0;
     this.fourScreen = (this.header[6] & 8) !== 0;
-    this.mapperType = (this.header[6] >> 4) | (this.header[7] & 0xf0);
+    this.consoleType = this.header[7] & 3;
+    this.isNES2 = (this.header[7] & 0x0c) === 0x08;
 
-    let foundError = false;
-    for (let i = 8; i < 16; i++) {
-      if (this.header[i] !== 0) {
-        foundError = true;
-        break;
-      }
+    if (this.isNES2) {
+      this.parseNES2Header();
+    } else {
+      this.parseINESHeader();
     }
-    if (foundError) {
-      this.mapperType &= 0xf;
+
+    let offset = 16;
+    if (this.trainer) {
+      // 512-byte trainer between the header and PRG, loaded at $7000.
+      this.trainerData = this.readBank(data, offset, 512);
+      offset += 512;
     }
 
+    this.identify(data.subarray(offset, offset + this.prgRomSize + this.chrRomSize));
+
+    this.romCount = Math.ceil(this.prgRomSize / 16384);
+    this.vromCount = Math.ceil(this.chrRomSize / 4096);
+
     this.rom = new Array(this.romCount);
-    let offset = 16;
     for (let i = 0; i < this.romCount; i++) {
-      this.rom[i] = new Array(16384);
-      for (let j = 0; j < 16384; j++) {
-        if (offset + j >= data.length) break;
-        this.rom[i][j] = data.charCodeAt(offset + j) & 0xff;
-      }
+      this.rom[i] = this.readBank(data, offset, 16384);
       offset += 16384;
     }
 
     this.vrom = new Array(this.vromCount);
     for (let i = 0; i < this.vromCount; i++) {
-      this.vrom[i] = new Array(4096);
-      for (let j = 0; j < 4096; j++) {
-        if (offset + j >= data.length) break;
-        this.vrom[i][j] = data.charCodeAt(offset + j) & 0xff;
-      }
+      this.vrom[i] = this.readBank(data, offset, 4096);
       offset += 4096;
     }
 
@@ -139,12 +196,221 @@ export class ROM {
     this.valid = true;
   }
 
+  // .fds files start with an "FDS\x1a" header; headerless dumps start
+  // straight with the disk info block ($01 "*NINTENDO-HVC*").
+  isFdsImage(data) {
+    if (data.length >= 16 && data[0] === 0x46 && data[1] === 0x44 && data[2] === 0x53 && data[3] === 0x1a) {
+      return true;
+    }
+    const magic = "*NINTENDO-HVC*";
+    if (data.length < 15 || data[0] !== 0x01) {
+      return false;
+    }
+    for (let i = 0; i < magic.length; i++) {
+      if (data[i + 1] !== magic.charCodeAt(i)) return false;
+    }
+    return true;
+  }
+
+  // Splits a disk image into sides. The BIOS lives outside the image and is
+  // supplied through NES.loadFdsBios(); the disk itself is writable, so it's
+  // treated as battery-backed storage.
+  loadFds(data) {
+    let offset = 0;
+    let sideCount;
+    if (data[0] === 0x46) {
+      this.header = Array.from(data.subarray(0, 16));
+      sideCount = data[4];
+      offset = 16;
+    } else {
+      this.header = null;
+      sideCount = Math.floor(data.length / this.FDS_SIDE_SIZE);
+    }
+    if (sideCount < 1 || data.length < offset + this.FDS_SIDE_SIZE) {
+      throw new Error("Not a valid FDS disk image.");
+    }
+
+    this.isFds = true;
+    this.fdsSides = new Array(sideCount);
+    for (let i = 0; i < sideCount; i++) {
+      this.fdsSides[i] = this.readBank(data, offset, this.FDS_SIDE_SIZE);
+      offset += this.FDS_SIDE_SIZE;
+    }
+
+    this.mapperType = 20;
+    this.mirroring = 0;
+    this.hasBattery = true;
+    this.prgRamSize = 32768;
+    this.chrRamSize = 8192;
+    this.timing = this.TIMING_NTSC;
+
+    this.identify(data.subarray(this.header === null ? 0 : 16, offset));
+
+    this.romCount = 0;
+    this.vromCount = 0;
+    this.rom = [];
+    this.vrom = [];
+    this.vromTile = [];
+    this.valid = true;
+  }
+
+  // Hashes the PRG+CHR data, looks it up in the game database and, for plain
+  // iNES headers, replaces header fields the database disagrees with. NES 2.0
+  // headers are trusted as-is. The results end up in this.info.
+  identify(prgChr) {
+    const crc = crc32(prgChr);
+    const entry = this.nes.opts.romDatabase === false ? null : lookupRom(crc);
+    const corrected = [];
+
+    if (entry !== null && !this.isNES2) {
+      if (typeof entry.mapper === "number" && entry.mapper !== this.mapperType) {
+        this.mapperType = entry.mapper;
+        corrected.push("mapper");
+      }
+      if (typeof entry.submapper === "number" && entry.submapper !== this.submapper) {
+        this.submapper = entry.submapper;
+        corrected.push("submapper");
+      }
+      if (typeof entry.mirroring === "string" && entry.mirroring !== this.getMirroringName()) {
+        this.fourScreen = entry.mirroring === "four";
+        if (!this.fourScreen) {
+          this.mirroring = entry.mirroring === "vertical" ? 1 : 0;
+        }
+        corrected.push("mirroring");
+      }
+      if (typeof entry.battery === "boolean" && entry.battery !== this.hasBattery) {
+        const prgRam = this.prgRamSize + this.prgNvramSize || 8192;
+        this.hasBattery = entry.battery;
+        this.prgNvramSize = entry.battery ? prgRam : 0;
+        this.prgRamSize = entry.battery ? 0 : prgRam;
+        corrected.push("battery");
+      }
+      if (typeof entry.region === "string" && entry.region !== this.getRegion()) {
+        this.timing = { ntsc: this.TIMING_NTSC, pal: this.TIMING_PAL, dendy: this.TIMING_DENDY }[entry.region];
+        corrected.push("region");
+      }
+    }
+
+    this.info = {
+      title: entry !== null && typeof entry.title === "string" ? entry.title : null,
+      crc32: crc.toString(16).toUpperCase().padStart(8, "0"),
+      sha1: sha1(prgChr),
+      inDatabase: entry !== null,
+      corrected: corrected,
+      mapper: this.mapperType,
+      submapper: this.submapper,
+      mirroring: this.getMirroringName(),
+      battery: this.hasBattery,
+      region: this.getRegion(),
+      prgRomSize: this.prgRomSize,
+      chrRomSize: this.chrRomSize,
+    };
+  }
+
+  // Copies one bank out of the file. Banks past the end of a truncated
+  // dump are zero-filled.
+  readBank(data, offset, size) {
+    const bank = new Uint8Array(size);
+    if (offset < data.length) {
+      bank.set(data.subarray(offset, Math.min(offset + size, data.length)));
+    }
+    return bank;
+  }
+
+  parseINESHeader() {
+    this.mapperType = (this.header[6] >> 4) | (this.header[7] & 0xf0);
+    this.prgRomSize = this.header[4] * 16384;
+    this.chrRomSize = this.header[5] * 8192;
+
+    // Old dumping tools wrote their name into bytes 7-15 ("DiskDude!"). If
+    // the unused bytes 12-15 aren't zero, byte 7 can't be trusted either.
+    let foundError = false;
+    for (let i = 12; i < 16; i++) {
+      if (this.header[i] !== 0) {
+        foundError = true;
+        break;
+      }
+    }
+    if (foundError) {
+      this.mapperType &= 0xf;
+      this.consoleType = this.CONSOLE_NES;
+      return;
+    }
+
+    // Byte 8 is the PRG-RAM size in 8KB units, where 0 means 8KB.
+    const prgRam = (this.header[8] || 1) * 8192;
+    if (this.hasBattery) {
+      this.prgNvramSize = prgRam;
+    } else {
+      this.prgRamSize = prgRam;
+    }
+    if (this.chrRomSize === 0) {
+      this.chrRamSize = 8192;
+    }
+    this.timing = (this.header[9] & 1) !== 0 ? this.TIMING_PAL : this.TIMING_NTSC;
+  }
+
+  parseNES2Header() {
+    const h = this.header;
+    this.mapperType = (h[6] >> 4) | (h[7] & 0xf0) | ((h[8] & 0x0f) << 8);
+    this.submapper = h[8] >> 4;
+    this.prgRomSize = this.romSize(h[4], h[9] & 0x0f, 16384);
+    this.chrRomSize = this.romSize(h[5], h[9] >> 4, 8192);
+    this.prgRamSize = this.ramSize(h[10] & 0x0f);
+    this.prgNvramSize = this.ramSize(h[10] >> 4);
+    this.chrRamSize = this.ramSize(h[11] & 0x0f);
+    this.chrNvramSize = this.ramSize(h[11] >> 4);
+    this.timing = h[12] & 3;
+
+    if (this.consoleType === this.CONSOLE_VS_SYSTEM) {
+      this.vsPpuType = h[13] & 0x0f;
+      this.vsHardwareType = h[13] >> 4;
+    } else if (this.consoleType === this.CONSOLE_EXTENDED) {
+      this.consoleType = h[13] & 0x0f;
+    }
+
+    this.miscRomCount = h[14] & 3;
+    this.expansionDevice = h[15] & 0x3f;
+  }
+
+  // NES 2.0 ROM sizes: a 12-bit count of `unit`-sized banks, unless the MSB
+  // nibble is $F, in which case the LSB byte is EEEEEEMM and the size is
+  // 2^E * (MM * 2 + 1) bytes.
+  romSize(lsb, msb, unit) {
+    if (msb === 0x0f) {
+      return Math.pow(2, lsb >> 2) * ((lsb & 3) * 2 + 1);
+    }
+    return ((msb << 8) | lsb) * unit;
+  }
+
+  // NES 2.0 RAM sizes are stored as a shift count: 64 << shift bytes.
+  ramSize(shift) {
+    return shift === 0 ? 0 : 64 << shift;
+  }
+
+  // Region implied by the header timing. Multi-region dumps run as NTSC.
+  getRegion() {
+    switch (this.timing) {
+      case this.TIMING_PAL:
+        return "pal";
+      case this.TIMING_DENDY:
+        return "dendy";
+      default:
+        return "ntsc";
+    }
+  }
+
   getMirroringType() {
     if (this.fourScreen) return this.FOURSCREEN_MIRRORING;
     if (this.mirroring === 0) return this.HORIZONTAL_MIRRORING;
     return this.VERTICAL_MIRRORING;
   }
 
+  getMirroringName() {
+    if (this.fourScreen) return "four";
+    return this.mirroring === 0 ? "horizontal" : "vertical";
+  }
+
   getMapperName() {
     if (this.mapperType >= 0 && this.mapperType < this.mapperName.length) {
       return this.mapperName[this.mapperType];
@@ -158,6 +424,10 @@ export class ROM {
 
   createMapper() {
     if (this.mapperSupported()) {
+      const variants = Submappers[this.mapperType];
+      if (variants && variants[this.submapper]) {
+        return new variants[this.submapper](this.nes);
+      }
       return new Mappers[this.mapperType](this.nes);
     } else {
       throw new Error("This ROM uses a mapper not supported by JSNES: " + this.getMapperName() + "(" + this.mapperType + ")");
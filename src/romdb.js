@@ -0,0 +1,121 @@
+// Game database used to identify ROMs and repair bad iNES headers.
+//
+// Entries are keyed by the CRC-32 of the PRG+CHR data (the header and any
+// trainer are excluded), written as 8 uppercase hex digits - the same key
+// NesCartDB and the nesdev NES 2.0 header database use. Every field except
+// `title` is optional; the ones present override the iNES header:
+//
+//   mapper     iNES mapper number
+//   submapper  NES 2.0 submapper number
+//   mirroring  "horizontal", "vertical" or "four"
+//   battery    true if the cartridge has battery-backed PRG-RAM
+//   region     "ntsc", "pal" or "dendy"
+//
+// The bundled entries were converted from NesCartDB, apart from the Blade
+// Buster homebrew release, which isn't listed there. They cover the boards whose
+// variant the iNES header can't express (VRC2/VRC4 address lines, VRC7, MMC6,
+// Bandai EEPROM size, Fire Hawk, Holy Diver, Cosmo Carrier, Major League), the
+// other games the expansion-chip mappers were written against, and common
+// dumps known to ship with wrong mirroring, battery or region bits. Submappers
+// follow the NES 2.0 numbering and are derived from the board type and chip
+// pinout. Larger databases can be converted to this shape and merged in with
+// addRomDatabaseEntries().
+const GAME_DATABASE = {
+  "F2CE3641": { title: "After Burner", mapper: 68, region: "ntsc" },
+  "F699EE7E": { title: "After Burner", mapper: 68, region: "ntsc" },
+  "8A7D0ABE": { title: "Akira", mapper: 33, region: "ntsc" },
+  "E349AF38": { title: "Akumajou Densetsu", mapper: 24, region: "ntsc" },
+  "78B657AC": { title: "Armadillo", mapper: 118, region: "ntsc" },
+  "03EC46AF": { title: "Batman: Return of the Joker", mapper: 69, region: "ntsc" },
+  "29DD37F4": { title: "Batman: Return of the Joker", mapper: 69, region: "ntsc" },
+  "BA327FD9": { title: "Batman: Return of the Joker", mapper: 69, region: "pal" },
+  "279710DC": { title: "Battletoads", mapper: 7, region: "ntsc" },
+  "524A5A32": { title: "Battletoads", mapper: 7, region: "pal" },
+  "9806CB84": { title: "Battletoads", mapper: 7, region: "ntsc" },
+  "3F9524EC": { title: "Blade Buster", mapper: 4, mirroring: "horizontal", battery: true, region: "ntsc" },
+  "0B404915": { title: "Captain Planet and the Planeteers", mapper: 4, region: "ntsc" },
+  "58A74747": { title: "Captain Planet and the Planeteers", mapper: 4, battery: true, region: "pal" },
+  "8D901FAD": { title: "Captain Planet and the Planeteers", mapper: 4, region: "pal" },
+  "671F23A8": { title: "Castlevania III: Dracula's Curse", mapper: 5, region: "pal" },
+  "ED2465BE": { title: "Castlevania III: Dracula's Curse", mapper: 5, region: "ntsc" },
+  "B27B8CF4": { title: "Contra", mapper: 23, submapper: 3, region: "ntsc" },
+  "F6035030": { title: "Contra", mapper: 2, mirroring: "vertical", region: "ntsc" },
+  "7A497AE3": { title: "Don Doko Don", mapper: 33, region: "ntsc" },
+  "136CA449": { title: "Dragon Ball Z Gaiden: Saiyajin Zetsumetsu Keikaku", mapper: 16, submapper: 5, region: "ntsc" },
+  "99240573": { title: "Dragon Ball Z II: Gekishin Freeza!!", mapper: 16, submapper: 5, region: "ntsc" },
+  "A9541452": { title: "Dragon Ball Z II: Gekishin Freeza!!", mapper: 16, submapper: 5, region: "ntsc" },
+  "DC52BF0C": { title: "Dragon Ball Z III: Ressen Jinzou Ningen", mapper: 16, submapper: 5, region: "ntsc" },
+  "183859D2": { title: "Dragon Ball Z: Kyoushuu! Saiyajin", mapper: 159, region: "ntsc" },
+  "3F15D20D": { title: "Famicom Jump II: Saikyou no 7 Nin", mapper: 153, battery: true, region: "ntsc" },
+  "D343C66A": { title: "Famicom Jump: Eiyuu Retsuden", mapper: 16, submapper: 4, region: "ntsc" },
+  "0C5A6297": { title: "Fantasy Zone II: Opa-Opa no Namida", mapper: 67, region: "ntsc" },
+  "466EFDC2": { title: "Final Fantasy", mapper: 1, battery: true, region: "ntsc" },
+  "CEBD2A31": { title: "Final Fantasy", mapper: 1, battery: true, region: "ntsc" },
+  "F71E7EDD": { title: "Final Fantasy", mapper: 1, battery: true, region: "ntsc" },
+  "1BC686A8": { title: "Fire Hawk", mapper: 71, submapper: 1, region: "ntsc" },
+  "0CC9FFEC": { title: "Ganbare Goemon 2", mapper: 23, submapper: 3, region: "ntsc" },
+  "286FCD20": { title: "Ganbare Goemon Gaiden 2: Tenka no Zaihou", mapper: 21, submapper: 2, battery: true, region: "ntsc" },
+  "EB92B32A": { title: "Ganbare Goemon Gaiden: Keita Ougon Kiseru", mapper: 25, submapper: 3, battery: true, region: "ntsc" },
+  "0D65E7C7": { title: "Gimmick!", mapper: 69, region: "ntsc" },
+  "90C773C1": { title: "Goal! Two", mapper: 118, region: "ntsc" },
+  "5ADBF660": { title: "Gradius II", mapper: 25, submapper: 1, region: "ntsc" },
+  "72928698": { title: "Hebereke", mapper: 69, region: "ntsc" },
+  "1C212E9D": { title: "High Speed", mapper: 119, region: "pal" },
+  "383CABBF": { title: "High Speed", mapper: 119, region: "ntsc" },
+  "BA51AC6F": { title: "Holy Diver", mapper: 78, submapper: 3, region: "ntsc" },
+  "058F23A2": { title: "Image Fight", mapper: 4, region: "ntsc" },
+  "D2038FC5": { title: "Image Fight", mapper: 32, region: "ntsc" },
+  "9CBADC25": { title: "Just Breed", mapper: 5, battery: true, region: "ntsc" },
+  "369DA42D": { title: "King of Kings", mapper: 19, battery: true, region: "ntsc" },
+  "3CCB5D57": { title: "Klax", mapper: 4, region: "ntsc" },
+  "93F3A490": { title: "Klax", mapper: 64, region: "ntsc" },
+  "743387FF": { title: "Lagrange Point", mapper: 85, submapper: 2, battery: true, region: "ntsc" },
+  "243A8735": { title: "Major League", mapper: 32, submapper: 1, region: "ntsc" },
+  "96773F32": { title: "Megami Tensei II: Digital Devil Story", mapper: 19, battery: true, region: "ntsc" },
+  "24BA12DD": { title: "Micro Machines", mapper: 71, mirroring: "vertical", region: "ntsc" },
+  "9235B57B": { title: "Micro Machines", mapper: 71, mirroring: "vertical", region: "ntsc" },
+  "E1383DEB": { title: "Mouryou Senki Madara", mapper: 26, battery: true, region: "ntsc" },
+  "A713DD30": { title: "Mr. Gimmick", mapper: 69, region: "pal" },
+  "2C043781": { title: "Paperboy", mapper: 3, mirroring: "horizontal", region: "ntsc" },
+  "32086826": { title: "Paperboy", mapper: 3, mirroring: "horizontal", region: "ntsc" },
+  "EE219A49": { title: "Paperboy", mapper: 3, mirroring: "horizontal", region: "pal" },
+  "9247C38D": { title: "Pin-Bot", mapper: 119, region: "pal" },
+  "D19ADDEB": { title: "Pin-Bot", mapper: 119, region: "ntsc" },
+  "9EDBE2E2": { title: "Rolling Thunder", mapper: 19, region: "ntsc" },
+  "F92BE3EC": { title: "Rolling Thunder", mapper: 64, region: "ntsc" },
+  "276AC722": { title: "SD Gundam Gaiden: Knight Gundam Monogatari", mapper: 159, region: "ntsc" },
+  "E170404C": { title: "SD Gundam Gaiden: Knight Gundam Monogatari", mapper: 159, region: "ntsc" },
+  "B049A8C4": { title: "SD Gundam Gaiden: Knight Gundam Monogatari 2: Hikari no Kishi", mapper: 16, submapper: 5, region: "ntsc" },
+  "C2840372": { title: "SD Gundam Gaiden: Knight Gundam Monogatari 3: Densetsu no Kishi Dan", mapper: 16, submapper: 5, region: "ntsc" },
+  "B422A67A": { title: "Skull & Crossbones", mapper: 64, region: "ntsc" },
+  "889129CB": { title: "StarTropics", mapper: 4, submapper: 1, battery: true, region: "ntsc" },
+  "998422FC": { title: "StarTropics", mapper: 4, submapper: 1, battery: true, region: "pal" },
+  "9A2DB086": { title: "Super Mario Bros.", mapper: 0, mirroring: "vertical", region: "pal" },
+  "D445F698": { title: "Super Mario Bros.", mapper: 0, mirroring: "vertical", region: "ntsc" },
+  "3FE272FB": { title: "The Legend of Zelda", mapper: 1, battery: true, region: "ntsc" },
+  "D44B412E": { title: "The Legend of Zelda", mapper: 1, battery: true, region: "pal" },
+  "EAF7ED72": { title: "The Legend of Zelda", mapper: 1, battery: true, region: "ntsc" },
+  "ED7F5555": { title: "The Legend of Zelda", mapper: 1, battery: true, region: "pal" },
+  "E4362167": { title: "Tiny Toon Adventures 2: Montana Land e Youkoso", mapper: 85, submapper: 1, region: "ntsc" },
+  "81A5EB65": { title: "Tiny Toon Adventures 2: Trouble in Wackyland", mapper: 4, region: "ntsc" },
+  "C32E9672": { title: "Tiny Toon Adventures 2: Trouble in Wackyland", mapper: 4, region: "pal" },
+  "D7FABAC1": { title: "TwinBee 3: Poko Poko Dai Maou", mapper: 22, region: "ntsc" },
+  "3D1C3137": { title: "Uchuusen: Cosmo Carrier", mapper: 78, submapper: 1, region: "ntsc" },
+  "ACA15643": { title: "Uncharted Waters", mapper: 5, battery: true, region: "ntsc" },
+  "7AE0BF3C": { title: "Zelda no Densetsu 1: The Hyrule Fantasy", mapper: 1, battery: true, region: "ntsc" },
+  "D054FFB0": { title: "Zoda's Revenge: StarTropics II", mapper: 4, submapper: 1, battery: true, region: "ntsc" },
+};
+
+// Merges entries into the database. Later entries replace earlier ones with
+// the same CRC.
+export function addRomDatabaseEntries(entries) {
+  for (const key in entries) {
+    GAME_DATABASE[key.toUpperCase()] = entries[key];
+  }
+}
+
+// Returns the database entry for a CRC-32 (number or hex string), or null.
+export function lookupRom(crc) {
+  const key = typeof crc === "number" ? crc.toString(16).toUpperCase().padStart(8, "0") : crc.toUpperCase();
+  return Object.prototype.hasOwnProperty.call(GAME_DATABASE, key) ? GAME_DATABASE[key] : null;
+}